@@ -7,7 +7,31 @@ import {
   EndpointType,
 } from 'aws-cdk-lib/aws-apigateway';
 import { IUserPool } from 'aws-cdk-lib/aws-cognito';
-import { IFunction } from 'aws-cdk-lib/aws-lambda';
+import {
+  IFunction,
+  FunctionUrl,
+  FunctionUrlAuthType,
+  HttpMethod,
+  InvokeMode,
+} from 'aws-cdk-lib/aws-lambda';
+
+/**
+ * Allowed browser origins for the REST API and the streaming function URL
+ */
+export function getAllowedOrigins(isProduction: boolean): string[] {
+  return isProduction
+    ? [
+        // Production origins - update these with your actual domains
+        'https://yourdomain.com',
+        'https://www.yourdomain.com',
+      ]
+    : [
+        // Development and staging origins
+        'http://localhost:3000',
+        'http://localhost:3001',
+        'http://127.0.0.1:3000',
+      ];
+}
 
 /**
  * Define API Gateway REST API with IAM authorization
@@ -27,18 +51,7 @@ export function createRestApi(
   const isProduction = environment === 'production';
   
   // Configure CORS origins based on environment
-  const allowedOrigins = isProduction
-    ? [
-        // Production origins - update these with your actual domains
-        'https://yourdomain.com',
-        'https://www.yourdomain.com',
-      ]
-    : [
-        // Development and staging origins
-        'http://localhost:3000',
-        'http://localhost:3001',
-        'http://127.0.0.1:3000',
-      ];
+  const allowedOrigins = getAllowedOrigins(isProduction);
   
   // Create REST API with CORS configuration
   const api: RestApi = new RestApi(stack, 'ChatbotRestApi', {
@@ -62,7 +75,7 @@ export function createRestApi(
     },
     defaultCorsPreflightOptions: {
       allowOrigins: allowedOrigins,
-      allowMethods: ['GET', 'POST', 'OPTIONS'],
+      allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
       allowHeaders: [
         'Content-Type',
         'X-Amz-Date',
@@ -113,6 +126,13 @@ export function createRestApi(
           'method.response.header.Access-Control-Allow-Origin': true,
         },
       },
+      {
+        statusCode: '429',
+        responseParameters: {
+          'method.response.header.Access-Control-Allow-Origin': true,
+          'method.response.header.Retry-After': true,
+        },
+      },
       {
         statusCode: '500',
         responseParameters: {
@@ -122,6 +142,31 @@ export function createRestApi(
     ],
   });
 
+  // Define answer feedback resource - rate (POST) an answer
+  chatbotResource.addResource('feedback').addMethod('POST', chatbotIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
+  // Define conversation resources - list (GET), and view (GET), rename (PUT) and delete (DELETE) one
+  const conversationsResource = chatbotResource.addResource('conversations');
+
+  conversationsResource.addMethod('GET', chatbotIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
+  const conversationResource = conversationsResource.addResource('{conversationId}');
+
+  ['GET', 'PUT', 'DELETE'].forEach(httpMethod => {
+    conversationResource.addMethod(httpMethod, chatbotIntegration, {
+      authorizationType: AuthorizationType.IAM,
+    });
+  });
+
+  // Define conversation export resource - download (GET) as ?format=markdown|json|html
+  conversationResource.addResource('export').addMethod('GET', chatbotIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
   // Define admin resource and GET method with IAM authorization
   const adminResource = api.root.addResource('admin');
   
@@ -156,5 +201,108 @@ export function createRestApi(
     ],
   });
 
+  // Define admin token usage report resource
+  adminResource.addResource('usage').addMethod('GET', adminIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
+  // Define admin prompt injection report resource
+  adminResource.addResource('security').addMethod('GET', adminIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
+  // Define admin answer feedback report resource
+  adminResource.addResource('feedback').addMethod('GET', adminIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
+  // Define admin knowledge base ingestion report resource
+  adminResource.addResource('ingestion').addMethod('GET', adminIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
+  // Define admin usage resource - view (GET) and reset (DELETE) a user's question quota
+  const adminUsageResource = adminResource
+    .addResource('users')
+    .addResource('{userId}')
+    .addResource('usage');
+
+  ['GET', 'DELETE'].forEach(httpMethod => {
+    adminUsageResource.addMethod(httpMethod, adminIntegration, {
+      authorizationType: AuthorizationType.IAM,
+    });
+  });
+
+  // Define admin answer cache resource - purge (DELETE) all cached answers
+  adminResource.addResource('answer-cache').addMethod('DELETE', adminIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
+  // Define admin prompt settings resource - list templates (GET) and assign them to roles and departments (PUT)
+  const promptSettingsResource = adminResource.addResource('prompt-settings');
+
+  ['GET', 'PUT'].forEach(httpMethod => {
+    promptSettingsResource.addMethod(httpMethod, adminIntegration, {
+      authorizationType: AuthorizationType.IAM,
+    });
+  });
+
+  // Define admin template resources - view (GET) and save a new version (PUT), activate a version (POST)
+  const templateResource = adminResource
+    .addResource('templates')
+    .addResource('{name}');
+
+  ['GET', 'PUT'].forEach(httpMethod => {
+    templateResource.addMethod(httpMethod, adminIntegration, {
+      authorizationType: AuthorizationType.IAM,
+    });
+  });
+
+  templateResource.addResource('activate').addMethod('POST', adminIntegration, {
+    authorizationType: AuthorizationType.IAM,
+  });
+
   return api;
 }
+
+/**
+ * Define a Lambda function URL for streaming chatbot answers
+ *
+ * API Gateway REST integrations buffer the whole Lambda response, so streamed
+ * answers are served from an IAM-authorized function URL in RESPONSE_STREAM mode.
+ * Authenticated users sign requests with SigV4 (service 'lambda'), the same way
+ * they sign REST API calls.
+ */
+export function createChatbotStreamUrl(
+  stack: Stack,
+  chatbotStreamFunction: IFunction
+) {
+  const environment = process.env.AMPLIFY_ENV || 'dev';
+  const isProduction = environment === 'production';
+
+  return new FunctionUrl(stack, 'ChatbotStreamUrl', {
+    function: chatbotStreamFunction,
+    authType: FunctionUrlAuthType.AWS_IAM,
+    invokeMode: InvokeMode.RESPONSE_STREAM,
+    cors: {
+      allowedOrigins: getAllowedOrigins(isProduction),
+      allowedMethods: [HttpMethod.POST],
+      allowedHeaders: [
+        'Content-Type',
+        'X-Amz-Date',
+        'Authorization',
+        'X-Amz-Security-Token',
+        'X-Amz-Content-Sha256',
+      ],
+      exposedHeaders: [
+        'Retry-After',
+        'X-RateLimit-Limit-Minute',
+        'X-RateLimit-Remaining-Minute',
+        'X-RateLimit-Limit-Day',
+        'X-RateLimit-Remaining-Day',
+      ],
+      allowCredentials: true,
+      maxAge: Duration.hours(1),
+    },
+  });
+}
@@ -4,9 +4,10 @@ import { data } from './data/resource';
 import { storage } from './storage/resource';
 import { postConfirmationFunction } from './functions/post-confirmation/resource';
 import { PolicyStatement } from 'aws-cdk-lib/aws-iam';
-import { createRestApi } from './api/resource';
+import { createRestApi, createChatbotStreamUrl } from './api/resource';
 import { Stack, RemovalPolicy, Duration } from 'aws-cdk-lib';
-import { Bucket, BucketEncryption, BlockPublicAccess } from 'aws-cdk-lib/aws-s3';
+import { Bucket, BucketEncryption, BlockPublicAccess, EventType } from 'aws-cdk-lib/aws-s3';
+import { LambdaDestination } from 'aws-cdk-lib/aws-s3-notifications';
 import { Table, AttributeType, BillingMode, TableEncryption } from 'aws-cdk-lib/aws-dynamodb';
 import { Function, Runtime, Code } from 'aws-cdk-lib/aws-lambda';
 import { getEnvironmentConfig } from './env-config';
@@ -54,6 +55,7 @@ const appDataTable = new Table(stack, 'AppDataTable', {
   billingMode: BillingMode.PAY_PER_REQUEST,
   encryption: TableEncryption.AWS_MANAGED,
   pointInTimeRecovery: true,
+  timeToLiveAttribute: 'expiresAt', // Conversation history and other transient items expire automatically
   removalPolicy: RemovalPolicy.RETAIN,
 });
 
@@ -62,6 +64,63 @@ console.log(`Created DynamoDB table: app-data-${stack.account}-${stack.region}`)
 // Create Lambda functions using CDK constructs
 console.log('Creating Lambda functions using CDK constructs...');
 
+// Per-role question quotas, e.g. '{"user":{"perMinute":10,"perDay":200}}' - shared by chatbot and admin functions
+const quotaLimits = process.env.QUOTA_LIMITS || '';
+
+// PII types redacted before Bedrock calls, storage and logs ('none' turns redaction off) - shared by chatbot and admin functions
+const piiRedactionTypes = process.env.PII_REDACTION_TYPES || 'EMAIL,CARD,SSN,IBAN,PHONE';
+
+// 'reject' or 'flag' prompt injection in questions (chatbot) and documents (ingestion)
+const promptInjectionAction = process.env.PROMPT_INJECTION_ACTION || 'reject';
+
+// Embedding settings - shared by the chatbot and ingestion functions, which must agree on them
+const embeddingEnvironment = {
+  EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || 'bedrock', // 'local' hashes terms instead of calling Bedrock
+  EMBEDDING_MODEL_ID: process.env.EMBEDDING_MODEL_ID || 'amazon.titan-embed-text-v2:0',
+  EMBEDDING_DIMENSIONS: process.env.EMBEDDING_DIMENSIONS || '512',
+};
+
+// Environment shared by the buffered and streaming chatbot Lambda functions
+const chatbotEnvironment = {
+  ...embeddingEnvironment,
+  KNOWLEDGE_BASE_BUCKET: knowledgeBaseBucket.bucketName,
+  APP_DATA_TABLE: appDataTable.tableName,
+  USER_POOL_ID: backend.auth.resources.userPool.userPoolId,
+  CLIENT_ID: backend.auth.resources.userPoolClient.userPoolClientId,
+  BEDROCK_MODEL_ID: process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-sonnet-20240229-v1:0',
+  BEDROCK_FALLBACK_MODEL_ID: process.env.BEDROCK_FALLBACK_MODEL_ID || '',
+  BEDROCK_MAX_ATTEMPTS: process.env.BEDROCK_MAX_ATTEMPTS || '3',
+  BEDROCK_REGION: 'eu-west-1',
+  BEDROCK_MAX_TOKENS: process.env.BEDROCK_MAX_TOKENS || '1000',
+  BEDROCK_TEMPERATURE: process.env.BEDROCK_TEMPERATURE || '0.7',
+  MODEL_CONTEXT_TOKENS: process.env.MODEL_CONTEXT_TOKENS || '', // JSON map of model id to context window size
+  RETRIEVAL_TOP_K: process.env.RETRIEVAL_TOP_K || '5',
+  RETRIEVAL_MODE: process.env.RETRIEVAL_MODE || 'keyword', // 'keyword', 'vector' or 'hybrid'
+  VECTOR_MIN_SIMILARITY: process.env.VECTOR_MIN_SIMILARITY || '0.3', // Minimum cosine similarity for vector matches
+  HYBRID_VECTOR_WEIGHT: process.env.HYBRID_VECTOR_WEIGHT || '0.5', // Weight of vector similarity against keyword score
+  KB_FETCH_CONCURRENCY: process.env.KB_FETCH_CONCURRENCY || '8', // Parallel knowledge base downloads
+  HISTORY_MAX_TURNS: process.env.HISTORY_MAX_TURNS || '10', // Previous exchanges (question and answer) sent with a question
+  CONVERSATION_TTL_DAYS: process.env.CONVERSATION_TTL_DAYS || '30',
+  QUOTA_LIMITS: quotaLimits,
+  PII_REDACTION_TYPES: piiRedactionTypes,
+  PII_RESTORE_ANSWERS: process.env.PII_RESTORE_ANSWERS || 'false', // Put the user's PII back into answers
+  TOOL_MAX_ROUNDS: process.env.TOOL_MAX_ROUNDS || '3', // Model calls per question that may run tools, 0 disables tools
+  CHATBOT_TOOLS: process.env.CHATBOT_TOOLS || 'all', // Comma-separated tool names, 'all' or 'none'
+  PROMPT_INJECTION_ACTION: promptInjectionAction,
+  MODEL_PRICING: process.env.MODEL_PRICING || '', // JSON map of model id to USD per 1,000 input/output tokens
+  METERING_RETENTION_DAYS: process.env.METERING_RETENTION_DAYS || '400',
+  PROMPT_TEMPLATE_CACHE_SECONDS: process.env.PROMPT_TEMPLATE_CACHE_SECONDS || '60', // How long template edits take to apply
+  ANSWER_MODE: process.env.ANSWER_MODE || 'open', // 'strict' answers only from the knowledge base
+  STRICT_MIN_SCORE: process.env.STRICT_MIN_SCORE || '1', // Minimum BM25 score for context in strict mode
+  STRICT_MIN_SIMILARITY: process.env.STRICT_MIN_SIMILARITY || '0.5', // Minimum cosine similarity for context in strict mode
+  NOT_FOUND_ANSWER: process.env.NOT_FOUND_ANSWER || '', // Strict mode answer when the knowledge base has none
+  GROUNDING_MIN_SUPPORT: process.env.GROUNDING_MIN_SUPPORT || '0.8', // Share of answer sentences the context must support
+  ANSWER_CACHE_TTL_SECONDS: process.env.ANSWER_CACHE_TTL_SECONDS || '3600', // How long answers to repeated questions are reused, 0 to disable
+  ENVIRONMENT: environment,
+  LOG_LEVEL: envConfig.lambda.chatbot.logLevel,
+  ENABLE_DETAILED_METRICS: envConfig.monitoring.enableDetailedMetrics.toString(),
+};
+
 // Create chatbot Lambda function
 const chatbotLambda = new Function(stack, 'ChatbotFunction', {
   functionName: `chatbot-${environment}`,
@@ -70,21 +129,24 @@ const chatbotLambda = new Function(stack, 'ChatbotFunction', {
   code: Code.fromAsset('amplify/functions/chatbot'),
   timeout: Duration.seconds(30),
   memorySize: 512,
-  environment: {
-    KNOWLEDGE_BASE_BUCKET: knowledgeBaseBucket.bucketName,
-    APP_DATA_TABLE: appDataTable.tableName,
-    USER_POOL_ID: backend.auth.resources.userPool.userPoolId,
-    CLIENT_ID: backend.auth.resources.userPoolClient.userPoolClientId,
-    BEDROCK_MODEL_ID: process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-sonnet-20240229-v1:0',
-    BEDROCK_REGION: 'eu-west-1',
-    ENVIRONMENT: environment,
-    LOG_LEVEL: envConfig.lambda.chatbot.logLevel,
-    ENABLE_DETAILED_METRICS: envConfig.monitoring.enableDetailedMetrics.toString(),
-  },
+  environment: chatbotEnvironment,
 });
 
 console.log(`Created chatbot Lambda function: chatbot-${environment}`);
 
+// Create streaming chatbot Lambda function (same code, streaming entry point)
+const chatbotStreamLambda = new Function(stack, 'ChatbotStreamFunction', {
+  functionName: `chatbot-stream-${environment}`,
+  runtime: Runtime.NODEJS_20_X,
+  handler: 'handler.streamHandler',
+  code: Code.fromAsset('amplify/functions/chatbot'),
+  timeout: Duration.seconds(60), // Not bound by the API Gateway integration timeout
+  memorySize: 512,
+  environment: chatbotEnvironment,
+});
+
+console.log(`Created streaming chatbot Lambda function: chatbot-stream-${environment}`);
+
 // Create admin Lambda function
 const adminLambda = new Function(stack, 'AdminFunction', {
   functionName: `admin-${environment}`,
@@ -97,6 +159,8 @@ const adminLambda = new Function(stack, 'AdminFunction', {
     APP_DATA_TABLE: appDataTable.tableName,
     USER_POOL_ID: backend.auth.resources.userPool.userPoolId,
     CLIENT_ID: backend.auth.resources.userPoolClient.userPoolClientId,
+    QUOTA_LIMITS: quotaLimits,
+    PII_REDACTION_TYPES: piiRedactionTypes,
     ENVIRONMENT: environment,
     LOG_LEVEL: envConfig.lambda.admin.logLevel,
     ENABLE_DETAILED_METRICS: envConfig.monitoring.enableDetailedMetrics.toString(),
@@ -105,37 +169,98 @@ const adminLambda = new Function(stack, 'AdminFunction', {
 
 console.log(`Created admin Lambda function: admin-${environment}`);
 
+// Create knowledge base ingestion Lambda function (triggered by uploads, or invoked to re-ingest everything)
+const ingestionLambda = new Function(stack, 'IngestionFunction', {
+  functionName: `kb-ingestion-${environment}`,
+  runtime: Runtime.NODEJS_20_X,
+  handler: 'handler.handler',
+  code: Code.fromAsset('amplify/functions/ingestion'),
+  timeout: Duration.minutes(15), // A full re-ingestion embeds every new or changed chunk
+  memorySize: 512,
+  environment: {
+    ...embeddingEnvironment,
+    KNOWLEDGE_BASE_BUCKET: knowledgeBaseBucket.bucketName,
+    APP_DATA_TABLE: appDataTable.tableName,
+    BEDROCK_REGION: 'eu-west-1',
+    CHUNK_MAX_CHARS: process.env.CHUNK_MAX_CHARS || '1200',
+    CHUNK_OVERLAP_CHARS: process.env.CHUNK_OVERLAP_CHARS || '200',
+    INGESTION_EMBED_CONCURRENCY: process.env.INGESTION_EMBED_CONCURRENCY || '4',
+    MAX_DOCUMENT_CHARS: process.env.MAX_DOCUMENT_CHARS || '500000',
+    PROMPT_INJECTION_ACTION: promptInjectionAction,
+    PII_REDACTION_TYPES: piiRedactionTypes,
+    ENVIRONMENT: environment,
+    LOG_LEVEL: envConfig.lambda.ingestion.logLevel,
+  },
+});
+
+console.log(`Created knowledge base ingestion Lambda function: kb-ingestion-${environment}`);
+
+// Ingest files as they are uploaded to or deleted from the knowledge-base/ folder
+[EventType.OBJECT_CREATED, EventType.OBJECT_REMOVED].forEach(eventType =>
+  knowledgeBaseBucket.addEventNotification(eventType, new LambdaDestination(ingestionLambda), { prefix: 'knowledge-base/' })
+);
+console.log('Added knowledge base upload notifications for the ingestion Lambda');
+
 // Grant IAM permissions to Lambda functions
 console.log('Granting IAM permissions to Lambda functions...');
 
-// Grant S3 read permissions to chatbot Lambda
-knowledgeBaseBucket.grantRead(chatbotLambda, 'knowledge-base/*');
-console.log('Granted S3 read permissions to chatbot Lambda');
+// The buffered and streaming chatbot functions need the same permissions
+const chatbotLambdas = [chatbotLambda, chatbotStreamLambda];
 
-// Grant DynamoDB read/write permissions to both Lambda functions
-appDataTable.grantReadWriteData(chatbotLambda);
-appDataTable.grantReadWriteData(adminLambda);
-console.log('Granted DynamoDB read/write permissions to chatbot and admin Lambda functions');
+// Grant S3 read permissions on the validated documents to chatbot Lambdas
+chatbotLambdas.forEach(fn => knowledgeBaseBucket.grantRead(fn, 'knowledge-base-processed/*'));
+console.log('Granted S3 read permissions to chatbot Lambdas');
 
-// Grant Bedrock invoke permissions to chatbot Lambda
-chatbotLambda.addToRolePolicy(
+// Grant the ingestion Lambda read access to uploads and read/write access to the validated documents
+knowledgeBaseBucket.grantRead(ingestionLambda, 'knowledge-base/*');
+knowledgeBaseBucket.grantReadWrite(ingestionLambda, 'knowledge-base-processed/*');
+console.log('Granted S3 permissions to ingestion Lambda');
+
+// Grant DynamoDB read/write permissions to chatbot and admin Lambda functions
+chatbotLambdas.forEach(fn => appDataTable.grantReadWriteData(fn));
+appDataTable.grantReadWriteData(adminLambda);
+appDataTable.grantReadWriteData(ingestionLambda);
+console.log('Granted DynamoDB read/write permissions to chatbot, admin and ingestion Lambda functions');
+
+// Grant Bedrock invoke permissions to chatbot Lambdas
+// Covers every model family supported by functions/chatbot/providers.js, both as
+// foundation models in any region (cross-region inference routes requests across
+// regions) and through this account's inference profiles
+const bedrockModelFamilies = [
+  'anthropic.*',
+  'amazon.nova-*',
+  'amazon.titan-text-*',
+  'meta.llama*',
+  'mistral.*',
+];
+chatbotLambdas.forEach(fn => fn.addToRolePolicy(
   new PolicyStatement({
-    actions: ['bedrock:InvokeModel'],
+    actions: ['bedrock:InvokeModel', 'bedrock:InvokeModelWithResponseStream'],
     resources: [
-      `arn:aws:bedrock:eu-west-1::foundation-model/anthropic.claude-*`,
+      ...bedrockModelFamilies.map(family => `arn:aws:bedrock:*::foundation-model/${family}`),
+      `arn:aws:bedrock:*:${stack.account}:inference-profile/*`,
     ],
   })
-);
-console.log('Granted Bedrock invoke permissions to chatbot Lambda');
+));
+console.log('Granted Bedrock invoke permissions to chatbot Lambdas');
+
+// Grant Bedrock permissions for text embeddings to the chatbot Lambdas (questions) and ingestion (chunks)
+[...chatbotLambdas, ingestionLambda].forEach(fn => fn.addToRolePolicy(
+  new PolicyStatement({
+    actions: ['bedrock:InvokeModel'],
+    resources: ['arn:aws:bedrock:*::foundation-model/amazon.titan-embed-*'],
+  })
+));
+console.log('Granted Bedrock embedding permissions to chatbot and ingestion Lambdas');
 
-// Grant Cognito permissions to chatbot Lambda to get user attributes
-chatbotLambda.addToRolePolicy(
+// Grant Cognito permissions to chatbot Lambdas to get user attributes
+chatbotLambdas.forEach(fn => fn.addToRolePolicy(
   new PolicyStatement({
     actions: ['cognito-idp:AdminGetUser'],
     resources: [backend.auth.resources.userPool.userPoolArn],
   })
-);
-console.log('Granted Cognito AdminGetUser permission to chatbot Lambda');
+));
+console.log('Granted Cognito AdminGetUser permission to chatbot Lambdas');
 
 // Grant Cognito permissions to admin Lambda
 adminLambda.addToRolePolicy(
@@ -244,6 +369,11 @@ backend.auth.resources.authenticatedUserIamRole.addToPrincipalPolicy(
 );
 console.log('Granted execute-api:Invoke permission to authenticated users');
 
+// Create the streaming function URL and let authenticated users invoke it
+const chatbotStreamUrl = createChatbotStreamUrl(stack, chatbotStreamLambda);
+chatbotStreamUrl.grantInvokeUrl(backend.auth.resources.authenticatedUserIamRole);
+console.log('Granted lambda:InvokeFunctionUrl permission on the streaming chatbot URL to authenticated users');
+
 // CloudWatch Logging Configuration
 // Note: Lambda functions automatically create log groups and have permissions to write logs
 // Log groups are created at /aws/lambda/<function-name> with default retention
@@ -253,7 +383,9 @@ console.log(`CloudWatch logging enabled for all Lambda functions with structured
 // Environment-specific configurations
 console.log(`Applying ${environment} environment configurations...`);
 console.log(`Lambda Chatbot - Timeout: 30s, Memory: 512MB`);
+console.log(`Lambda Chatbot Stream - Timeout: 60s, Memory: 512MB`);
 console.log(`Lambda Admin - Timeout: 10s, Memory: 256MB`);
+console.log(`Lambda Ingestion - Timeout: 900s, Memory: 512MB`);
 console.log(`API Throttling - Rate: ${envConfig.api.throttling.rateLimit}, Burst: ${envConfig.api.throttling.burstLimit}`);
 console.log(`Monitoring - Detailed Metrics: ${envConfig.monitoring.enableDetailedMetrics}, Log Retention: ${envConfig.monitoring.logRetentionDays} days`);
 
@@ -267,6 +399,14 @@ backend.addOutput({
         apiName: restApi.restApiName,
       },
     },
+    ChatbotStream: {
+      url: chatbotStreamUrl.url,
+      region: stack.region,
+    },
+    KnowledgeBaseIngestion: {
+      functionName: ingestionLambda.functionName,
+      region: stack.region,
+    },
     Environment: {
       name: environment,
       isProduction: isProduction,
@@ -21,6 +21,11 @@ export interface EnvironmentConfig {
       memory: number;
       logLevel: string;
     };
+    ingestion: {
+      timeout: number;
+      memory: number;
+      logLevel: string;
+    };
   };
   
   // API Gateway configuration
@@ -83,6 +88,11 @@ export function getEnvironmentConfig(): EnvironmentConfig {
         memory: parseInt(process.env.ADMIN_LAMBDA_MEMORY || '256'),
         logLevel: 'INFO',
       },
+      ingestion: {
+        timeout: parseInt(process.env.INGESTION_LAMBDA_TIMEOUT || '900'),
+        memory: parseInt(process.env.INGESTION_LAMBDA_MEMORY || '512'),
+        logLevel: 'INFO',
+      },
     },
     
     api: {
@@ -131,6 +141,10 @@ export function getEnvironmentConfig(): EnvironmentConfig {
           ...baseConfig.lambda.admin,
           logLevel: 'INFO',
         },
+        ingestion: {
+          ...baseConfig.lambda.ingestion,
+          logLevel: 'INFO',
+        },
       },
       api: {
         throttling: {
@@ -160,6 +174,10 @@ export function getEnvironmentConfig(): EnvironmentConfig {
           ...baseConfig.lambda.admin,
           logLevel: 'DEBUG',
         },
+        ingestion: {
+          ...baseConfig.lambda.ingestion,
+          logLevel: 'DEBUG',
+        },
       },
       api: {
         throttling: {
@@ -189,6 +207,10 @@ export function getEnvironmentConfig(): EnvironmentConfig {
         ...baseConfig.lambda.admin,
         logLevel: 'DEBUG',
       },
+      ingestion: {
+        ...baseConfig.lambda.ingestion,
+        logLevel: 'DEBUG',
+      },
     },
     api: {
       throttling: {
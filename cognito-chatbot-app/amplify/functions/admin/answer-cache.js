@@ -0,0 +1,53 @@
+/**
+ * Answer cache purge
+ * Answers are cached by the chatbot function (chatbot/answer-cache.js). Purging
+ * bumps the cache generation, which is part of every cache key, so old entries
+ * are never read again and expire by TTL.
+ *
+ * Key layout:
+ *   Cache generation: pk = ANSWER_CACHE, sk = GENERATION
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { UpstreamError } from './errors.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+const GENERATION_KEY = { pk: 'ANSWER_CACHE', sk: 'GENERATION' };
+
+/**
+ * Invalidate every cached answer by moving to a new cache generation
+ * Returns the new generation
+ */
+export async function purgeAnswerCache(purgedBy, logger) {
+  logger.logServiceCall('DynamoDB', 'UpdateItem', { table: TABLE_NAME, operation: 'purgeAnswerCache' });
+
+  let response;
+  try {
+    response = await dynamoClient.send(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: GENERATION_KEY,
+      UpdateExpression: 'SET #type = :type, purgedAt = :now, purgedBy = :purgedBy ADD generation :one',
+      ExpressionAttributeNames: { '#type': 'type' },
+      ExpressionAttributeValues: {
+        ':type': 'answerCacheGeneration',
+        ':now': new Date().toISOString(),
+        ':purgedBy': purgedBy,
+        ':one': 1,
+      },
+      ReturnValues: 'ALL_NEW',
+    }));
+  } catch (error) {
+    throw new UpstreamError('Answer cache temporarily unavailable', { cause: error });
+  }
+
+  logger.info('Purged answer cache', { generation: response.Attributes.generation });
+
+  return {
+    generation: response.Attributes.generation,
+    purgedAt: response.Attributes.purgedAt,
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Error classes for Lambda functions
+ * Each error carries the HTTP status, a stable error code and retry hints,
+ * and is turned into an API response by toErrorResponse
+ */
+
+/**
+ * Base class for errors that map to a specific API response
+ * The message is returned to the client, so it must not contain internal details
+ */
+export class AppError extends Error {
+  constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', retryable = false, retryAfterSeconds, headers, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Caller identity is missing or invalid (401)
+ */
+export class AuthenticationError extends AppError {
+  constructor(message = 'Authentication failed', options = {}) {
+    super(message, { statusCode: 401, code: 'UNAUTHORIZED', ...options });
+  }
+}
+
+/**
+ * Caller is authenticated but not allowed to perform the operation (403)
+ */
+export class AuthorizationError extends AppError {
+  constructor(message = 'Insufficient permissions', options = {}) {
+    super(message, { statusCode: 403, code: 'FORBIDDEN', ...options });
+  }
+}
+
+/**
+ * Request is malformed or fails validation (400)
+ */
+export class ValidationError extends AppError {
+  constructor(message = 'Invalid request', options = {}) {
+    super(message, { statusCode: 400, code: 'INVALID_REQUEST', ...options });
+  }
+}
+
+/**
+ * Requested resource does not exist or is not visible to the caller (404)
+ */
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', options = {}) {
+    super(message, { statusCode: 404, code: 'NOT_FOUND', ...options });
+  }
+}
+
+/**
+ * Request conflicts with the current state of the resource, e.g. a concurrent edit (409)
+ */
+export class ConflictError extends AppError {
+  constructor(message = 'Resource was modified', options = {}) {
+    super(message, { statusCode: 409, code: 'CONFLICT', ...options });
+  }
+}
+
+/**
+ * Caller has exceeded a rate limit or quota (429)
+ */
+export class RateLimitError extends AppError {
+  constructor(message = 'Rate limit exceeded', options = {}) {
+    super(message, { statusCode: 429, code: 'RATE_LIMITED', retryable: true, ...options });
+  }
+}
+
+/**
+ * A downstream AWS service failed or is unavailable (503)
+ */
+export class UpstreamError extends AppError {
+  constructor(message = 'Service temporarily unavailable', options = {}) {
+    super(message, { statusCode: 503, code: 'SERVICE_UNAVAILABLE', retryable: true, ...options });
+  }
+}
+
+/**
+ * Map any error to an API Gateway proxy response
+ * Errors that are not AppErrors become a generic 500 without leaking their message
+ */
+export function toErrorResponse(error) {
+  const appError = error instanceof AppError
+    ? error
+    : new AppError('An unexpected error occurred');
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    ...appError.headers,
+  };
+
+  if (appError.retryAfterSeconds !== undefined) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil(appError.retryAfterSeconds)));
+  }
+
+  return {
+    statusCode: appError.statusCode,
+    headers,
+    body: JSON.stringify({
+      error: {
+        code: appError.code,
+        message: appError.message,
+        retryable: appError.retryable,
+      },
+    }),
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Answer feedback reports
+ * Summarizes the ratings users gave chatbot answers, and lists the rated answers
+ * with their question and sources so knowledge base authors can fix gaps
+ *
+ * Key layout (see chatbot/feedback.js):
+ *   Feedback record: pk = FEEDBACK#<YYYY-MM-DD the answer was given>, sk = MESSAGE#<messageId>
+ */
+
+import { UpstreamError, ValidationError } from './errors.js';
+import { parseReportRange, queryPartition } from './metering.js';
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+const RATING_FILTERS = ['down', 'up', 'all'];
+
+/**
+ * Build the answer feedback report for a date range
+ * Returns rating totals, negative ratings per reason and the answers with the
+ * given rating ('down' by default, 'up' or 'all'), most recently rated first
+ */
+export async function getFeedbackReport({ from, to, rating = 'down' }, logger) {
+  if (!RATING_FILTERS.includes(rating)) {
+    throw new ValidationError(`rating must be one of: ${RATING_FILTERS.join(', ')}`, { code: 'INVALID_RATING' });
+  }
+  const days = parseReportRange({ from, to });
+
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, operation: 'getFeedbackReport', days: days.length });
+
+  let records;
+  try {
+    records = (await Promise.all(days.map(day => queryPartition(`FEEDBACK#${day}`)))).flat();
+  } catch (error) {
+    throw new UpstreamError('Failed to retrieve feedback data', { cause: error });
+  }
+
+  const negative = records.filter(record => record.rating === 'down');
+  const byReason = new Map();
+  negative.forEach(record => {
+    const reason = record.reason || 'unspecified';
+    byReason.set(reason, (byReason.get(reason) || 0) + 1);
+  });
+
+  return {
+    from: days[0],
+    to: days[days.length - 1],
+    rating,
+    totals: {
+      ratings: records.length,
+      up: records.length - negative.length,
+      down: negative.length,
+    },
+    byReason: [...byReason.entries()]
+      .map(([reason, count]) => ({ reason, count }))
+      .sort((a, b) => b.count - a.count),
+    answers: records
+      .filter(record => rating === 'all' || record.rating === rating)
+      .map(record => ({
+        messageId: record.messageId,
+        conversationId: record.conversationId,
+        userId: record.userId,
+        role: record.role,
+        rating: record.rating,
+        reason: record.reason,
+        comment: record.comment,
+        question: record.question,
+        answer: record.answer,
+        sources: record.sources || [],
+        answeredAt: record.answeredAt,
+        ratedAt: record.updatedAt,
+      }))
+      .sort((a, b) => b.ratedAt.localeCompare(a.ratedAt)),
+    timestamp: new Date().toISOString(),
+  };
+}
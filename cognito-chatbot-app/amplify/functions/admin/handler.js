@@ -5,6 +5,28 @@
 
 import { CognitoIdentityProviderClient, ListUsersCommand, AdminGetUserCommand } from '@aws-sdk/client-cognito-identity-provider';
 import { createLogger } from './logger.js';
+import { getUsage, resetUsage } from './quota.js';
+import { getUsageReport } from './metering.js';
+import { getInjectionReport } from './security.js';
+import { getIngestionReport } from './ingestion.js';
+import { getFeedbackReport } from './feedback.js';
+import { purgeAnswerCache } from './answer-cache.js';
+import {
+  activateTemplateVersion,
+  getAssignments,
+  getTemplateDetails,
+  listTemplates,
+  saveAssignments,
+  saveTemplateVersion,
+} from './templates.js';
+import {
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  UpstreamError,
+  ValidationError,
+  toErrorResponse,
+} from './errors.js';
 
 // Initialize AWS clients
 const cognitoClient = new CognitoIdentityProviderClient({});
@@ -24,7 +46,15 @@ async function validateAdminUser(username, logger) {
       Username: username,
     });
 
-    const response = await cognitoClient.send(command);
+    let response;
+    try {
+      response = await cognitoClient.send(command);
+    } catch (error) {
+      if (error.name === 'UserNotFoundException') {
+        throw new AuthenticationError('User not found', { cause: error });
+      }
+      throw new UpstreamError('User directory temporarily unavailable', { cause: error });
+    }
 
     // Extract custom:role from user attributes
     const roleAttribute = response.UserAttributes?.find(attr => attr.Name === 'custom:role');
@@ -32,7 +62,7 @@ async function validateAdminUser(username, logger) {
 
     if (!role) {
       logger.warn('User role not found in Cognito attributes', { username });
-      throw new Error('User role not found');
+      throw new AuthorizationError('Admin role required');
     }
 
     // Only allow 'admin' role
@@ -42,7 +72,7 @@ async function validateAdminUser(username, logger) {
         role,
         reason: 'Admin role required'
       });
-      throw new Error('Admin role required');
+      throw new AuthorizationError('Admin role required');
     }
 
     logger.logAuthDecision('GRANTED', {
@@ -57,6 +87,83 @@ async function validateAdminUser(username, logger) {
   }
 }
 
+/**
+ * Get the custom:role of the user whose usage is being managed
+ */
+async function getTargetUserRole(userId, logger) {
+  logger.logServiceCall('Cognito', 'AdminGetUser', { username: userId });
+
+  try {
+    const response = await cognitoClient.send(new AdminGetUserCommand({
+      UserPoolId: USER_POOL_ID,
+      Username: userId,
+    }));
+    return response.UserAttributes?.find(attr => attr.Name === 'custom:role')?.Value || 'user';
+  } catch (error) {
+    if (error.name === 'UserNotFoundException') {
+      throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND', cause: error });
+    }
+    throw new UpstreamError('User directory temporarily unavailable', { cause: error });
+  }
+}
+
+/**
+ * Get a user's question usage and remaining quota
+ */
+async function getUserUsage(userId, logger) {
+  const role = await getTargetUserRole(userId, logger);
+  const usage = await getUsage(userId, role, logger);
+
+  logger.info('Retrieved user usage', { targetUserId: userId, minute: usage.minute.used, day: usage.day.used });
+
+  return usage;
+}
+
+/**
+ * Reset a user's question usage for the current windows
+ */
+async function resetUserUsage(userId, logger) {
+  const role = await getTargetUserRole(userId, logger);
+  await resetUsage(userId, logger);
+
+  logger.info('Reset user usage', { targetUserId: userId });
+
+  return getUsage(userId, role, logger);
+}
+
+/**
+ * Parse the JSON request body
+ */
+function parseBody(event, logger) {
+  try {
+    const rawBody = event.isBase64Encoded && typeof event.body === 'string'
+      ? Buffer.from(event.body, 'base64').toString('utf-8')
+      : event.body;
+    const body = typeof rawBody === 'string' ? JSON.parse(rawBody) : rawBody;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('Body must be a JSON object');
+    }
+    return body;
+  } catch (error) {
+    logger.warn('Invalid request body', { error: error.message });
+    throw new ValidationError('Invalid request body');
+  }
+}
+
+/**
+ * Get the prompt templates and their role/department assignments
+ */
+async function getPromptSettings(logger) {
+  const [templates, assignments] = await Promise.all([
+    listTemplates(logger),
+    getAssignments(),
+  ]);
+
+  logger.info('Retrieved prompt settings', { templates: templates.length });
+
+  return { templates, assignments };
+}
+
 /**
  * Get system statistics
  */
@@ -104,7 +211,7 @@ async function getSystemStats(logger) {
     return stats;
   } catch (error) {
     logger.error('Error getting system stats', error);
-    throw new Error(`Failed to retrieve system statistics: ${error.message}`);
+    throw new UpstreamError('Failed to retrieve system statistics', { cause: error });
   }
 }
 
@@ -131,7 +238,7 @@ function validateCognitoIdentity(event, logger) {
       hasCognitoIdentity: !!cognitoIdentity,
       hasSub: !!sub,
     });
-    throw new Error('Valid Cognito identity required');
+    throw new AuthenticationError('Valid Cognito identity required');
   }
   
   logger.info('Cognito identity validated', { 
@@ -173,25 +280,59 @@ export const handler = async (event) => {
     
     // 5. Handle different admin operations
     let responseData;
+    const usageMatch = path.match(/\/users\/([^/]+)\/usage$/);
+    const templateMatch = path.match(/\/admin\/templates\/([^/]+)(\/activate)?$/);
     
-    if (path.includes('/stats') || httpMethod === 'GET') {
+    if (usageMatch && httpMethod === 'GET') {
+      // Get a user's quota usage
+      responseData = await getUserUsage(decodeURIComponent(usageMatch[1]), logger);
+    } else if (usageMatch && httpMethod === 'DELETE') {
+      // Reset a user's quota usage
+      responseData = await resetUserUsage(decodeURIComponent(usageMatch[1]), logger);
+    } else if (/\/admin\/usage$/.test(path) && httpMethod === 'GET') {
+      // Get aggregated token usage and cost
+      const { from, to } = event.queryStringParameters || {};
+      responseData = await getUsageReport({ from, to }, logger);
+    } else if (/\/admin\/security$/.test(path) && httpMethod === 'GET') {
+      // Get prompt injection detections
+      const { from, to } = event.queryStringParameters || {};
+      responseData = await getInjectionReport({ from, to }, logger);
+    } else if (/\/admin\/feedback$/.test(path) && httpMethod === 'GET') {
+      // Get answer ratings, with the rated answers (negative ones by default)
+      const { from, to, rating } = event.queryStringParameters || {};
+      responseData = await getFeedbackReport({ from, to, rating }, logger);
+    } else if (/\/admin\/ingestion$/.test(path) && httpMethod === 'GET') {
+      // Get the ingestion status of every knowledge base file
+      responseData = await getIngestionReport(logger);
+    } else if (/\/admin\/answer-cache$/.test(path) && httpMethod === 'DELETE') {
+      // Invalidate all cached answers
+      responseData = await purgeAnswerCache(identity.sub, logger);
+    } else if (/\/admin\/prompt-settings$/.test(path) && httpMethod === 'GET') {
+      // Get prompt templates and assignments
+      responseData = await getPromptSettings(logger);
+    } else if (/\/admin\/prompt-settings$/.test(path) && httpMethod === 'PUT') {
+      // Choose the template used per role and department
+      const { assignments } = parseBody(event, logger);
+      responseData = { assignments: await saveAssignments(assignments, identity.sub, logger) };
+    } else if (templateMatch && !templateMatch[2] && httpMethod === 'GET') {
+      // Get a template and its versions
+      responseData = await getTemplateDetails(decodeURIComponent(templateMatch[1]), logger);
+    } else if (templateMatch && !templateMatch[2] && httpMethod === 'PUT') {
+      // Save a new version of a template
+      const name = decodeURIComponent(templateMatch[1]);
+      await saveTemplateVersion(name, parseBody(event, logger), identity.sub, logger);
+      responseData = await getTemplateDetails(name, logger);
+    } else if (templateMatch?.[2] && httpMethod === 'POST') {
+      // Roll a template back or forward to an existing version
+      const name = decodeURIComponent(templateMatch[1]);
+      await activateTemplateVersion(name, parseBody(event, logger).version, identity.sub, logger);
+      responseData = await getTemplateDetails(name, logger);
+    } else if (path.includes('/stats') || httpMethod === 'GET') {
       // Get system statistics
       responseData = await getSystemStats(logger);
     } else {
       logger.warn('Admin operation not found', { path, httpMethod });
-      return {
-        statusCode: 404,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: {
-            code: 'NOT_FOUND',
-            message: 'Admin operation not found',
-          },
-        }),
-      };
+      throw new NotFoundError('Admin operation not found');
     }
     
     const duration = Date.now() - startTime;
@@ -211,52 +352,6 @@ export const handler = async (event) => {
     const duration = Date.now() - startTime;
     logger.error('Error processing admin request', error, { duration });
     
-    // Handle specific error types
-    if (error.message.includes('token') || error.message.includes('authorization') || error.message.includes('Cognito identity')) {
-      return {
-        statusCode: 401,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'Authentication failed',
-          },
-        }),
-      };
-    }
-    
-    if (error.message.includes('role') || error.message.includes('Admin')) {
-      return {
-        statusCode: 403,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: {
-            code: 'FORBIDDEN',
-            message: 'Admin role required',
-          },
-        }),
-      };
-    }
-    
-    // Generic error response
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-      body: JSON.stringify({
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'An unexpected error occurred',
-        },
-      }),
-    };
+    return toErrorResponse(error);
   }
 };
@@ -0,0 +1,50 @@
+/**
+ * Knowledge base ingestion reports
+ * Lists the outcome recorded by the ingestion function for every uploaded file
+ *
+ * Key layout (see ingestion/status.js):
+ *   pk = INGESTION, sk = FILE#<object key>
+ */
+
+import { UpstreamError } from './errors.js';
+import { queryPartition } from './metering.js';
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+/**
+ * Build the ingestion report: counts per status and every file, rejected files first
+ */
+export async function getIngestionReport(logger) {
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, operation: 'getIngestionReport' });
+
+  let records;
+  try {
+    records = await queryPartition('INGESTION');
+  } catch (error) {
+    throw new UpstreamError('Failed to retrieve ingestion status', { cause: error });
+  }
+
+  const files = records
+    .map(record => ({
+      sourceKey: record.sourceKey,
+      status: record.status,
+      reasons: record.reasons || [],
+      warnings: record.warnings || [],
+      documentId: record.documentId,
+      title: record.title,
+      chunks: record.chunks || 0,
+      ingestedAt: record.ingestedAt,
+    }))
+    .sort((a, b) => (a.status === b.status ? a.sourceKey.localeCompare(b.sourceKey) : a.status === 'rejected' ? -1 : 1));
+
+  return {
+    totals: {
+      files: files.length,
+      ok: files.filter(file => file.status === 'ok').length,
+      rejected: files.filter(file => file.status === 'rejected').length,
+      withWarnings: files.filter(file => file.warnings.length > 0).length,
+    },
+    files,
+    timestamp: new Date().toISOString(),
+  };
+}
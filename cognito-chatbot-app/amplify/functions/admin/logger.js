@@ -3,6 +3,8 @@
  * Provides consistent JSON-formatted logging with context
  */
 
+import { redactPii } from './pii.js';
+
 const LOG_LEVELS = {
   DEBUG: 'DEBUG',
   INFO: 'INFO',
@@ -29,7 +31,7 @@ function shouldLog(level) {
 function createLogEntry(level, message, context = {}) {
   const entry = {
     level,
-    message,
+    message: redactPii(message),
     timestamp: new Date().toISOString(),
     environment: process.env.ENVIRONMENT || 'unknown',
     ...context,
@@ -47,21 +49,29 @@ function createLogEntry(level, message, context = {}) {
 
 /**
  * Sanitize sensitive data from logs
+ * Redacts sensitive keys, and PII (emails, phone and card numbers) in string values
  */
 function sanitize(data) {
+  if (typeof data === 'string') {
+    return redactPii(data);
+  }
   if (!data || typeof data !== 'object') {
     return data;
   }
 
-  const sanitized = { ...data };
+  const sanitized = Array.isArray(data) ? [...data] : { ...data };
   const sensitiveKeys = ['password', 'token', 'authorization', 'secret', 'apikey', 'api_key'];
+  // Token counts such as inputTokens or outputTokenCount are usage figures, not credentials
+  const tokenCountKey = /tokens$|tokencount$/;
 
   Object.keys(sanitized).forEach(key => {
     const lowerKey = key.toLowerCase();
-    if (sensitiveKeys.some(sensitive => lowerKey.includes(sensitive))) {
+    if (sensitiveKeys.some(sensitive => lowerKey.includes(sensitive)) && !tokenCountKey.test(lowerKey)) {
       sanitized[key] = '[REDACTED]';
     } else if (typeof sanitized[key] === 'object' && sanitized[key] !== null) {
       sanitized[key] = sanitize(sanitized[key]);
+    } else if (typeof sanitized[key] === 'string') {
+      sanitized[key] = redactPii(sanitized[key]);
     }
   });
 
@@ -131,9 +141,9 @@ class Logger {
         ...this.context,
         ...sanitize(context),
         error: error ? {
-          message: error.message,
+          message: redactPii(error.message),
           name: error.name,
-          stack: error.stack,
+          stack: redactPii(error.stack),
           code: error.code,
         } : undefined,
       });
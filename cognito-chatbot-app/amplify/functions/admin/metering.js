@@ -0,0 +1,155 @@
+/**
+ * Token usage reports
+ * Aggregates the per-user, per-day metering records written by the chatbot function
+ *
+ * Key layout (see chatbot/metering.js):
+ *   pk = METER#<YYYY-MM-DD>, sk = USER#<sub>#MODEL#<modelId>
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { UpstreamError, ValidationError } from './errors.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+const DEFAULT_REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse and validate the report date range
+ * Defaults to the last DEFAULT_REPORT_DAYS days, including today
+ */
+export function parseReportRange({ from, to } = {}) {
+  for (const value of [from, to]) {
+    if (value !== undefined && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+      throw new ValidationError('Dates must use the YYYY-MM-DD format', { code: 'INVALID_DATE' });
+    }
+  }
+
+  const toDate = to ? new Date(`${to}T00:00:00.000Z`) : new Date(new Date().toISOString().slice(0, 10));
+  const fromDate = from ? new Date(`${from}T00:00:00.000Z`) : new Date(toDate.getTime() - (DEFAULT_REPORT_DAYS - 1) * DAY_MS);
+  const days = Math.round((toDate - fromDate) / DAY_MS) + 1;
+
+  if (days < 1) {
+    throw new ValidationError('"from" must not be after "to"', { code: 'INVALID_DATE' });
+  }
+  if (days > MAX_REPORT_DAYS) {
+    throw new ValidationError(`Reports cover at most ${MAX_REPORT_DAYS} days`, { code: 'INVALID_DATE' });
+  }
+
+  return Array.from({ length: days }, (_, index) =>
+    new Date(fromDate.getTime() + index * DAY_MS).toISOString().slice(0, 10));
+}
+
+/**
+ * Load all items in one partition of the application table
+ */
+export async function queryPartition(pk) {
+  const items = [];
+  let exclusiveStartKey;
+
+  do {
+    const response = await dynamoClient.send(new QueryCommand({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: { ':pk': pk },
+      ExclusiveStartKey: exclusiveStartKey,
+    }));
+    items.push(...(response.Items || []));
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+/**
+ * Empty usage totals
+ */
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, latencyMs: 0 };
+}
+
+/**
+ * Add one metering record to a set of totals
+ */
+function addRecord(totals, record) {
+  totals.requests += record.requests || 0;
+  totals.inputTokens += record.inputTokens || 0;
+  totals.outputTokens += record.outputTokens || 0;
+  totals.costUsd += record.costUsd || 0;
+  totals.latencyMs += record.latencyMs || 0;
+}
+
+/**
+ * Finish a set of totals for the response: round the cost and average the latency
+ */
+function summarize(totals) {
+  const { latencyMs, ...rest } = totals;
+  return {
+    ...rest,
+    costUsd: Math.round(totals.costUsd * 1e6) / 1e6,
+    averageLatencyMs: totals.requests > 0 ? Math.round(latencyMs / totals.requests) : 0,
+  };
+}
+
+/**
+ * Group records by a key and return the groups sorted by cost, highest first
+ */
+function groupBy(records, keyOf, describe) {
+  const groups = new Map();
+
+  records.forEach(record => {
+    const key = keyOf(record);
+    if (!groups.has(key)) {
+      groups.set(key, { ...describe(record), totals: emptyTotals() });
+    }
+    addRecord(groups.get(key).totals, record);
+  });
+
+  return [...groups.values()]
+    .map(({ totals, ...group }) => ({ ...group, ...summarize(totals) }))
+    .sort((a, b) => b.costUsd - a.costUsd || b.requests - a.requests);
+}
+
+/**
+ * Build the token usage report for a date range
+ * Returns totals plus breakdowns by day, user, role, department and model
+ */
+export async function getUsageReport(range, logger) {
+  const days = parseReportRange(range);
+
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, operation: 'getUsageReport', days: days.length });
+
+  let records;
+  try {
+    records = (await Promise.all(days.map(day => queryPartition(`METER#${day}`)))).flat();
+  } catch (error) {
+    throw new UpstreamError('Failed to retrieve usage data', { cause: error });
+  }
+
+  const totals = emptyTotals();
+  records.forEach(record => addRecord(totals, record));
+
+  const byDay = groupBy(records, record => record.day, record => ({ day: record.day }));
+
+  return {
+    from: days[0],
+    to: days[days.length - 1],
+    totals: summarize(totals),
+    // Every day in the range, including days without usage
+    byDay: days.map(day => byDay.find(entry => entry.day === day) || { day, ...summarize(emptyTotals()) }),
+    byUser: groupBy(records, record => record.userId, record => ({
+      userId: record.userId,
+      role: record.role,
+      department: record.department,
+    })),
+    byRole: groupBy(records, record => record.role, record => ({ role: record.role })),
+    byDepartment: groupBy(records, record => record.department || '', record => ({ department: record.department || null })),
+    byModel: groupBy(records, record => record.modelId, record => ({ modelId: record.modelId })),
+    timestamp: new Date().toISOString(),
+  };
+}
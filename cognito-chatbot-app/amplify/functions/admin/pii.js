@@ -0,0 +1,160 @@
+/**
+ * PII detection and redaction
+ * Replaces emails, phone numbers, card numbers and similar values with
+ * placeholders such as [EMAIL_1] before text reaches Bedrock, storage or logs,
+ * and can put the original values back into the model's answer
+ */
+
+// Detected in this order, so a card number is not also matched as a phone number
+const PII_PATTERNS = [
+  { type: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { type: 'CARD', pattern: /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g, validate: passesLuhn },
+  { type: 'SSN', pattern: /(?<![\d-])\d{3}-\d{2}-\d{4}(?![\d-])/g },
+  { type: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g },
+  {
+    type: 'PHONE',
+    pattern: /(?<![\w+-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}(?![\w-])|\+\d{8,15}\b/g,
+  },
+  { type: 'IP', pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g },
+];
+
+const DEFAULT_TYPES = 'EMAIL,CARD,SSN,IBAN,PHONE';
+
+// Comma-separated list of types to redact, or "none" to turn redaction off
+const PII_REDACTION_TYPES = (process.env.PII_REDACTION_TYPES ?? DEFAULT_TYPES)
+  .split(',')
+  .map(type => type.trim().toUpperCase())
+  .filter(type => PII_PATTERNS.some(entry => entry.type === type));
+
+const PLACEHOLDER_PATTERN = /\[(EMAIL|CARD|SSN|IBAN|PHONE|IP)_(\d+)\]/g;
+
+// Longest placeholder the stream restorer waits for, e.g. "[EMAIL_123]"
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+/**
+ * Luhn checksum - filters out long numbers that cannot be card numbers
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Replace every PII match in text using replacer(type, value)
+ */
+function replacePii(text, types, replacer) {
+  return PII_PATTERNS
+    .filter(entry => types.includes(entry.type))
+    .reduce((result, { type, pattern, validate }) => result.replace(pattern, value =>
+      (validate && !validate(value) ? value : replacer(type, value))), text);
+}
+
+/**
+ * Redact PII without keeping the values - for logs
+ */
+export function redactPii(text, types = PII_REDACTION_TYPES) {
+  if (!text || typeof text !== 'string' || types.length === 0) {
+    return text;
+  }
+  return replacePii(text, types, type => `[${type}]`);
+}
+
+/**
+ * PII redactor class
+ * Numbers placeholders per type and remembers the values for one request,
+ * so the same value always gets the same placeholder and can be restored
+ */
+class PiiRedactor {
+  constructor({ types = PII_REDACTION_TYPES } = {}) {
+    this.types = types;
+    this.placeholders = new Map();
+    this.values = new Map();
+    this.counters = {};
+    this.redactedCount = 0;
+  }
+
+  /**
+   * Continue numbering after placeholders already present in text (e.g. stored history)
+   */
+  reserve(text) {
+    for (const [, type, number] of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      this.counters[type] = Math.max(this.counters[type] || 0, Number(number));
+    }
+  }
+
+  /**
+   * Replace PII in text with numbered placeholders
+   */
+  redact(text) {
+    if (!text || this.types.length === 0) {
+      return text;
+    }
+    return replacePii(text, this.types, (type, value) => {
+      if (!this.placeholders.has(value)) {
+        this.counters[type] = (this.counters[type] || 0) + 1;
+        const placeholder = `[${type}_${this.counters[type]}]`;
+        this.placeholders.set(value, placeholder);
+        this.values.set(placeholder, value);
+      }
+      this.redactedCount++;
+      return this.placeholders.get(value);
+    });
+  }
+
+  /**
+   * Put the original values back; unknown placeholders are left as they are
+   */
+  restore(text) {
+    if (!text || this.values.size === 0) {
+      return text;
+    }
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => this.values.get(placeholder) ?? placeholder);
+  }
+}
+
+/**
+ * Create a redactor for one request
+ */
+export function createPiiRedactor(options) {
+  return new PiiRedactor(options);
+}
+
+/**
+ * Restore placeholders in streamed text
+ * A placeholder can be split across stream chunks, so text from an unclosed "["
+ * is held back until the placeholder is complete. Call flush() when the stream ends.
+ */
+export function createStreamRestorer(redactor, onToken) {
+  let pending = '';
+
+  return {
+    push(text) {
+      pending += text;
+      const open = pending.lastIndexOf('[');
+      const waiting = open !== -1 && !pending.includes(']', open) && pending.length - open < MAX_PLACEHOLDER_LENGTH;
+      const ready = waiting ? pending.slice(0, open) : pending;
+      pending = waiting ? pending.slice(open) : '';
+      if (ready) {
+        onToken(redactor.restore(ready));
+      }
+    },
+
+    flush() {
+      if (pending) {
+        onToken(redactor.restore(pending));
+        pending = '';
+      }
+    },
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * Prompt template defaults
+ * The built-in template and the editable field limits used by templates.js.
+ * Prompt construction lives in the chatbot function (chatbot/prompt.js), which
+ * holds the same built-in template; keep the two in sync.
+ */
+
+// Built-in template, used when no stored template applies to the user
+export const DEFAULT_TEMPLATE = {
+  name: 'default',
+  version: 0,
+  description: 'Built-in assistant prompt',
+  systemPrompt: 'You are the assistant for the Cognito Chatbot App. You answer questions from signed-in users.',
+  answerStyle: 'Answer clearly and concisely.',
+  fallbackBehavior: 'If the answer is not in the knowledge base excerpts, you can use your general knowledge but say that the information is not from the knowledge base.',
+};
+
+// Maximum length of each editable template field
+export const TEMPLATE_FIELD_LIMITS = {
+  description: 200,
+  systemPrompt: 4000,
+  answerStyle: 1000,
+  fallbackBehavior: 1000,
+};
@@ -0,0 +1,161 @@
+/**
+ * Per-user question quotas
+ * Reads and resets the per-minute and per-day question counters that the chatbot
+ * function (chatbot/quota.js) maintains in the application DynamoDB table.
+ *
+ * Key layout:
+ *   Minute counter: pk = USAGE#<sub>, sk = MINUTE#<YYYY-MM-DDTHH:MM>
+ *   Day counter:    pk = USAGE#<sub>, sk = DAY#<YYYY-MM-DD>
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, DeleteCommand, GetCommand } from '@aws-sdk/lib-dynamodb';
+import { UpstreamError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+// Limits per custom:role - override with the QUOTA_LIMITS environment variable (same JSON shape)
+const DEFAULT_QUOTA_LIMITS = {
+  user: { perMinute: 10, perDay: 200 },
+  admin: { perMinute: 30, perDay: 1000 },
+};
+
+// Limits in each role's entry
+const QUOTA_WINDOWS = ['perMinute', 'perDay'];
+
+/**
+ * Parse QUOTA_LIMITS, falling back to the defaults when unset or invalid
+ * Each role's limits are merged over its defaults, so a limit left out keeps its
+ * default; roles without defaults start from the user limits. A limit must be a
+ * whole number of questions, 0 for unlimited; an invalid one keeps its default.
+ */
+function loadQuotaLimits() {
+  if (!process.env.QUOTA_LIMITS) {
+    return DEFAULT_QUOTA_LIMITS;
+  }
+
+  const logger = createLogger({ module: 'quota' });
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.QUOTA_LIMITS);
+  } catch (error) {
+    logger.warn('Invalid QUOTA_LIMITS, using defaults', { reason: error.message });
+    return DEFAULT_QUOTA_LIMITS;
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    logger.warn('Invalid QUOTA_LIMITS, using defaults', { reason: 'not an object of roles' });
+    return DEFAULT_QUOTA_LIMITS;
+  }
+
+  const limits = { ...DEFAULT_QUOTA_LIMITS };
+  Object.entries(overrides).forEach(([role, override]) => {
+    const merged = { ...(DEFAULT_QUOTA_LIMITS[role] || DEFAULT_QUOTA_LIMITS.user) };
+    QUOTA_WINDOWS.forEach(window => {
+      const value = override?.[window];
+      if (value === undefined) {
+        return;
+      }
+      if (Number.isInteger(value) && value >= 0) {
+        merged[window] = value;
+      } else {
+        logger.warn('Invalid QUOTA_LIMITS limit, using the default', { role, window, value: String(value) });
+      }
+    });
+    limits[role] = merged;
+  });
+  return limits;
+}
+
+const QUOTA_LIMITS = loadQuotaLimits();
+
+/**
+ * Get the quota limits for a role
+ * A limit of 0 means unlimited
+ */
+export function getQuotaLimits(role) {
+  return QUOTA_LIMITS[role] || QUOTA_LIMITS.user;
+}
+
+/**
+ * Describe the current minute and day windows
+ */
+export function currentWindows(now = new Date()) {
+  const iso = now.toISOString();
+  const minuteStart = new Date(iso.slice(0, 16) + ':00.000Z');
+  const dayStart = new Date(iso.slice(0, 10) + 'T00:00:00.000Z');
+
+  return {
+    minute: {
+      sk: `MINUTE#${iso.slice(0, 16)}`,
+      resetAt: new Date(minuteStart.getTime() + 60 * 1000),
+    },
+    day: {
+      sk: `DAY#${iso.slice(0, 10)}`,
+      resetAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+    },
+  };
+}
+
+/**
+ * Describe one window's usage against its limit
+ */
+function describeWindow(item, limit, window) {
+  const used = item?.count || 0;
+  return {
+    used,
+    limit: limit || null,
+    remaining: limit > 0 ? Math.max(0, limit - used) : null,
+    resetAt: window.resetAt.toISOString(),
+  };
+}
+
+/**
+ * Get a user's usage in the current minute and day windows
+ */
+export async function getUsage(sub, role, logger) {
+  const limits = getQuotaLimits(role);
+  const windows = currentWindows();
+
+  logger.logServiceCall('DynamoDB', 'GetItem', { table: TABLE_NAME, operation: 'getUsage' });
+
+  try {
+    const [minute, day] = await Promise.all([windows.minute, windows.day].map(window =>
+      dynamoClient.send(new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { pk: `USAGE#${sub}`, sk: window.sk },
+      }))
+    ));
+
+    return {
+      userId: sub,
+      role,
+      minute: describeWindow(minute.Item, limits.perMinute, windows.minute),
+      day: describeWindow(day.Item, limits.perDay, windows.day),
+    };
+  } catch (error) {
+    throw new UpstreamError('Quota service temporarily unavailable', { cause: error });
+  }
+}
+
+/**
+ * Reset a user's counters for the current minute and day windows
+ */
+export async function resetUsage(sub, logger) {
+  const windows = currentWindows();
+
+  logger.logServiceCall('DynamoDB', 'DeleteItem', { table: TABLE_NAME, operation: 'resetUsage' });
+
+  try {
+    await Promise.all([windows.minute, windows.day].map(window =>
+      dynamoClient.send(new DeleteCommand({
+        TableName: TABLE_NAME,
+        Key: { pk: `USAGE#${sub}`, sk: window.sk },
+      }))
+    ));
+  } catch (error) {
+    throw new UpstreamError('Quota service temporarily unavailable', { cause: error });
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Prompt injection reports
+ * Summarizes the detections recorded by the chatbot function
+ *
+ * Key layout (see chatbot/injection.js):
+ *   Question detections: pk = INJECTION#<YYYY-MM-DD>, sk = QUESTION#<sub>
+ *   Document detections: pk = INJECTION#<YYYY-MM-DD>, sk = DOCUMENT#<documentId>
+ */
+
+import { UpstreamError } from './errors.js';
+import { parseReportRange, queryPartition } from './metering.js';
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+/**
+ * Merge pattern names into a sorted list without duplicates
+ */
+function mergePatterns(existing, patterns) {
+  return [...new Set([...existing, ...(patterns || [])])].sort();
+}
+
+/**
+ * Build the prompt injection report for a date range
+ * Returns detections per day, the users whose questions were flagged and the flagged documents
+ */
+export async function getInjectionReport(range, logger) {
+  const days = parseReportRange(range);
+
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, operation: 'getInjectionReport', days: days.length });
+
+  let records;
+  try {
+    records = (await Promise.all(days.map(day => queryPartition(`INJECTION#${day}`)))).flat();
+  } catch (error) {
+    throw new UpstreamError('Failed to retrieve security data', { cause: error });
+  }
+
+  const byUser = new Map();
+  const byDocument = new Map();
+
+  records.forEach(record => {
+    if (record.source === 'question') {
+      const entry = byUser.get(record.userId) || { userId: record.userId, role: record.role, detections: 0, patterns: [], lastSeenAt: '' };
+      entry.detections += record.detections || 0;
+      entry.patterns = mergePatterns(entry.patterns, record.patterns);
+      entry.lastSeenAt = record.lastSeenAt > entry.lastSeenAt ? record.lastSeenAt : entry.lastSeenAt;
+      byUser.set(record.userId, entry);
+    } else if (record.source === 'document') {
+      const entry = byDocument.get(record.documentId) || { documentId: record.documentId, title: record.title, patterns: [], lastSeenAt: '' };
+      entry.patterns = mergePatterns(entry.patterns, record.patterns);
+      entry.lastSeenAt = record.lastSeenAt > entry.lastSeenAt ? record.lastSeenAt : entry.lastSeenAt;
+      byDocument.set(record.documentId, entry);
+    }
+  });
+
+  return {
+    from: days[0],
+    to: days[days.length - 1],
+    totals: {
+      questionDetections: [...byUser.values()].reduce((total, entry) => total + entry.detections, 0),
+      flaggedDocuments: byDocument.size,
+    },
+    byDay: days.map(day => {
+      const dayRecords = records.filter(record => record.day === day);
+      return {
+        day,
+        questionDetections: dayRecords
+          .filter(record => record.source === 'question')
+          .reduce((total, record) => total + (record.detections || 0), 0),
+        flaggedDocuments: dayRecords.filter(record => record.source === 'document').length,
+      };
+    }),
+    users: [...byUser.values()].sort((a, b) => b.detections - a.detections),
+    documents: [...byDocument.values()].sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt)),
+    timestamp: new Date().toISOString(),
+  };
+}
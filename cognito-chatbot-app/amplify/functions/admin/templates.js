@@ -0,0 +1,322 @@
+/**
+ * Prompt template storage
+ * Named, versioned prompt templates and their role/department assignments in
+ * the application DynamoDB table. The admin function lists, saves, activates
+ * and assigns them; the chatbot resolves them with its own copy of the read
+ * path (chatbot/templates.js).
+ *
+ * Key layout (all in one partition, pk = PROMPT_TEMPLATES):
+ *   Template head:    sk = HEAD#<name>                 (latestVersion, activeVersion)
+ *   Template version: sk = VERSION#<name>#<000001>     (immutable once written)
+ *   Assignments:      sk = ASSIGNMENTS                 ({ default, roles, departments })
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  TransactWriteCommand,
+  UpdateCommand,
+} from '@aws-sdk/lib-dynamodb';
+import { DEFAULT_TEMPLATE, TEMPLATE_FIELD_LIMITS } from './prompt.js';
+import { ConflictError, NotFoundError, UpstreamError, ValidationError } from './errors.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+const PARTITION = 'PROMPT_TEMPLATES';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const EDITABLE_FIELDS = ['description', 'systemPrompt', 'answerStyle', 'fallbackBehavior'];
+const REQUIRED_FIELDS = ['systemPrompt', 'answerStyle', 'fallbackBehavior'];
+
+/**
+ * Sort key of one template version
+ */
+function versionKey(name, version) {
+  return `VERSION#${name}#${String(version).padStart(6, '0')}`;
+}
+
+/**
+ * Wrap a DynamoDB call so storage failures surface as UpstreamError
+ */
+async function send(command) {
+  try {
+    return await dynamoClient.send(command);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException' || error.name === 'TransactionCanceledException') {
+      throw error;
+    }
+    throw new UpstreamError('Prompt template storage temporarily unavailable', { cause: error });
+  }
+}
+
+/**
+ * Load a single item from the template partition
+ */
+async function getItem(sk) {
+  const response = await send(new GetCommand({ TableName: TABLE_NAME, Key: { pk: PARTITION, sk } }));
+  return response.Item || null;
+}
+
+/**
+ * Load all items in the template partition whose sort key starts with prefix
+ */
+async function queryPrefix(prefix, { newestFirst = false, limit } = {}) {
+  const items = [];
+  let exclusiveStartKey;
+
+  do {
+    const response = await send(new QueryCommand({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+      ExpressionAttributeValues: { ':pk': PARTITION, ':prefix': prefix },
+      ScanIndexForward: !newestFirst,
+      ExclusiveStartKey: exclusiveStartKey,
+      ...(limit ? { Limit: limit } : {}),
+    }));
+    items.push(...(response.Items || []));
+    exclusiveStartKey = limit ? undefined : response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+/**
+ * Strip storage keys from a template item
+ */
+function toTemplate({ pk: _pk, sk: _sk, ...template }) {
+  return template;
+}
+
+/**
+ * Check a template name
+ */
+export function validateTemplateName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new ValidationError('Template names use 1-40 lowercase letters, digits and hyphens', { code: 'INVALID_TEMPLATE_NAME' });
+  }
+}
+
+/**
+ * Load the assignments, or the empty default when none are stored
+ */
+export async function getAssignments() {
+  const item = await getItem('ASSIGNMENTS');
+  return {
+    default: item?.default || DEFAULT_TEMPLATE.name,
+    roles: item?.roles || {},
+    departments: item?.departments || {},
+    updatedAt: item?.updatedAt || null,
+    updatedBy: item?.updatedBy || null,
+  };
+}
+
+/**
+ * List template heads, including the built-in default when it has not been stored
+ */
+export async function listTemplates(logger) {
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, operation: 'listTemplates' });
+
+  const heads = (await queryPrefix('HEAD#')).map(toTemplate);
+  if (!heads.some(head => head.name === DEFAULT_TEMPLATE.name)) {
+    heads.unshift({
+      name: DEFAULT_TEMPLATE.name,
+      description: DEFAULT_TEMPLATE.description,
+      latestVersion: 0,
+      activeVersion: 0,
+      builtIn: true,
+    });
+  }
+  return heads;
+}
+
+/**
+ * Load a template's head, active version and recent versions (newest first)
+ */
+export async function getTemplateDetails(name, logger) {
+  validateTemplateName(name);
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, operation: 'getTemplateDetails', templateName: name });
+
+  const head = await getItem(`HEAD#${name}`);
+  if (!head) {
+    if (name === DEFAULT_TEMPLATE.name) {
+      return { name, builtIn: true, activeVersion: 0, latestVersion: 0, active: DEFAULT_TEMPLATE, versions: [DEFAULT_TEMPLATE] };
+    }
+    throw new NotFoundError('Prompt template not found', { code: 'TEMPLATE_NOT_FOUND' });
+  }
+
+  const versions = (await queryPrefix(`VERSION#${name}#`, { newestFirst: true, limit: 50 })).map(toTemplate);
+  return {
+    ...toTemplate(head),
+    active: versions.find(version => version.version === head.activeVersion)
+      || toTemplate(await getItem(versionKey(name, head.activeVersion))),
+    versions,
+  };
+}
+
+/**
+ * Validate the editable fields of a template
+ */
+function validateTemplateFields(fields) {
+  if (!fields || typeof fields !== 'object') {
+    throw new ValidationError('Template fields are required');
+  }
+  EDITABLE_FIELDS.forEach(field => {
+    const value = fields[field];
+    if (value !== undefined && typeof value !== 'string') {
+      throw new ValidationError(`${field} must be a string`);
+    }
+    if (REQUIRED_FIELDS.includes(field) && !value?.trim()) {
+      throw new ValidationError(`${field} is required`);
+    }
+    if (value && value.length > TEMPLATE_FIELD_LIMITS[field]) {
+      throw new ValidationError(`${field} must be at most ${TEMPLATE_FIELD_LIMITS[field]} characters`);
+    }
+  });
+}
+
+/**
+ * Save a new version of a template and make it active
+ * Creates the template on first save. Concurrent saves of the same template
+ * fail with a ConflictError instead of overwriting each other.
+ */
+export async function saveTemplateVersion(name, fields, updatedBy, logger) {
+  validateTemplateName(name);
+  validateTemplateFields(fields);
+
+  const head = await getItem(`HEAD#${name}`);
+  const previousVersion = head?.latestVersion || 0;
+  const version = previousVersion + 1;
+  const now = new Date().toISOString();
+
+  const template = {
+    name,
+    version,
+    description: fields.description?.trim() || '',
+    systemPrompt: fields.systemPrompt.trim(),
+    answerStyle: fields.answerStyle.trim(),
+    fallbackBehavior: fields.fallbackBehavior.trim(),
+    createdAt: now,
+    createdBy: updatedBy,
+  };
+
+  logger.logServiceCall('DynamoDB', 'TransactWriteItems', { table: TABLE_NAME, operation: 'saveTemplateVersion', templateName: name, version });
+
+  try {
+    await send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: TABLE_NAME,
+            Item: { pk: PARTITION, sk: versionKey(name, version), type: 'promptTemplateVersion', ...template },
+            ConditionExpression: 'attribute_not_exists(sk)',
+          },
+        },
+        {
+          Update: {
+            TableName: TABLE_NAME,
+            Key: { pk: PARTITION, sk: `HEAD#${name}` },
+            UpdateExpression: 'SET #type = :type, #name = :name, description = :description, latestVersion = :version, activeVersion = :version, updatedAt = :now, updatedBy = :updatedBy',
+            ConditionExpression: previousVersion
+              ? 'latestVersion = :previousVersion'
+              : 'attribute_not_exists(sk)',
+            ExpressionAttributeNames: { '#type': 'type', '#name': 'name' },
+            ExpressionAttributeValues: {
+              ':type': 'promptTemplate',
+              ':name': name,
+              ':description': template.description,
+              ':version': version,
+              ':now': now,
+              ':updatedBy': updatedBy,
+              ...(previousVersion ? { ':previousVersion': previousVersion } : {}),
+            },
+          },
+        },
+      ],
+    }));
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException') {
+      throw new ConflictError('The template was changed by someone else, reload and try again', { code: 'TEMPLATE_CONFLICT', cause: error });
+    }
+    throw error;
+  }
+
+  logger.info('Saved prompt template version', { templateName: name, version });
+  return template;
+}
+
+/**
+ * Make an existing version of a template active - used to roll back
+ */
+export async function activateTemplateVersion(name, version, updatedBy, logger) {
+  validateTemplateName(name);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ValidationError('version must be a positive integer');
+  }
+
+  if (!await getItem(versionKey(name, version))) {
+    throw new NotFoundError('Prompt template version not found', { code: 'TEMPLATE_NOT_FOUND' });
+  }
+
+  logger.logServiceCall('DynamoDB', 'UpdateItem', { table: TABLE_NAME, operation: 'activateTemplateVersion', templateName: name, version });
+
+  await send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: PARTITION, sk: `HEAD#${name}` },
+    UpdateExpression: 'SET activeVersion = :version, updatedAt = :now, updatedBy = :updatedBy',
+    ExpressionAttributeValues: { ':version': version, ':now': new Date().toISOString(), ':updatedBy': updatedBy },
+  }));
+
+  logger.info('Activated prompt template version', { templateName: name, version });
+}
+
+/**
+ * Replace the role and department assignments
+ * Every assigned template must exist (the built-in "default" always does)
+ */
+export async function saveAssignments(assignments, updatedBy, logger) {
+  const normalized = {
+    default: assignments?.default || DEFAULT_TEMPLATE.name,
+    roles: {},
+    departments: {},
+  };
+
+  const isMap = value => value === undefined || (value && typeof value === 'object' && !Array.isArray(value));
+  if (!isMap(assignments?.roles) || !isMap(assignments?.departments)) {
+    throw new ValidationError('roles and departments must be objects mapping names to template names');
+  }
+
+  Object.entries(assignments.roles || {}).forEach(([role, name]) => {
+    if (name) {
+      normalized.roles[role] = name;
+    }
+  });
+  Object.entries(assignments.departments || {}).forEach(([department, name]) => {
+    if (department.trim() && name) {
+      normalized.departments[department.trim().toLowerCase()] = name;
+    }
+  });
+
+  const names = new Set([normalized.default, ...Object.values(normalized.roles), ...Object.values(normalized.departments)]);
+  const existing = new Set((await listTemplates(logger)).map(head => head.name));
+  for (const name of names) {
+    validateTemplateName(name);
+    if (!existing.has(name)) {
+      throw new ValidationError(`Prompt template "${name}" does not exist`, { code: 'TEMPLATE_NOT_FOUND' });
+    }
+  }
+
+  logger.logServiceCall('DynamoDB', 'PutItem', { table: TABLE_NAME, operation: 'saveAssignments' });
+
+  const now = new Date().toISOString();
+  await send(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: PARTITION, sk: 'ASSIGNMENTS', type: 'promptAssignments', ...normalized, updatedAt: now, updatedBy },
+  }));
+
+  logger.info('Saved prompt template assignments', { templates: [...names] });
+  return { ...normalized, updatedAt: now, updatedBy };
+}
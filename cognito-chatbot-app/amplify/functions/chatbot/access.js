@@ -0,0 +1,51 @@
+/**
+ * Knowledge base access rules
+ * Documents may restrict who can see them with metadata.allowedRoles and
+ * metadata.allowedDepartments. A rule that is missing or empty allows everyone;
+ * a rule that is present must match the caller's custom:role / custom:department.
+ */
+
+/**
+ * Normalize a rule to a list of lowercase values
+ * Returns null when the rule is absent (no restriction) and [] when it cannot be read,
+ * so malformed rules deny access instead of allowing it
+ */
+function normalizeRule(rule) {
+  if (rule === undefined || rule === null) {
+    return null;
+  }
+  const values = typeof rule === 'string' ? [rule] : rule;
+  if (!Array.isArray(values)) {
+    return [];
+  }
+  const normalized = values
+    .filter(value => typeof value === 'string' && value.trim())
+    .map(value => value.trim().toLowerCase());
+  return normalized.length > 0 ? normalized : (values.length > 0 ? [] : null);
+}
+
+/**
+ * Check a single rule against the caller's value
+ */
+function ruleAllows(rule, value) {
+  const allowed = normalizeRule(rule);
+  if (allowed === null) {
+    return true;
+  }
+  return !!value && allowed.includes(value.trim().toLowerCase());
+}
+
+/**
+ * Check whether a caller ({ role, department }) may read a document
+ */
+export function canAccessDocument(document, { role, department }) {
+  const metadata = document?.metadata || {};
+  return ruleAllows(metadata.allowedRoles, role) && ruleAllows(metadata.allowedDepartments, department);
+}
+
+/**
+ * Keep only the documents the caller may read
+ */
+export function filterAccessibleDocuments(documents, user) {
+  return documents.filter(document => canAccessDocument(document, user));
+}
@@ -0,0 +1,134 @@
+/**
+ * Answer cache
+ * Stores answers to first questions in the application DynamoDB table so repeated
+ * FAQ-style questions skip knowledge base retrieval and the Bedrock call.
+ * The admin function purges it (admin/answer-cache.js).
+ *
+ * Key layout:
+ *   Cached answer:    pk = ANSWER_CACHE#<sha256 of cache key parts>, sk = ANSWER
+ *   Cache generation: pk = ANSWER_CACHE, sk = GENERATION
+ *
+ * The cache key covers the normalized question, the knowledge base version,
+ * the prompt template version and everything that changes which documents the
+ * caller may see or how the model answers. Purging bumps the generation, which
+ * is part of every key, so old entries are never read again and expire by TTL.
+ */
+
+import { createHash } from 'crypto';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import { UpstreamError } from './errors.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+// How long answers are reused; 0 turns the cache off
+export const ANSWER_CACHE_TTL_SECONDS = parseInt(process.env.ANSWER_CACHE_TTL_SECONDS || '3600');
+
+const GENERATION_KEY = { pk: 'ANSWER_CACHE', sk: 'GENERATION' };
+
+/**
+ * Normalize a question so trivial differences in case, spacing and punctuation hit the same entry
+ */
+export function normalizeQuestion(question) {
+  return String(question)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Version of the knowledge base, derived from the key and ETag of every object
+ * Any added, removed or changed document produces a new version
+ */
+export function getKnowledgeBaseVersion(objects) {
+  const entries = objects
+    .map(object => `${object.Key}:${object.ETag}`)
+    .sort();
+  return createHash('sha256').update(entries.join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load the current cache generation
+ */
+async function getGeneration() {
+  const response = await dynamoClient.send(new GetCommand({ TableName: TABLE_NAME, Key: GENERATION_KEY }));
+  return response.Item?.generation || 0;
+}
+
+/**
+ * Build the cache key for a question
+ * parts lists everything besides the question that affects the answer
+ * (knowledge base version, template, role, department, model, answer mode)
+ */
+export async function createCacheKey(question, parts, logger) {
+  logger.logServiceCall('DynamoDB', 'GetItem', { table: TABLE_NAME, operation: 'getCacheGeneration' });
+
+  let generation;
+  try {
+    generation = await getGeneration();
+  } catch (error) {
+    throw new UpstreamError('Answer cache temporarily unavailable', { cause: error });
+  }
+
+  const material = JSON.stringify({ generation, question: normalizeQuestion(question), ...parts });
+  return createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Load a cached answer, or null when there is none or it has expired
+ */
+export async function getCachedAnswer(cacheKey, logger) {
+  logger.logServiceCall('DynamoDB', 'GetItem', { table: TABLE_NAME, operation: 'getCachedAnswer' });
+
+  let response;
+  try {
+    response = await dynamoClient.send(new GetCommand({
+      TableName: TABLE_NAME,
+      Key: { pk: `ANSWER_CACHE#${cacheKey}`, sk: 'ANSWER' },
+    }));
+  } catch (error) {
+    throw new UpstreamError('Answer cache temporarily unavailable', { cause: error });
+  }
+
+  // DynamoDB deletes expired items lazily, so check the TTL here as well
+  const item = response.Item;
+  if (!item || item.expiresAt <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return {
+    answer: item.answer,
+    modelId: item.modelId,
+    rankedChunks: item.rankedChunks,
+    cachedAt: item.cachedAt,
+  };
+}
+
+/**
+ * Store an answer for ANSWER_CACHE_TTL_SECONDS
+ */
+export async function putCachedAnswer(cacheKey, { answer, modelId, rankedChunks }, logger) {
+  logger.logServiceCall('DynamoDB', 'PutItem', { table: TABLE_NAME, operation: 'putCachedAnswer' });
+
+  const now = new Date();
+  try {
+    await dynamoClient.send(new PutCommand({
+      TableName: TABLE_NAME,
+      Item: {
+        pk: `ANSWER_CACHE#${cacheKey}`,
+        sk: 'ANSWER',
+        type: 'answerCache',
+        answer,
+        modelId,
+        rankedChunks,
+        cachedAt: now.toISOString(),
+        expiresAt: Math.floor(now.getTime() / 1000) + ANSWER_CACHE_TTL_SECONDS,
+      },
+    }));
+  } catch (error) {
+    throw new UpstreamError('Answer cache temporarily unavailable', { cause: error });
+  }
+}
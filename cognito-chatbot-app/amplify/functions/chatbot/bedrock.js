@@ -0,0 +1,274 @@
+/**
+ * Bedrock model invocation
+ * Sends provider-specific requests through a Bedrock runtime client
+ *
+ * The client is injected so the invoker can be exercised with a stub that
+ * implements send(command) and returns { body } like BedrockRuntimeClient.
+ */
+
+import { InvokeModelCommand, InvokeModelWithResponseStreamCommand } from '@aws-sdk/client-bedrock-runtime';
+import { getProvider, parseInvocationMetrics } from './providers.js';
+
+const DEFAULT_MAX_TOKENS = 1000;
+const DEFAULT_TEMPERATURE = 0.7;
+
+// Errors worth retrying - throttling and transient service failures
+const RETRYABLE_ERROR_NAMES = new Set([
+  'ThrottlingException',
+  'TooManyRequestsException',
+  'ServiceUnavailableException',
+  'InternalServerException',
+  'ModelNotReadyException',
+  'ModelTimeoutException',
+]);
+
+// Do not start an attempt with less time than this left in the budget
+const MIN_ATTEMPT_MS = 1000;
+
+/**
+ * Parse streamed tool input JSON; a tool without parameters may stream none
+ */
+function parseToolInput(json) {
+  if (!json) {
+    return {};
+  }
+  try {
+    return JSON.parse(json);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Model invoker class
+ */
+class ModelInvoker {
+  constructor({ client, modelId, maxTokens = DEFAULT_MAX_TOKENS, temperature = DEFAULT_TEMPERATURE }) {
+    this.client = client;
+    this.modelId = modelId;
+    this.provider = getProvider(modelId);
+    this.maxTokens = maxTokens;
+    this.temperature = temperature;
+  }
+
+  /**
+   * Whether the model can call tools
+   */
+  get supportsTools() {
+    return Boolean(this.provider.supportsTools);
+  }
+
+  /**
+   * Build the JSON request body for this model
+   */
+  buildBody({ system, messages, tools, maxTokens }) {
+    return JSON.stringify(this.provider.buildRequest({
+      system,
+      messages,
+      tools: this.supportsTools ? tools : undefined,
+      maxTokens: maxTokens || this.maxTokens,
+      temperature: this.temperature,
+    }));
+  }
+
+  /**
+   * Generate a complete answer
+   * Returns { text, toolCalls, stopReason, usage, modelId }
+   */
+  async invoke({ system, messages, tools, maxTokens }, { abortSignal } = {}) {
+    const response = await this.client.send(new InvokeModelCommand({
+      modelId: this.modelId,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body: this.buildBody({ system, messages, tools, maxTokens }),
+    }), { abortSignal });
+
+    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+    const result = this.provider.parseResponse(responseBody);
+    const toolCalls = result.toolCalls || [];
+
+    if (!result.text && toolCalls.length === 0) {
+      throw new Error('No content in Bedrock response');
+    }
+
+    return { ...result, toolCalls, modelId: this.modelId };
+  }
+
+  /**
+   * Generate an answer with response streaming
+   * Calls onToken for every text delta and returns { text, toolCalls, usage, modelId }
+   */
+  async invokeStream({ system, messages, tools, maxTokens }, onToken, { abortSignal } = {}) {
+    const response = await this.client.send(new InvokeModelWithResponseStreamCommand({
+      modelId: this.modelId,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body: this.buildBody({ system, messages, tools, maxTokens }),
+    }), { abortSignal });
+
+    const decoder = new TextDecoder();
+    let text = '';
+    let usage = { inputTokens: undefined, outputTokens: undefined };
+    // Tool calls by content block index; their input arrives as JSON fragments
+    const toolUses = new Map();
+
+    for await (const event of response.body) {
+      if (!event.chunk?.bytes) {
+        continue;
+      }
+
+      const chunk = JSON.parse(decoder.decode(event.chunk.bytes));
+      const delta = this.provider.parseStreamChunk(chunk);
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+
+      const toolUse = this.provider.parseStreamToolUse?.(chunk);
+      if (toolUse?.id) {
+        toolUses.set(toolUse.index, { id: toolUse.id, name: toolUse.name, input: '' });
+      } else if (toolUse && toolUses.has(toolUse.index)) {
+        toolUses.get(toolUse.index).input += toolUse.input;
+      }
+
+      usage = parseInvocationMetrics(chunk) || usage;
+    }
+
+    const toolCalls = [...toolUses.values()].map(call => ({ ...call, input: parseToolInput(call.input) }));
+
+    if (!text && toolCalls.length === 0) {
+      throw new Error('No content in Bedrock response');
+    }
+
+    return { text, toolCalls, usage, modelId: this.modelId };
+  }
+}
+
+/**
+ * Create a model invoker for a Bedrock model id
+ */
+export function createModelInvoker(options) {
+  return new ModelInvoker(options);
+}
+
+/**
+ * Check whether a Bedrock error is transient and the call may be retried
+ */
+export function isRetryableError(error) {
+  if (RETRYABLE_ERROR_NAMES.has(error?.name)) {
+    return true;
+  }
+  const status = error?.$metadata?.httpStatusCode;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to base * 2^attempt
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  return Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run one model call, aborting it if the time budget runs out
+ */
+async function attemptInvoke(invoker, request, onToken, remainingMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), remainingMs);
+
+  try {
+    return onToken
+      ? await invoker.invokeStream(request, onToken, { abortSignal: controller.signal })
+      : await invoker.invoke(request, { abortSignal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Invoke a model with bounded retries and fallback models
+ *
+ * Each invoker is tried in order. Throttling and 5xx errors are retried with
+ * jittered exponential backoff up to maxAttempts per model; any other failure,
+ * or running out of attempts, moves on to the next invoker. Nothing is started
+ * or waited for past the deadline (epoch milliseconds). A streaming call is
+ * never retried once tokens have been sent to the caller.
+ *
+ * Returns the invoker result ({ text, usage, modelId, ... }) plus attempts made.
+ */
+export async function invokeWithRetry(invokers, request, {
+  deadline,
+  maxAttempts = 3,
+  baseDelayMs = 200,
+  maxDelayMs = 4000,
+  onToken,
+  logger,
+}) {
+  let lastError = null;
+  let attempts = 0;
+  let tokensSent = false;
+
+  const trackedOnToken = onToken
+    ? (text) => {
+        tokensSent = true;
+        onToken(text);
+      }
+    : undefined;
+
+  for (const invoker of invokers) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const remainingMs = deadline - Date.now();
+      if (remainingMs < MIN_ATTEMPT_MS) {
+        logger.warn('Bedrock time budget exhausted', { modelId: invoker.modelId, attempts });
+        throw lastError || new Error('Bedrock time budget exhausted');
+      }
+
+      attempts++;
+
+      try {
+        const result = await attemptInvoke(invoker, request, trackedOnToken, remainingMs);
+        return { ...result, attempts };
+      } catch (error) {
+        lastError = error;
+
+        if (tokensSent) {
+          throw error;
+        }
+
+        const retryable = isRetryableError(error);
+        logger.warn('Bedrock invocation failed', {
+          modelId: invoker.modelId,
+          attempt: attempt + 1,
+          errorName: error.name,
+          retryable,
+        });
+
+        if (!retryable) {
+          break;
+        }
+
+        if (attempt + 1 < maxAttempts) {
+          const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+          if (Date.now() + delay + MIN_ATTEMPT_MS >= deadline) {
+            // No time for another attempt on this model
+            break;
+          }
+          await sleep(delay);
+        }
+      }
+    }
+
+    if (invokers.length > 1 && invoker !== invokers[invokers.length - 1]) {
+      logger.warn('Switching to fallback Bedrock model', { failedModelId: invoker.modelId });
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,151 @@
+/**
+ * Knowledge base chunking utilities
+ * Splits documents into section-aware, overlapping chunks for retrieval
+ */
+
+const DEFAULT_MAX_CHARS = 1200;
+const DEFAULT_OVERLAP_CHARS = 200;
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Split Markdown content into sections at heading lines
+ * Text before the first heading becomes a section without a heading
+ */
+function splitSections(content) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  content.split('\n').forEach(line => {
+    const match = line.match(/^#{1,6}\s+(.*)$/);
+    if (match) {
+      if (current.lines.join('').trim().length > 0) {
+        sections.push(current);
+      }
+      current = { heading: match[1].trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+
+  if (current.lines.join('').trim().length > 0) {
+    sections.push(current);
+  }
+
+  return sections.map(section => ({
+    heading: section.heading,
+    text: section.lines.join('\n').trim(),
+  }));
+}
+
+/**
+ * Break a paragraph that is longer than maxChars at sentence or word boundaries
+ */
+function splitLongParagraph(paragraph, maxChars) {
+  const pieces = [];
+  let remaining = paragraph;
+
+  while (remaining.length > maxChars) {
+    const window = remaining.slice(0, maxChars);
+    let cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+    if (cut < maxChars / 2) {
+      cut = window.lastIndexOf(' ');
+    }
+    if (cut <= 0) {
+      cut = maxChars;
+    }
+    pieces.push(remaining.slice(0, cut + 1).trim());
+    remaining = remaining.slice(cut + 1).trim();
+  }
+
+  if (remaining.length > 0) {
+    pieces.push(remaining);
+  }
+
+  return pieces;
+}
+
+/**
+ * Take the trailing overlapChars of a chunk, starting at a word boundary
+ */
+function overlapTail(text, overlapChars) {
+  if (overlapChars <= 0 || text.length <= overlapChars) {
+    return '';
+  }
+  const tail = text.slice(-overlapChars);
+  const firstSpace = tail.indexOf(' ');
+  return firstSpace >= 0 ? tail.slice(firstSpace + 1) : tail;
+}
+
+/**
+ * Pack the paragraphs of a section into chunks of at most maxChars,
+ * carrying overlapChars of the previous chunk into the next one
+ */
+function packParagraphs(text, maxChars, overlapChars) {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph.length > 0)
+    .flatMap(paragraph => splitLongParagraph(paragraph, maxChars));
+
+  const chunks = [];
+  let current = '';
+
+  paragraphs.forEach(paragraph => {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      chunks.push(current);
+      const tail = overlapTail(current, overlapChars);
+      current = tail ? `${tail}\n\n${paragraph}` : paragraph;
+    } else {
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Build a short preview of chunk text for citing in responses
+ */
+export function createSnippet(text, length = SNIPPET_LENGTH) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= length) {
+    return flat;
+  }
+  const cut = flat.lastIndexOf(' ', length);
+  return `${flat.slice(0, cut > 0 ? cut : length)}...`;
+}
+
+/**
+ * Split a knowledge base document into retrievable chunks
+ * Each chunk keeps the parent document's id, title and metadata
+ */
+export function chunkDocument(doc, { maxChars = DEFAULT_MAX_CHARS, overlapChars = DEFAULT_OVERLAP_CHARS } = {}) {
+  const content = typeof doc.content === 'string' ? doc.content : '';
+  const chunks = [];
+
+  splitSections(content).forEach(section => {
+    packParagraphs(section.text, maxChars, overlapChars).forEach(text => {
+      chunks.push({
+        chunkId: `${doc.documentId}#${chunks.length}`,
+        documentId: doc.documentId,
+        title: doc.title,
+        heading: section.heading,
+        content: text,
+        metadata: doc.metadata || {},
+      });
+    });
+  });
+
+  return chunks;
+}
+
+/**
+ * Chunk every document in the knowledge base
+ */
+export function chunkDocuments(documents, options = {}) {
+  return documents.flatMap(doc => chunkDocument(doc, options));
+}
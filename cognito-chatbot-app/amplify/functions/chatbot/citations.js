@@ -0,0 +1,47 @@
+/**
+ * Inline citations
+ * The model cites knowledge base excerpts by their index in the prompt, e.g.
+ * "Reset it from the login page [2]." or "[1, 3]". Markers are checked against
+ * the excerpts that were actually sent: citations of excerpts that do not exist
+ * are dropped from the answer, and only cited excerpts are listed as sources.
+ */
+
+// One marker: "[1]", "[1, 3]" or "[1,3]", with the spaces before it
+const MARKER_PATTERN = /[ \t]*\[(\d{1,3}(?:\s*,\s*\d{1,3})*)\]/g;
+
+/**
+ * Validate the citation markers in an answer against the excerpts sent to the model
+ * Valid markers are normalized to "[1][3]"; markers citing no sent excerpt are removed.
+ * Returns { answer, citations, dropped } where citations are the cited excerpt
+ * numbers (1-based, ascending) and dropped the numbers that did not match an excerpt.
+ */
+export function extractCitations(answer, rankedChunks) {
+  const cited = new Set();
+  const dropped = new Set();
+
+  const text = String(answer).replace(MARKER_PATTERN, (marker, list) => {
+    const numbers = [...new Set(list.split(',').map(value => parseInt(value.trim(), 10)))];
+    const valid = numbers.filter(number => number >= 1 && number <= rankedChunks.length);
+    numbers.filter(number => !valid.includes(number)).forEach(number => dropped.add(number));
+    valid.forEach(number => cited.add(number));
+
+    if (valid.length === 0) {
+      return '';
+    }
+    const space = marker.match(/^[ \t]*/)[0];
+    return space + valid.map(number => `[${number}]`).join('');
+  });
+
+  return {
+    answer: text,
+    citations: [...cited].sort((a, b) => a - b),
+    dropped: [...dropped].sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Remove every citation marker, e.g. from earlier answers whose excerpt numbers no longer apply
+ */
+export function stripCitations(text) {
+  return String(text).replace(MARKER_PATTERN, '');
+}
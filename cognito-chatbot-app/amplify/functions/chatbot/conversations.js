@@ -0,0 +1,467 @@
+/**
+ * Conversation history storage
+ * Persists chatbot turns in the application DynamoDB table
+ *
+ * Key layout:
+ *   Conversation record: pk = USER#<sub>,  sk = CONV#<conversationId>
+ *   Conversation turn:   pk = CONV#<conversationId>, sk = TURN#<ISO timestamp>#<seq>
+ *
+ * The record's expiresAt moves with every exchange. Its turnsExpireAt is the
+ * earliest expiry any turn has; turns are written to expire no earlier than it,
+ * and are extended in bulk only when it falls behind the record's expiry.
+ *
+ * Every function that takes the caller's sub only reads or changes conversations
+ * that sub owns.
+ */
+
+import { randomUUID } from 'crypto';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import {
+  BatchWriteCommand,
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  QueryCommand,
+  TransactWriteCommand,
+  UpdateCommand,
+} from '@aws-sdk/lib-dynamodb';
+import { UpstreamError } from './errors.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+const CONVERSATION_TTL_DAYS = parseInt(process.env.CONVERSATION_TTL_DAYS || '30');
+
+// Longest conversation title
+export const MAX_TITLE_LENGTH = 100;
+
+// DynamoDB accepts at most 25 requests per BatchWriteItem call
+const BATCH_WRITE_SIZE = 25;
+
+// Turns are given this much longer than the conversation record when their expiry is
+// extended, so an active conversation's turns are extended at most once per period
+const TURN_TTL_REFRESH_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Build the DynamoDB keys for a conversation record
+ */
+function conversationKey(sub, conversationId) {
+  return { pk: `USER#${sub}`, sk: `CONV#${conversationId}` };
+}
+
+/**
+ * Epoch seconds at which conversation items expire (DynamoDB TTL)
+ */
+function expiresAt(now) {
+  return Math.floor(now / 1000) + CONVERSATION_TTL_DAYS * 24 * 60 * 60;
+}
+
+/**
+ * Query every item of a partition, following pagination
+ */
+async function queryAll(params) {
+  const items = [];
+  let exclusiveStartKey;
+  do {
+    const response = await dynamoClient.send(new QueryCommand({ ...params, ExclusiveStartKey: exclusiveStartKey }));
+    items.push(...(response.Items || []));
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+  return items;
+}
+
+/**
+ * Load every turn of a user's conversation, oldest first
+ */
+async function loadTurns(sub, conversationId, logger) {
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, conversationId, operation: 'loadTurns' });
+
+  let turns;
+  try {
+    turns = await queryAll({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+      ExpressionAttributeValues: {
+        ':pk': `CONV#${conversationId}`,
+        ':prefix': 'TURN#',
+      },
+    });
+  } catch (error) {
+    throw new UpstreamError('Conversation storage temporarily unavailable', { cause: error });
+  }
+
+  return turns.filter(turn => turn.owner === sub);
+}
+
+/**
+ * Public fields of a conversation record
+ */
+function toSummary(item) {
+  return {
+    conversationId: item.conversationId,
+    title: item.title,
+    messageCount: item.messageCount,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+  };
+}
+
+/**
+ * Generate a new, unguessable conversation id
+ */
+export function createConversationId() {
+  return `conv-${randomUUID()}`;
+}
+
+/**
+ * Generate a new id for an answer, used to attach feedback to it
+ */
+export function createMessageId() {
+  return `msg-${randomUUID()}`;
+}
+
+/**
+ * Load a conversation record, returning null unless it belongs to the given user
+ */
+export async function getConversation(sub, conversationId, logger) {
+  logger.logServiceCall('DynamoDB', 'GetItem', { table: TABLE_NAME, conversationId });
+
+  let response;
+  try {
+    response = await dynamoClient.send(new GetCommand({
+      TableName: TABLE_NAME,
+      Key: conversationKey(sub, conversationId),
+    }));
+  } catch (error) {
+    throw new UpstreamError('Conversation storage temporarily unavailable', { cause: error });
+  }
+
+  if (!response.Item || response.Item.owner !== sub) {
+    return null;
+  }
+
+  return response.Item;
+}
+
+/**
+ * Load the most recent exchanges of a conversation, oldest first
+ * Each exchange is a question and its answer, so up to 2 * maxExchanges messages are returned
+ */
+export async function loadHistory(conversationId, maxExchanges, logger) {
+  if (maxExchanges <= 0) {
+    return [];
+  }
+
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, conversationId, limit: maxExchanges * 2 });
+
+  let response;
+  try {
+    response = await dynamoClient.send(new QueryCommand({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+      ExpressionAttributeValues: {
+        ':pk': `CONV#${conversationId}`,
+        ':prefix': 'TURN#',
+      },
+      ScanIndexForward: false,
+      Limit: maxExchanges * 2,
+    }));
+  } catch (error) {
+    throw new UpstreamError('Conversation storage temporarily unavailable', { cause: error });
+  }
+
+  const turns = (response.Items || []).reverse();
+
+  // Bedrock expects the conversation to start with a user message
+  while (turns.length > 0 && turns[0].role !== 'user') {
+    turns.shift();
+  }
+
+  return turns.map(turn => ({
+    role: turn.role,
+    content: turn.content,
+    createdAt: turn.createdAt,
+  }));
+}
+
+/**
+ * List the user's conversations, most recently updated first
+ */
+export async function listConversations(sub, logger) {
+  logger.logServiceCall('DynamoDB', 'Query', { table: TABLE_NAME, operation: 'listConversations' });
+
+  let items;
+  try {
+    items = await queryAll({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+      ExpressionAttributeValues: {
+        ':pk': `USER#${sub}`,
+        ':prefix': 'CONV#',
+      },
+    });
+  } catch (error) {
+    throw new UpstreamError('Conversation storage temporarily unavailable', { cause: error });
+  }
+
+  return items
+    .filter(item => item.owner === sub)
+    .map(toSummary)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Load a user's conversation with every turn, oldest first
+ * Returns null unless the conversation belongs to the user
+ */
+export async function getTranscript(sub, conversationId, logger) {
+  const conversation = await getConversation(sub, conversationId, logger);
+  if (!conversation) {
+    return null;
+  }
+
+  const turns = await loadTurns(sub, conversationId, logger);
+
+  return {
+    ...toSummary(conversation),
+    messages: turns.map(turn => ({
+      ...(turn.messageId ? { messageId: turn.messageId } : {}),
+      role: turn.role,
+      content: turn.content,
+      ...(turn.sources ? { sources: turn.sources } : {}),
+      ...(turn.feedback ? { feedback: turn.feedback } : {}),
+      createdAt: turn.createdAt,
+    })),
+  };
+}
+
+/**
+ * Find an answer in a user's conversation by its message id
+ * Returns { turn, question } with the stored answer turn and the question it
+ * answered, or null unless the conversation belongs to the user and has the answer
+ */
+export async function findAnswer(sub, conversationId, messageId, logger) {
+  const conversation = await getConversation(sub, conversationId, logger);
+  if (!conversation) {
+    return null;
+  }
+
+  const turns = await loadTurns(sub, conversationId, logger);
+  const index = turns.findIndex(turn => turn.role === 'assistant' && turn.messageId === messageId);
+  if (index === -1) {
+    return null;
+  }
+
+  const question = turns.slice(0, index).reverse().find(turn => turn.role === 'user');
+  return { turn: turns[index], question: question?.content ?? null };
+}
+
+/**
+ * Rename a user's conversation
+ * Returns the updated conversation, or null unless it belongs to the user
+ */
+export async function renameConversation(sub, conversationId, title, logger) {
+  logger.logServiceCall('DynamoDB', 'UpdateItem', { table: TABLE_NAME, conversationId, operation: 'renameConversation' });
+
+  try {
+    const response = await dynamoClient.send(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: conversationKey(sub, conversationId),
+      UpdateExpression: 'SET title = :title',
+      ConditionExpression: '#owner = :sub',
+      ExpressionAttributeNames: { '#owner': 'owner' },
+      ExpressionAttributeValues: { ':title': title, ':sub': sub },
+      ReturnValues: 'ALL_NEW',
+    }));
+    return toSummary(response.Attributes);
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw new UpstreamError('Conversation storage temporarily unavailable', { cause: error });
+  }
+}
+
+/**
+ * Delete a user's conversation and its turns
+ * The record goes first, so the conversation disappears even if deleting turns
+ * fails part way; leftover turns can no longer be read and expire by TTL.
+ * Returns false unless the conversation belonged to the user.
+ */
+export async function deleteConversation(sub, conversationId, logger) {
+  logger.logServiceCall('DynamoDB', 'DeleteItem', { table: TABLE_NAME, conversationId, operation: 'deleteConversation' });
+
+  try {
+    await dynamoClient.send(new DeleteCommand({
+      TableName: TABLE_NAME,
+      Key: conversationKey(sub, conversationId),
+      ConditionExpression: '#owner = :sub',
+      ExpressionAttributeNames: { '#owner': 'owner' },
+      ExpressionAttributeValues: { ':sub': sub },
+    }));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw new UpstreamError('Conversation storage temporarily unavailable', { cause: error });
+  }
+
+  try {
+    const turns = await queryAll({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+      ExpressionAttributeValues: {
+        ':pk': `CONV#${conversationId}`,
+        ':prefix': 'TURN#',
+      },
+      ProjectionExpression: 'pk, sk',
+    });
+
+    logger.logServiceCall('DynamoDB', 'BatchWriteItem', { table: TABLE_NAME, conversationId, turns: turns.length });
+    for (let start = 0; start < turns.length; start += BATCH_WRITE_SIZE) {
+      let requests = turns.slice(start, start + BATCH_WRITE_SIZE)
+        .map(turn => ({ DeleteRequest: { Key: { pk: turn.pk, sk: turn.sk } } }));
+      // Retry unprocessed deletes a few times; anything left expires by TTL
+      for (let attempt = 0; attempt < 3 && requests.length > 0; attempt++) {
+        const response = await dynamoClient.send(new BatchWriteCommand({ RequestItems: { [TABLE_NAME]: requests } }));
+        requests = response.UnprocessedItems?.[TABLE_NAME] || [];
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to delete conversation turns', error, { conversationId });
+  }
+
+  return true;
+}
+
+/**
+ * Extend the expiry of a conversation's earlier turns to turnTtl
+ * Turns are stamped with an expiry when written; without this the early turns of
+ * a long-running conversation would expire while the conversation record stays.
+ * The record's turnsExpireAt is moved only once every turn is extended, so a
+ * refresh that fails part way is repeated on the next exchange.
+ */
+async function refreshTurnExpiry(sub, conversationId, turnTtl, logger) {
+  const turns = await queryAll({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+    FilterExpression: 'expiresAt < :ttl',
+    ExpressionAttributeValues: {
+      ':pk': `CONV#${conversationId}`,
+      ':prefix': 'TURN#',
+      ':ttl': turnTtl,
+    },
+    ProjectionExpression: 'pk, sk',
+  });
+
+  logger.logServiceCall('DynamoDB', 'UpdateItem', { table: TABLE_NAME, conversationId, operation: 'refreshTurnExpiry', turns: turns.length });
+  for (let start = 0; start < turns.length; start += BATCH_WRITE_SIZE) {
+    await Promise.all(turns.slice(start, start + BATCH_WRITE_SIZE).map(turn =>
+      dynamoClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { pk: turn.pk, sk: turn.sk },
+        UpdateExpression: 'SET expiresAt = :ttl',
+        ConditionExpression: 'attribute_exists(pk)',
+        ExpressionAttributeValues: { ':ttl': turnTtl },
+      })).catch(error => {
+        // The turn was deleted in the meantime
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      })
+    ));
+  }
+
+  await dynamoClient.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: conversationKey(sub, conversationId),
+    UpdateExpression: 'SET turnsExpireAt = :ttl',
+    ConditionExpression: '#owner = :sub',
+    ExpressionAttributeNames: { '#owner': 'owner' },
+    ExpressionAttributeValues: { ':ttl': turnTtl, ':sub': sub },
+  }));
+}
+
+/**
+ * Append a question/answer exchange to a conversation
+ * Creates the conversation record on the first exchange, and extends the expiry
+ * of earlier turns when the conversation would outlive them.
+ * messageId identifies the answer and sources are the excerpts it cited, both
+ * stored with the answer turn. turnsExpireAt is the conversation record's value
+ * (see getConversation), unset for new conversations.
+ */
+export async function saveExchange({ sub, conversationId, question, answer, messageId, sources = [], isNew, turnsExpireAt }, logger) {
+  const now = Date.now();
+  const timestamp = new Date(now).toISOString();
+  const ttl = expiresAt(now);
+  // Records written before turnsExpireAt existed get their turns refreshed once
+  const refreshTurns = !isNew && !(turnsExpireAt >= ttl);
+  const turnTtl = isNew || refreshTurns ? ttl + TURN_TTL_REFRESH_SECONDS : turnsExpireAt;
+
+  logger.logServiceCall('DynamoDB', 'TransactWriteItems', { table: TABLE_NAME, conversationId, isNew });
+
+  const conversationUpdate = isNew
+    ? {
+        Put: {
+          TableName: TABLE_NAME,
+          Item: {
+            ...conversationKey(sub, conversationId),
+            type: 'conversation',
+            conversationId,
+            owner: sub,
+            title: question.slice(0, MAX_TITLE_LENGTH),
+            messageCount: 2,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            expiresAt: ttl,
+            turnsExpireAt: turnTtl,
+          },
+          ConditionExpression: 'attribute_not_exists(pk)',
+        },
+      }
+    : {
+        Update: {
+          TableName: TABLE_NAME,
+          Key: conversationKey(sub, conversationId),
+          UpdateExpression: 'SET updatedAt = :now, expiresAt = :ttl ADD messageCount :two',
+          ConditionExpression: '#owner = :sub',
+          ExpressionAttributeNames: { '#owner': 'owner' },
+          ExpressionAttributeValues: { ':now': timestamp, ':ttl': ttl, ':two': 2, ':sub': sub },
+        },
+      };
+
+  const turn = (seq, role, content, extra = {}) => ({
+    Put: {
+      TableName: TABLE_NAME,
+      Item: {
+        pk: `CONV#${conversationId}`,
+        sk: `TURN#${timestamp}#${seq}`,
+        type: 'turn',
+        conversationId,
+        owner: sub,
+        role,
+        content,
+        ...extra,
+        createdAt: timestamp,
+        expiresAt: turnTtl,
+      },
+    },
+  });
+
+  await dynamoClient.send(new TransactWriteCommand({
+    TransactItems: [
+      conversationUpdate,
+      turn(1, 'user', question),
+      turn(2, 'assistant', answer, { messageId, ...(sources.length > 0 ? { sources } : {}) }),
+    ],
+  }));
+
+  if (refreshTurns) {
+    try {
+      await refreshTurnExpiry(sub, conversationId, turnTtl, logger);
+    } catch (error) {
+      // The exchange is saved; the next exchange tries again
+      logger.warn('Failed to extend conversation turn expiry', { conversationId, errorName: error.name });
+    }
+  }
+}
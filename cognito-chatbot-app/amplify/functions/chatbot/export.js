@@ -0,0 +1,208 @@
+/**
+ * Conversation export
+ * Formats a stored conversation transcript (see conversations.js) as Markdown,
+ * JSON or a print-friendly HTML page. Messages are stored with PII already
+ * replaced by placeholders; they are redacted again with the current
+ * PII_REDACTION_TYPES, as are cited passages, so turns stored before redaction
+ * was enabled do not leak into exports.
+ */
+
+import { redactPii } from './pii.js';
+
+export const EXPORT_FORMATS = ['markdown', 'json', 'html'];
+
+const CONTENT_TYPES = {
+  markdown: 'text/markdown; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+
+const EXTENSIONS = {
+  markdown: 'md',
+  json: 'json',
+  html: 'html',
+};
+
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'AI Assistant',
+};
+
+/**
+ * Copy of a transcript with PII redacted from messages and cited passages
+ */
+function redactTranscript(transcript) {
+  return {
+    ...transcript,
+    title: redactPii(transcript.title),
+    messages: transcript.messages.map(message => ({
+      ...message,
+      content: redactPii(message.content),
+      sources: (message.sources || []).map(source => ({
+        ...source,
+        snippet: redactPii(source.snippet),
+        passage: redactPii(source.passage),
+      })),
+    })),
+  };
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Name of a cited source, e.g. "[2] User Guide - Passwords"
+ */
+function sourceLabel(source) {
+  return `[${source.citation}] ${source.documentName}${source.heading ? ` - ${source.heading}` : ''}`;
+}
+
+/**
+ * File name for an export, built from the conversation title
+ */
+function exportFileName(transcript, format) {
+  const slug = transcript.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+  return `${slug || 'conversation'}-${transcript.conversationId}.${EXTENSIONS[format]}`;
+}
+
+/**
+ * Markdown transcript with cited passages as quotes
+ */
+function toMarkdown(transcript, exportedAt) {
+  const lines = [
+    `# ${transcript.title}`,
+    '',
+    `- Conversation: ${transcript.conversationId}`,
+    `- Started: ${transcript.createdAt}`,
+    `- Last updated: ${transcript.updatedAt}`,
+    `- Exported: ${exportedAt}`,
+  ];
+
+  for (const message of transcript.messages) {
+    lines.push('', `## ${ROLE_LABELS[message.role] || message.role} (${message.createdAt})`, '', message.content);
+    if (message.sources.length > 0) {
+      lines.push('', '**Sources**', '');
+      message.sources.forEach(source => {
+        lines.push(`- ${sourceLabel(source)}`);
+        if (source.passage || source.snippet) {
+          lines.push(`  > ${(source.passage || source.snippet).replace(/\s*\n\s*/g, ' ')}`);
+        }
+      });
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * JSON transcript with sources and timestamps
+ */
+function toJson(transcript, exportedAt) {
+  return JSON.stringify({
+    conversationId: transcript.conversationId,
+    title: transcript.title,
+    createdAt: transcript.createdAt,
+    updatedAt: transcript.updatedAt,
+    exportedAt,
+    messages: transcript.messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      createdAt: message.createdAt,
+      sources: message.sources.map(source => ({
+        citation: source.citation,
+        documentName: source.documentName,
+        documentId: source.documentId,
+        chunkId: source.chunkId,
+        heading: source.heading ?? null,
+        passage: source.passage || source.snippet,
+      })),
+    })),
+  }, null, 2);
+}
+
+/**
+ * Standalone HTML page styled for printing
+ */
+function toHtml(transcript, exportedAt) {
+  const messages = transcript.messages.map(message => {
+    const sources = message.sources.length === 0 ? '' : `
+      <div class="sources">
+        <h3>Sources</h3>
+        ${message.sources.map(source => `
+        <blockquote>
+          <div class="source">${escapeHtml(sourceLabel(source))}</div>
+          <p>${escapeHtml(source.passage || source.snippet)}</p>
+        </blockquote>`).join('')}
+      </div>`;
+
+    return `
+    <section class="message ${escapeHtml(message.role)}">
+      <h2>${escapeHtml(ROLE_LABELS[message.role] || message.role)} <time>${escapeHtml(message.createdAt)}</time></h2>
+      <p class="content">${escapeHtml(message.content)}</p>${sources}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(transcript.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #212529; }
+    h1 { font-size: 1.5rem; }
+    .meta { color: #6c757d; font-size: 0.875rem; }
+    .message { border-top: 1px solid #dee2e6; padding: 0.75rem 0; break-inside: avoid; }
+    .message h2 { font-size: 1rem; margin: 0 0 0.5rem; }
+    .message time { color: #6c757d; font-weight: normal; font-size: 0.875rem; }
+    .content { white-space: pre-wrap; margin: 0; }
+    .sources h3 { font-size: 0.875rem; margin: 0.75rem 0 0.25rem; }
+    blockquote { margin: 0.5rem 0; padding-left: 0.75rem; border-left: 3px solid #dee2e6; font-size: 0.875rem; }
+    blockquote p { margin: 0.25rem 0 0; white-space: pre-wrap; }
+    .source { font-weight: 600; }
+    @media print { body { margin: 0; max-width: none; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(transcript.title)}</h1>
+  <p class="meta">
+    Conversation ${escapeHtml(transcript.conversationId)} &middot;
+    started ${escapeHtml(transcript.createdAt)} &middot;
+    last updated ${escapeHtml(transcript.updatedAt)} &middot;
+    exported ${escapeHtml(exportedAt)}
+  </p>${messages}
+</body>
+</html>
+`;
+}
+
+const FORMATTERS = {
+  markdown: toMarkdown,
+  json: toJson,
+  html: toHtml,
+};
+
+/**
+ * Format a conversation transcript for download
+ * Returns { body, contentType, fileName }
+ */
+export function exportTranscript(transcript, format) {
+  const redacted = redactTranscript(transcript);
+  return {
+    body: FORMATTERS[format](redacted, new Date().toISOString()),
+    contentType: CONTENT_TYPES[format],
+    fileName: exportFileName(redacted, format),
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * Answer feedback
+ * Stores users' ratings of chatbot answers for the admin feedback report.
+ * A record keeps the question, the answer and its cited sources, so it stays
+ * useful after the conversation expires or is deleted. Rating an answer again
+ * replaces the earlier rating. The rating is also set on the answer turn, so
+ * transcripts show it.
+ *
+ * Key layout:
+ *   Feedback record: pk = FEEDBACK#<YYYY-MM-DD the answer was given>, sk = MESSAGE#<messageId>
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { UpstreamError } from './errors.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+// How long feedback is kept for reports
+const FEEDBACK_RETENTION_DAYS = 400;
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+
+// Why an answer was not helpful
+export const FEEDBACK_REASONS = ['incorrect', 'incomplete', 'outdated', 'not_in_knowledge_base', 'unclear', 'other'];
+
+// Longest comment accepted
+export const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Record a user's rating of an answer
+ * answer is the stored answer turn and question the question it answered (see
+ * conversations.js findAnswer). Returns the saved feedback, or null if the answer
+ * was deleted in the meantime.
+ */
+export async function saveFeedback({ sub, role, conversationId, answer, question, rating, reason, comment }, logger) {
+  const now = new Date().toISOString();
+  const feedback = {
+    messageId: answer.messageId,
+    rating,
+    reason: reason || null,
+    comment: comment || null,
+    updatedAt: now,
+  };
+
+  logger.logServiceCall('DynamoDB', 'TransactWriteItems', { table: TABLE_NAME, operation: 'saveFeedback', rating });
+
+  try {
+    await dynamoClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: TABLE_NAME,
+            Item: {
+              pk: `FEEDBACK#${answer.createdAt.slice(0, 10)}`,
+              sk: `MESSAGE#${answer.messageId}`,
+              type: 'feedback',
+              ...feedback,
+              conversationId,
+              userId: sub,
+              role,
+              question,
+              answer: answer.content,
+              sources: (answer.sources || []).map(source => ({
+                citation: source.citation,
+                documentName: source.documentName,
+                documentId: source.documentId,
+                chunkId: source.chunkId,
+                heading: source.heading ?? null,
+              })),
+              answeredAt: answer.createdAt,
+              expiresAt: Math.floor(Date.now() / 1000) + FEEDBACK_RETENTION_DAYS * 24 * 60 * 60,
+            },
+          },
+        },
+        {
+          Update: {
+            TableName: TABLE_NAME,
+            Key: { pk: answer.pk, sk: answer.sk },
+            UpdateExpression: 'SET feedback = :rating',
+            ConditionExpression: 'attribute_exists(pk)',
+            ExpressionAttributeValues: { ':rating': rating },
+          },
+        },
+      ],
+    }));
+  } catch (error) {
+    if (error.name === 'TransactionCanceledException'
+      && error.CancellationReasons?.some(entry => entry.Code === 'ConditionalCheckFailed')) {
+      return null;
+    }
+    throw new UpstreamError('Feedback storage temporarily unavailable', { cause: error });
+  }
+
+  return feedback;
+}
@@ -0,0 +1,92 @@
+/**
+ * Answer grounding
+ * Strict knowledge-base-only mode and a lexical check of whether an answer is
+ * supported by the knowledge base excerpts it was generated from
+ */
+
+import { tokenize } from './retrieval.js';
+
+// 'open' lets the model fall back to general knowledge, 'strict' answers only from the knowledge base
+export const ANSWER_MODE = process.env.ANSWER_MODE === 'strict' ? 'strict' : 'open';
+
+// In strict mode, chunks must pass the threshold of each retrieval method that found them
+// to count as relevant: a BM25 score above STRICT_MIN_SCORE (keyword and hybrid retrieval)
+// or a cosine similarity of at least STRICT_MIN_SIMILARITY (vector and hybrid retrieval)
+export const STRICT_MIN_SCORE = parseFloat(process.env.STRICT_MIN_SCORE || '1');
+export const STRICT_MIN_SIMILARITY = parseFloat(process.env.STRICT_MIN_SIMILARITY || '0.5');
+
+// Standard response when the knowledge base has no answer
+export const NOT_FOUND_ANSWER = process.env.NOT_FOUND_ANSWER
+  || 'I could not find an answer to that in the knowledge base.';
+
+// Replaces the template's fallback behavior in strict mode
+export const STRICT_FALLBACK_BEHAVIOR = 'Use only the knowledge base excerpts and never your general knowledge.'
+  + ` If the excerpts do not contain the answer, reply with exactly: "${NOT_FOUND_ANSWER}"`;
+
+// Share of checked answer sentences that must be supported for the answer to count as grounded
+const GROUNDING_MIN_SUPPORT = parseFloat(process.env.GROUNDING_MIN_SUPPORT || '0.8');
+
+// Share of a sentence's terms that must appear in the excerpts for the sentence to be supported
+const SENTENCE_MIN_OVERLAP = 0.5;
+
+// Sentences with fewer terms ("Sure.", "Hope this helps!") are not checked
+const SENTENCE_MIN_TERMS = 3;
+
+/**
+ * Reduce a term to a rough stem so "policies" matches "policy" and "requested" matches "request"
+ */
+function stem(term) {
+  return term
+    .replace(/ies$/, 'y')
+    .replace(/(?<=\w{3})(ing|ed|es|s)$/, '');
+}
+
+/**
+ * Stemmed terms of a text
+ */
+function stemmedTerms(text) {
+  return tokenize(text).map(stem);
+}
+
+/**
+ * Whether the answer is the standard "not found in knowledge base" response
+ */
+export function isNotFoundAnswer(answer) {
+  const normalize = text => String(text || '').trim().replace(/^"|"$/g, '').toLowerCase();
+  return normalize(answer) === normalize(NOT_FOUND_ANSWER);
+}
+
+/**
+ * Check whether an answer is supported by the excerpts it was generated from
+ * Each answer sentence is supported when most of its terms (other than terms
+ * repeated from the question) appear in the excerpts. This is a lexical check:
+ * it catches answers built from outside knowledge, not subtle misstatements.
+ * Returns { grounded, support, checkedSentences, unsupportedSentences }
+ */
+export function checkGrounding(answer, rankedChunks, question) {
+  if (rankedChunks.length === 0 || isNotFoundAnswer(answer)) {
+    return { grounded: false, support: 0, checkedSentences: 0, unsupportedSentences: 0 };
+  }
+
+  const contextTerms = new Set(rankedChunks.flatMap(({ document: chunk }) =>
+    stemmedTerms(`${chunk.title || ''} ${chunk.heading || ''} ${chunk.content}`)));
+  const questionTerms = new Set(stemmedTerms(question));
+
+  const sentences = String(answer)
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => stemmedTerms(sentence).filter(term => !questionTerms.has(term)))
+    .filter(terms => terms.length >= SENTENCE_MIN_TERMS);
+
+  const supported = sentences.filter(terms =>
+    terms.filter(term => contextTerms.has(term)).length / terms.length >= SENTENCE_MIN_OVERLAP).length;
+
+  // An answer with nothing to check (e.g. "Yes.") is not contradicted by the excerpts
+  const support = sentences.length > 0 ? supported / sentences.length : 1;
+
+  return {
+    grounded: support >= GROUNDING_MIN_SUPPORT,
+    support: Math.round(support * 100) / 100,
+    checkedSentences: sentences.length,
+    unsupportedSentences: sentences.length - supported,
+  };
+}
@@ -3,21 +3,132 @@
  * Processes user questions and generates AI responses using Amazon Bedrock
  */
 
-import { S3Client, GetObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
-import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+import { BedrockRuntimeClient } from '@aws-sdk/client-bedrock-runtime';
 import { CognitoIdentityProviderClient, AdminGetUserCommand } from '@aws-sdk/client-cognito-identity-provider';
 import { createLogger } from './logger.js';
+import { rankByVector, rankDocuments, rankHybrid } from './retrieval.js';
+import { createSnippet } from './chunking.js';
+import { getChunkVector, getDocumentChunks, listKnowledgeBaseObjects, loadKnowledgeBase } from './knowledge-base.js';
+import { createEmbedder } from './embeddings.js';
+import {
+  MAX_TITLE_LENGTH,
+  createConversationId,
+  createMessageId,
+  deleteConversation,
+  findAnswer,
+  getConversation,
+  getTranscript,
+  listConversations,
+  loadHistory,
+  renameConversation,
+  saveExchange,
+} from './conversations.js';
+import { createModelInvoker, invokeWithRetry } from './bedrock.js';
+import { consumeQuota } from './quota.js';
+import { estimateMessageTokens, estimateTokens, getInputBudget } from './tokens.js';
+import { recordUsage } from './metering.js';
+import { filterAccessibleDocuments } from './access.js';
+import { INJECTION_ACTION, detectInjection, recordDetection } from './injection.js';
+import { CONTEXT_WRAPPER, buildSystemPrompt, constructPrompt, formatExcerpt } from './prompt.js';
+import { extractCitations, stripCitations } from './citations.js';
+import { getToolDefinitions, runToolCall } from './tools.js';
+import { EXPORT_FORMATS, exportTranscript } from './export.js';
+import { FEEDBACK_RATINGS, FEEDBACK_REASONS, MAX_COMMENT_LENGTH, saveFeedback } from './feedback.js';
+import { resolveTemplate } from './templates.js';
+import {
+  ANSWER_MODE,
+  NOT_FOUND_ANSWER,
+  STRICT_FALLBACK_BEHAVIOR,
+  STRICT_MIN_SCORE,
+  STRICT_MIN_SIMILARITY,
+  checkGrounding,
+  isNotFoundAnswer,
+} from './grounding.js';
+import { createPiiRedactor, createStreamRestorer, redactPii } from './pii.js';
+import {
+  ANSWER_CACHE_TTL_SECONDS,
+  createCacheKey,
+  getCachedAnswer,
+  getKnowledgeBaseVersion,
+  putCachedAnswer,
+} from './answer-cache.js';
+import {
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  UpstreamError,
+  ValidationError,
+  toErrorResponse,
+} from './errors.js';
 
 // Initialize AWS clients
-const s3Client = new S3Client({});
 const cognitoClient = new CognitoIdentityProviderClient({});
 // Use BEDROCK_REGION for Bedrock client, AWS_REGION is automatically set by Lambda runtime
-const bedrockClient = new BedrockRuntimeClient({ region: process.env.BEDROCK_REGION || process.env.AWS_REGION || 'eu-west-1' });
+const bedrockRegion = process.env.BEDROCK_REGION || process.env.AWS_REGION || 'eu-west-1';
+// SDK retries are disabled - invokeWithRetry owns retries, backoff and fallback within the time budget
+const bedrockClient = new BedrockRuntimeClient({
+  region: bedrockRegion,
+  maxAttempts: 1,
+});
+// Question embeddings do not go through invokeWithRetry, so their client keeps the SDK's default retries
+const embedder = createEmbedder(new BedrockRuntimeClient({ region: bedrockRegion }));
 
 // Environment variables
-const BUCKET_NAME = process.env.KNOWLEDGE_BASE_BUCKET;
 const BEDROCK_MODEL_ID = process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-sonnet-20240229-v1:0';
+const BEDROCK_FALLBACK_MODEL_ID = process.env.BEDROCK_FALLBACK_MODEL_ID || '';
+const BEDROCK_MAX_ATTEMPTS = parseInt(process.env.BEDROCK_MAX_ATTEMPTS || '3');
+const BEDROCK_RETRY_BASE_DELAY_MS = parseInt(process.env.BEDROCK_RETRY_BASE_DELAY_MS || '200');
 const USER_POOL_ID = process.env.USER_POOL_ID;
+const RETRIEVAL_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K || '5');
+const RETRIEVAL_MIN_SCORE = parseFloat(process.env.RETRIEVAL_MIN_SCORE || '0');
+// 'keyword' (BM25), 'vector' (embedding similarity) or 'hybrid' (both, reranked)
+const RETRIEVAL_MODE = ['vector', 'hybrid'].includes(process.env.RETRIEVAL_MODE) ? process.env.RETRIEVAL_MODE : 'keyword';
+const VECTOR_MIN_SIMILARITY = parseFloat(process.env.VECTOR_MIN_SIMILARITY || '0.3');
+const HYBRID_VECTOR_WEIGHT = parseFloat(process.env.HYBRID_VECTOR_WEIGHT || '0.5');
+const HISTORY_MAX_TURNS = parseInt(process.env.HISTORY_MAX_TURNS || '10');
+const BEDROCK_MAX_TOKENS = parseInt(process.env.BEDROCK_MAX_TOKENS || '1000');
+const BEDROCK_TEMPERATURE = parseFloat(process.env.BEDROCK_TEMPERATURE || '0.7');
+const PII_RESTORE_ANSWERS = process.env.PII_RESTORE_ANSWERS === 'true';
+// Model calls that may run tools per question; 0 turns tool use off
+const TOOL_MAX_ROUNDS = parseInt(process.env.TOOL_MAX_ROUNDS || '3');
+
+// Primary model first, then the optional fallback model
+const MODEL_IDS = [BEDROCK_MODEL_ID, BEDROCK_FALLBACK_MODEL_ID]
+  .filter((modelId, index, all) => modelId && all.indexOf(modelId) === index);
+
+// API Gateway gives up on a Lambda integration after 29 seconds
+const API_GATEWAY_TIMEOUT_MS = 29000;
+// Time kept back after the model call to save the exchange and respond
+const RESPONSE_MARGIN_MS = 2000;
+
+let modelInvokers = null;
+
+/**
+ * Get the invokers for the primary model and the optional fallback model
+ * Created on first use so an unsupported model id fails the request, not the cold start
+ */
+function getModelInvokers() {
+  if (!modelInvokers) {
+    // Request format and response parsing are selected from the model id
+    modelInvokers = MODEL_IDS.map(modelId => createModelInvoker({
+      client: bedrockClient,
+      modelId,
+      maxTokens: BEDROCK_MAX_TOKENS,
+      temperature: BEDROCK_TEMPERATURE,
+    }));
+  }
+  return modelInvokers;
+}
+
+/**
+ * Compute the deadline (epoch milliseconds) for Bedrock calls
+ * Bounded by the Lambda timeout and, when given, the integration timeout
+ */
+function computeDeadline(context, startTime, integrationTimeoutMs) {
+  const lambdaDeadline = Date.now() + (context?.getRemainingTimeInMillis?.() ?? API_GATEWAY_TIMEOUT_MS);
+  const integrationDeadline = integrationTimeoutMs ? startTime + integrationTimeoutMs : Infinity;
+  return Math.min(lambdaDeadline, integrationDeadline) - RESPONSE_MARGIN_MS;
+}
 
 /**
  * Get user attributes from Cognito
@@ -31,7 +142,15 @@ async function getUserFromCognito(username, logger) {
       Username: username,
     });
 
-    const response = await cognitoClient.send(command);
+    let response;
+    try {
+      response = await cognitoClient.send(command);
+    } catch (error) {
+      if (error.name === 'UserNotFoundException') {
+        throw new AuthenticationError('User not found', { cause: error });
+      }
+      throw new UpstreamError('User directory temporarily unavailable', { cause: error });
+    }
 
     // Extract custom:role from user attributes
     const roleAttribute = response.UserAttributes?.find(attr => attr.Name === 'custom:role');
@@ -39,7 +158,7 @@ async function getUserFromCognito(username, logger) {
 
     if (!role) {
       logger.warn('User role not found in Cognito attributes', { username });
-      throw new Error('User role not found');
+      throw new AuthorizationError('User role not found');
     }
 
     // Allow both 'user' and 'admin' roles to access chatbot
@@ -49,7 +168,7 @@ async function getUserFromCognito(username, logger) {
         role,
         reason: 'Invalid role for chatbot access'
       });
-      throw new Error('Invalid user role');
+      throw new AuthorizationError('Invalid user role');
     }
 
     logger.logAuthDecision('GRANTED', {
@@ -57,7 +176,9 @@ async function getUserFromCognito(username, logger) {
       role
     });
 
-    return { role, username };
+    const department = response.UserAttributes?.find(attr => attr.Name === 'custom:department')?.Value || null;
+
+    return { role, department, username };
   } catch (error) {
     logger.error('Failed to get user from Cognito', error, { username });
     throw error;
@@ -65,145 +186,424 @@ async function getUserFromCognito(username, logger) {
 }
 
 /**
- * Retrieve knowledge base documents from S3
+ * Check a question for prompt injection
+ * Detections are logged and recorded for admins; with PROMPT_INJECTION_ACTION=reject
+ * (the default) the question is refused
  */
-async function retrieveKnowledgeBase(logger) {
-  try {
-    logger.logServiceCall('S3', 'ListObjectsV2', { bucket: BUCKET_NAME, prefix: 'knowledge-base/' });
+async function screenQuestion({ identity, user }, question, logger) {
+  const { detected, patterns } = detectInjection(question);
+  if (!detected) {
+    return;
+  }
 
-    const documents = [];
+  logger.warn('Prompt injection detected in question', { patterns, action: INJECTION_ACTION });
 
-    // List all objects in the knowledge-base folder
-    const listCommand = new ListObjectsV2Command({
-      Bucket: BUCKET_NAME,
-      Prefix: 'knowledge-base/',
-    });
+  try {
+    await recordDetection({ source: 'question', sub: identity.sub, role: user.role, patterns }, logger);
+  } catch (error) {
+    logger.error('Failed to record prompt injection detection', error);
+  }
 
-    const listResponse = await s3Client.send(listCommand);
+  if (INJECTION_ACTION === 'reject') {
+    throw new ValidationError('This question cannot be processed. Please rephrase it.', { code: 'PROMPT_INJECTION_DETECTED' });
+  }
+}
+
+/**
+ * List the documents in the knowledge base ingestion manifest
+ */
+async function listKnowledgeBase(logger) {
+  try {
+    const objects = await listKnowledgeBaseObjects(logger);
 
-    if (!listResponse.Contents || listResponse.Contents.length === 0) {
+    if (objects.length === 0) {
       logger.warn('No documents found in knowledge base');
-      return [];
+    } else {
+      logger.info('Found documents in knowledge base', { count: objects.length });
     }
+    return objects;
+  } catch (error) {
+    logger.error('Error listing knowledge base', error);
+    // Return empty array to allow chatbot to continue without context
+    return [];
+  }
+}
 
-    logger.info('Found documents in knowledge base', { count: listResponse.Contents.length });
+/**
+ * Retrieve the listed knowledge base documents the user may read
+ * Parsed documents are kept between warm invocations and only re-downloaded when
+ * their version changes. Documents were validated and screened for prompt injection
+ * at ingestion. Documents restricted by metadata.allowedRoles / allowedDepartments
+ * are dropped here, before ranking, so they can never reach the prompt or the sources
+ */
+async function retrieveKnowledgeBase(user, objects, logger) {
+  try {
+    const documents = await loadKnowledgeBase(objects, logger);
+    const accessibleDocuments = filterAccessibleDocuments(documents, user);
+
+    logger.info('Successfully retrieved knowledge base documents', {
+      count: documents.length,
+      accessible: accessibleDocuments.length,
+      role: user.role,
+      department: user.department,
+    });
+    return accessibleDocuments;
+  } catch (error) {
+    logger.error('Error retrieving knowledge base', error);
+    // Return empty array to allow chatbot to continue without context
+    return [];
+  }
+}
 
-    // Retrieve each document
-    for (const object of listResponse.Contents) {
-      // Skip the folder itself
-      if (object.Key.endsWith('/')) {
-        continue;
-      }
+/**
+ * Look up a cached answer for a first question
+ * The key covers everything that changes the answer: the knowledge base version,
+ * the prompt template, the caller's document access, the model and the answer mode.
+ * Cache failures are logged and treated as a miss. Returns { cacheKey, cached }.
+ */
+async function findCachedAnswer(question, { user, template, objects }, logger) {
+  try {
+    const cacheKey = await createCacheKey(question, {
+      knowledgeBaseVersion: getKnowledgeBaseVersion(objects),
+      template: `${template.name}@${template.version}`,
+      role: user.role,
+      department: user.department?.trim().toLowerCase() || null,
+      models: MODEL_IDS,
+      answerMode: ANSWER_MODE,
+      retrievalMode: RETRIEVAL_MODE,
+    }, logger);
+    const cached = await getCachedAnswer(cacheKey, logger);
+
+    logger.info(cached ? 'Answer cache hit' : 'Answer cache miss', { cachedAt: cached?.cachedAt });
+    return { cacheKey, cached };
+  } catch (error) {
+    logger.error('Failed to read answer cache', error);
+    return { cacheKey: null, cached: null };
+  }
+}
 
-      try {
-        logger.logServiceCall('S3', 'GetObject', { key: object.Key });
+/**
+ * Embed the question for vector or hybrid retrieval
+ * Returns null when semantic search is unavailable: no chunk has an embedding from
+ * the configured model (documents not ingested with it yet) or the embedding failed
+ */
+async function embedQuestion(question, chunks, logger) {
+  if (!chunks.some(chunk => getChunkVector(chunk, embedder))) {
+    logger.warn('No chunk embeddings for the embedding model, run the ingestion function', {
+      modelId: embedder.modelId,
+      dimensions: embedder.dimensions,
+    });
+    return null;
+  }
 
-        const getCommand = new GetObjectCommand({
-          Bucket: BUCKET_NAME,
-          Key: object.Key,
-        });
+  try {
+    logger.logServiceCall('Bedrock', 'InvokeModel', { modelId: embedder.modelId, operation: 'embedQuestion' });
+    return await embedder.embed(question);
+  } catch (error) {
+    logger.error('Semantic search unavailable', error);
+    return null;
+  }
+}
 
-        const response = await s3Client.send(getCommand);
-        const documentContent = await streamToString(response.Body);
+/**
+ * Collect the (cached) chunks of the documents, rank them against the question and keep the top-k
+ * Ranks by RETRIEVAL_MODE; vector and hybrid retrieval fall back to keyword ranking
+ * when semantic search is unavailable.
+ */
+async function selectRelevantChunks(question, documents, logger) {
+  const chunks = documents.flatMap(getDocumentChunks);
+
+  // Strict mode only uses chunks relevant enough to answer from, whatever the retrieval mode
+  const strict = ANSWER_MODE === 'strict';
+  const minScore = strict ? Math.max(RETRIEVAL_MIN_SCORE, STRICT_MIN_SCORE) : RETRIEVAL_MIN_SCORE;
+  const minSimilarity = strict ? Math.max(VECTOR_MIN_SIMILARITY, STRICT_MIN_SIMILARITY) : VECTOR_MIN_SIMILARITY;
+
+  const queryVector = RETRIEVAL_MODE !== 'keyword' && chunks.length > 0
+    ? await embedQuestion(question, chunks, logger)
+    : null;
+  const mode = queryVector ? RETRIEVAL_MODE : 'keyword';
+  const vectorOf = chunk => getChunkVector(chunk, embedder);
+
+  let ranked;
+  if (mode === 'vector') {
+    ranked = rankByVector(queryVector, chunks, vectorOf, {
+      topK: RETRIEVAL_TOP_K,
+      minSimilarity,
+    });
+  } else if (mode === 'hybrid') {
+    ranked = rankHybrid(question, queryVector, chunks, vectorOf, {
+      topK: RETRIEVAL_TOP_K,
+      minScore,
+      minSimilarity,
+      vectorWeight: HYBRID_VECTOR_WEIGHT,
+    });
+  } else {
+    ranked = rankDocuments(question, chunks, { topK: RETRIEVAL_TOP_K, minScore });
+  }
 
-        // Parse JSON document
-        const document = JSON.parse(documentContent);
-        documents.push(document);
+  logger.info('Ranked knowledge base chunks', {
+    mode,
+    documents: documents.length,
+    candidates: chunks.length,
+    selected: ranked.length,
+    scores: ranked.map(result => ({ chunkId: result.document.chunkId, score: result.score })),
+  });
 
-        logger.debug('Retrieved document', { documentId: document.documentId, title: document.title });
-      } catch (error) {
-        logger.error(`Error retrieving document ${object.Key}`, error);
-        // Continue with other documents
-      }
+  return ranked;
+}
+
+/**
+ * Fit history and knowledge base context into the models' input token budget
+ * The question is always kept. The lowest-ranked chunks are dropped first, then
+ * the oldest history turns. Throws a ValidationError if the question alone does not fit.
+ * Returns { history, rankedChunks, estimatedTokens, budget }
+ */
+function fitToTokenBudget(system, tools, question, history, rankedChunks, logger) {
+  const budget = getInputBudget(MODEL_IDS, BEDROCK_MAX_TOKENS);
+  const questionTokens = estimateTokens(system)
+    + (tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0)
+    + estimateMessageTokens({ content: constructPrompt(question, []) });
+
+  if (questionTokens > budget) {
+    logger.warn('Question exceeds the input token budget', { questionTokens, budget });
+    throw new ValidationError('Question is too long', { code: 'QUESTION_TOO_LONG' });
+  }
+
+  const chunkTokens = rankedChunks.map(({ document: chunk }, index) => estimateTokens(formatExcerpt(chunk, index)));
+  const historyTokens = history.map(estimateMessageTokens);
+  const sum = values => values.reduce((total, value) => total + value, 0);
+
+  let chunkCount = rankedChunks.length;
+  let historyStart = 0;
+  const total = () => questionTokens
+    + (chunkCount > 0 ? estimateTokens(CONTEXT_WRAPPER) + sum(chunkTokens.slice(0, chunkCount)) : 0)
+    + sum(historyTokens.slice(historyStart));
+
+  while (chunkCount > 0 && total() > budget) {
+    chunkCount--;
+  }
+
+  while (historyStart < history.length && total() > budget) {
+    historyStart++;
+    // History sent to the model must start with a user turn
+    while (history[historyStart]?.role === 'assistant') {
+      historyStart++;
     }
+  }
 
-    logger.info('Successfully retrieved knowledge base documents', { count: documents.length });
-    return documents;
-  } catch (error) {
-    logger.error('Error retrieving knowledge base', error);
-    // Return empty array to allow chatbot to continue without context
-    return [];
+  const estimatedTokens = total();
+  if (chunkCount < rankedChunks.length || historyStart > 0) {
+    logger.info('Trimmed prompt to fit the token budget', {
+      budget,
+      estimatedTokens,
+      droppedChunks: rankedChunks.length - chunkCount,
+      droppedHistoryTurns: historyStart,
+    });
   }
+
+  return {
+    history: history.slice(historyStart),
+    rankedChunks: rankedChunks.slice(0, chunkCount),
+    estimatedTokens,
+    budget,
+  };
 }
 
 /**
- * Convert stream to string
+ * Build the Bedrock messages array from stored history and the new prompt
  */
-async function streamToString(stream) {
-  const chunks = [];
-  for await (const chunk of stream) {
-    chunks.push(chunk);
-  }
-  return Buffer.concat(chunks).toString('utf-8');
+function buildMessages(history, prompt) {
+  return [
+    ...history.map(turn => ({
+      role: turn.role,
+      content: turn.content,
+    })),
+    {
+      role: 'user',
+      content: prompt,
+    },
+  ];
 }
 
 /**
- * Construct prompt with context from knowledge base
+ * Add up token counts across model calls; a count that any call did not report stays unknown
  */
-function constructPrompt(question, documents) {
-  let context = '';
+function addUsage(total, usage) {
+  const add = (a, b) => (a === undefined || b === undefined ? undefined : a + b);
+  return {
+    inputTokens: add(total.inputTokens, usage?.inputTokens),
+    outputTokens: add(total.outputTokens, usage?.outputTokens),
+  };
+}
 
-  if (documents.length > 0) {
-    context = 'Here is relevant information from the knowledge base:\n\n';
+/**
+ * Rewrite tool calls and results as plain text messages
+ * Models reject tool_use content without tool definitions, so the final round,
+ * which offers no tools, sends the earlier rounds this way and asks for the answer.
+ */
+function toPlainMessages(messages) {
+  const plain = messages.map(message => {
+    if (message.toolResults) {
+      return {
+        role: 'user',
+        content: message.toolResults
+          .map(result => `Tool result${result.isError ? ' (error)' : ''}: ${result.content}`)
+          .join('\n'),
+      };
+    }
+    if (message.toolCalls) {
+      const calls = message.toolCalls.map(call => `Called tool ${call.name} with ${JSON.stringify(call.input)}`);
+      return { role: 'assistant', content: [message.content, ...calls].filter(Boolean).join('\n') };
+    }
+    return message;
+  });
 
-    documents.forEach((doc, index) => {
-      context += `Document ${index + 1}: ${doc.title}\n`;
-      context += `${doc.content}\n\n`;
+  const last = plain[plain.length - 1];
+  plain[plain.length - 1] = {
+    ...last,
+    content: `${last.content}\n\nThe tool call limit is reached. Answer the question now with the information you have.`,
+  };
+  return plain;
+}
+
+/**
+ * Call the model, running the tools it asks for
+ * Each round is one model call. When the model calls tools they run and their results
+ * are sent back in the next round. After TOOL_MAX_ROUNDS rounds with tool calls the
+ * model is called once more without tools, so it has to answer in text.
+ * The text of every round makes up the answer.
+ * Returns the last invoker result with text, usage and attempts of all rounds, toolCalls,
+ * and rounds ({ modelId, usage, text, latencyMs } of each model call, for metering)
+ */
+async function runModel({ system, messages, tools, toolContext, redactor }, { deadline, onToken }, logger) {
+  const conversation = [...messages];
+  const toolCalls = [];
+  const rounds = [];
+  let text = '';
+  let usage = { inputTokens: 0, outputTokens: 0 };
+  let attempts = 0;
+
+  for (let round = 0; ; round++) {
+    const finalRound = round >= TOOL_MAX_ROUNDS && tools.length > 0;
+
+    // Streamed text of a later round is separated from the text before it
+    let separated = text.length === 0;
+    const roundOnToken = onToken && (delta => {
+      if (!separated) {
+        onToken('\n\n');
+        separated = true;
+      }
+      onToken(delta);
     });
-  }
 
-  const prompt = `${context}Based on the information provided above, please answer the following question. If the answer is not in the provided context, you can use your general knowledge but indicate that the information is not from the knowledge base.
+    if (finalRound) {
+      logger.warn('Tool call limit reached, asking for an answer without tools', { rounds: TOOL_MAX_ROUNDS });
+    }
 
-Question: ${question}
+    const roundStart = Date.now();
+    const request = finalRound
+      ? { system, messages: toPlainMessages(conversation), tools: [] }
+      : { system, messages: conversation, tools };
+    const result = await invokeWithRetry(getModelInvokers(), request, {
+      deadline,
+      maxAttempts: BEDROCK_MAX_ATTEMPTS,
+      baseDelayMs: BEDROCK_RETRY_BASE_DELAY_MS,
+      onToken: roundOnToken,
+      logger,
+    });
+    rounds.push({ modelId: result.modelId, usage: result.usage, text: result.text, latencyMs: Date.now() - roundStart });
+    attempts += result.attempts;
+    usage = addUsage(usage, result.usage);
+    if (result.text) {
+      text = text ? `${text}\n\n${result.text}` : result.text;
+    }
 
-Answer:`;
+    // Without tools the invoker only returns when the model wrote text
+    if (result.toolCalls.length === 0 || finalRound) {
+      return { ...result, text, usage, attempts, toolCalls, rounds };
+    }
+
+    const toolResults = [];
+    for (const call of result.toolCalls) {
+      const outcome = await runToolCall(call, toolContext, logger);
+      toolCalls.push(outcome.record);
+      // Tool results reach the model with the same PII placeholders as the question
+      toolResults.push({ id: outcome.id, content: redactor.redact(outcome.content), isError: outcome.isError });
+    }
+
+    conversation.push({ role: 'assistant', content: result.text, toolCalls: result.toolCalls });
+    conversation.push({ role: 'user', content: '', toolResults });
+  }
+}
 
-  return prompt;
+/**
+ * Add up the model calls of an answer per model id, for metering
+ * Tool rounds may be answered by different models when a call falls back.
+ * Token counts a model does not report (Mistral) are estimated.
+ */
+function usageByModel(rounds, estimatedInputTokens) {
+  const models = new Map();
+  rounds.forEach(round => {
+    const model = models.get(round.modelId) || { modelId: round.modelId, inputTokens: 0, outputTokens: 0, latencyMs: 0 };
+    model.inputTokens += round.usage?.inputTokens ?? estimatedInputTokens;
+    model.outputTokens += round.usage?.outputTokens ?? estimateTokens(round.text);
+    model.latencyMs += round.latencyMs;
+    models.set(round.modelId, model);
+  });
+  return [...models.values()];
 }
 
 /**
  * Call Amazon Bedrock to generate response
+ * Retries transient failures and falls back to BEDROCK_FALLBACK_MODEL_ID before the deadline.
+ * When onToken is given the response is streamed and onToken receives every text delta.
+ * The model may call tools (see runModel); toolCalls describes each call.
+ * Cached answers, and in strict mode without relevant context the standard not-found
+ * answer, are returned without calling Bedrock.
+ * Returns { text, modelId, usage, attempts, latencyMs, cached, toolCalls, rounds }
  */
-async function generateResponse(prompt, logger) {
-  try {
-    logger.logServiceCall('Bedrock', 'InvokeModel', { modelId: BEDROCK_MODEL_ID });
-
-    const requestBody = {
-      anthropic_version: 'bedrock-2023-05-31',
-      max_tokens: 1000,
-      temperature: 0.7,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    };
+async function generateResponse(prepared, { deadline, onToken }, logger) {
+  const { messages, tools, notFound, cached } = prepared;
 
-    const command = new InvokeModelCommand({
-      modelId: BEDROCK_MODEL_ID,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify(requestBody),
-    });
+  if (cached) {
+    onToken?.(cached.answer);
+    return { text: cached.answer, modelId: cached.modelId, usage: { inputTokens: 0, outputTokens: 0 }, attempts: 0, latencyMs: 0, cached: true, toolCalls: [], rounds: [] };
+  }
 
-    const startTime = Date.now();
-    const response = await bedrockClient.send(command);
-    const duration = Date.now() - startTime;
+  if (notFound) {
+    logger.info('No relevant knowledge base context in strict mode, skipping model call');
+    onToken?.(NOT_FOUND_ANSWER);
+    return { text: NOT_FOUND_ANSWER, modelId: null, usage: { inputTokens: 0, outputTokens: 0 }, attempts: 0, latencyMs: 0, toolCalls: [], rounds: [] };
+  }
 
-    logger.info('Bedrock response received', { duration, modelId: BEDROCK_MODEL_ID });
+  const operation = onToken ? 'InvokeModelWithResponseStream' : 'InvokeModel';
 
-    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+  try {
+    logger.logServiceCall('Bedrock', operation, {
+      modelId: BEDROCK_MODEL_ID,
+      fallbackModelId: BEDROCK_FALLBACK_MODEL_ID || undefined,
+      messageCount: messages.length,
+      tools: tools.length,
+      budgetMs: deadline - Date.now(),
+    });
 
-    // Extract the generated text from Claude's response
-    if (responseBody.content && responseBody.content.length > 0) {
-      return responseBody.content[0].text;
-    }
+    const startTime = Date.now();
+    const result = await runModel(prepared, { deadline, onToken }, logger);
+
+    const latencyMs = Date.now() - startTime;
+    logger.info('Bedrock response received', {
+      duration: latencyMs,
+      modelId: result.modelId,
+      usedFallback: result.modelId !== BEDROCK_MODEL_ID,
+      attempts: result.attempts,
+      stopReason: result.stopReason,
+      toolCalls: result.toolCalls.length,
+    });
 
-    throw new Error('No content in Bedrock response');
+    return { ...result, latencyMs };
   } catch (error) {
     logger.error('Bedrock API error', error, { modelId: BEDROCK_MODEL_ID });
-    throw new Error(`Failed to generate response: ${error.message}`);
+    throw new UpstreamError('AI service temporarily unavailable', { cause: error });
   }
 }
 
@@ -211,9 +611,14 @@ async function generateResponse(prompt, logger) {
  * Validate Cognito identity from request context
  */
 function validateCognitoIdentity(event, logger) {
-  // Validate Cognito identity from request context (for IAM-authorized API Gateway)
-  const cognitoIdentity = event.requestContext?.identity?.cognitoIdentityId;
-  const cognitoAuthProvider = event.requestContext?.identity?.cognitoAuthenticationProvider;
+  // IAM-authorized API Gateway puts the Cognito identity in requestContext.identity,
+  // IAM-authorized Lambda function URLs put it in requestContext.authorizer.iam
+  const apiGatewayIdentity = event.requestContext?.identity;
+  const functionUrlIdentity = event.requestContext?.authorizer?.iam?.cognitoIdentity;
+
+  const cognitoIdentity = apiGatewayIdentity?.cognitoIdentityId || functionUrlIdentity?.identityId;
+  const cognitoAuthProvider = apiGatewayIdentity?.cognitoAuthenticationProvider
+    || functionUrlIdentity?.amr?.find(entry => entry.includes('CognitoSignIn'));
 
   // Extract sub from cognitoAuthenticationProvider
   // Format: cognito-idp.{region}.amazonaws.com/{userPoolId},{sub}
@@ -230,7 +635,7 @@ function validateCognitoIdentity(event, logger) {
       hasCognitoIdentity: !!cognitoIdentity,
       hasSub: !!sub,
     });
-    throw new Error('Valid Cognito identity required');
+    throw new AuthenticationError('Valid Cognito identity required');
   }
 
   logger.info('Cognito identity validated', {
@@ -241,10 +646,470 @@ function validateCognitoIdentity(event, logger) {
   return { cognitoIdentityId: cognitoIdentity, sub };
 }
 
+/**
+ * Parse the JSON request body, throwing a ValidationError if it is malformed
+ */
+function parseJsonBody(event, logger) {
+  try {
+    const rawBody = event.isBase64Encoded && typeof event.body === 'string'
+      ? Buffer.from(event.body, 'base64').toString('utf-8')
+      : event.body;
+    return (typeof rawBody === 'string' ? JSON.parse(rawBody) : rawBody) || {};
+  } catch (error) {
+    logger.warn('Invalid request body', { error: error.message });
+    throw new ValidationError('Invalid request body');
+  }
+}
+
+/**
+ * Parse and validate the chatbot request body
+ * Returns { question, conversationId } or throws a ValidationError
+ */
+function parseChatRequest(event, logger) {
+  const { question, conversationId } = parseJsonBody(event, logger);
+
+  if (!question || typeof question !== 'string' || question.trim().length === 0) {
+    logger.warn('Invalid question provided');
+    throw new ValidationError('Question is required and must be a non-empty string', { code: 'INVALID_QUESTION' });
+  }
+
+  if (conversationId !== undefined && conversationId !== null && typeof conversationId !== 'string') {
+    logger.warn('Invalid conversationId provided');
+    throw new ValidationError('conversationId must be a string');
+  }
+
+  return { question, conversationId };
+}
+
+/**
+ * Authenticate the caller and check they may use the chatbot
+ */
+async function authenticateRequest(event, logger) {
+  // Validate Cognito identity from request context
+  const identity = validateCognitoIdentity(event, logger);
+  logger.addContext({ userId: identity.sub, cognitoIdentityId: identity.cognitoIdentityId });
+
+  // Get user attributes from Cognito to validate role
+  const user = await getUserFromCognito(identity.sub, logger);
+  logger.info('User authenticated successfully', { role: user.role });
+
+  return { identity, user };
+}
+
+/**
+ * Load conversation history and knowledge base context for a question
+ * Returns everything needed to call Bedrock and to record the exchange
+ */
+async function prepareAnswer({ identity, user }, { question, conversationId }, logger) {
+  logger.info('Processing question', {
+    questionLength: question.length,
+    conversationId
+  });
+
+  // Refuse questions that try to override the system prompt
+  await screenQuestion({ identity, user }, question, logger);
+
+  // Load the caller's conversation history, or start a new conversation
+  let history = [];
+  let turnsExpireAt;
+  const isNewConversation = !conversationId;
+  const activeConversationId = conversationId || createConversationId();
+
+  if (!isNewConversation) {
+    const conversation = await getConversation(identity.sub, conversationId, logger);
+    if (!conversation) {
+      logger.warn('Conversation not found for user', { conversationId });
+      throw new NotFoundError('Conversation not found', { code: 'CONVERSATION_NOT_FOUND' });
+    }
+    turnsExpireAt = conversation.turnsExpireAt;
+    history = await loadHistory(conversationId, HISTORY_MAX_TURNS, logger);
+    logger.info('Loaded conversation history', { conversationId, turns: history.length });
+  }
+
+  // Replace PII with placeholders before anything reaches Bedrock or storage.
+  // History is redacted too, for turns stored before redaction was enabled.
+  // Earlier answers lose their citation markers: they refer to excerpts of earlier prompts.
+  const redactor = createPiiRedactor();
+  history.forEach(turn => redactor.reserve(turn.content));
+  history = history.map(turn => ({
+    ...turn,
+    content: redactor.redact(turn.role === 'assistant' ? stripCitations(turn.content) : turn.content),
+  }));
+  const safeQuestion = redactor.redact(question);
+  if (redactor.redactedCount > 0) {
+    logger.info('Redacted PII before model call', { redactedValues: redactor.redactedCount });
+  }
+
+  // Tools let the model look up the caller's own account. Strict mode answers only from
+  // the knowledge base, and tools are only offered when every configured model supports them.
+  const tools = ANSWER_MODE === 'open' && TOOL_MAX_ROUNDS > 0 && getModelInvokers().every(invoker => invoker.supportsTools)
+    ? getToolDefinitions(user)
+    : [];
+
+  // Build the system prompt from the template assigned to the caller's department or role
+  // Strict mode replaces the template's fallback behavior with a fixed not-found answer
+  const template = await resolveTemplate(user, logger);
+  const system = buildSystemPrompt(ANSWER_MODE === 'strict'
+    ? { ...template, fallbackBehavior: STRICT_FALLBACK_BEHAVIOR }
+    : template, { tools: tools.length > 0 });
+
+  // List the knowledge base; its version is part of the answer cache key
+  const objects = await listKnowledgeBase(logger);
+
+  // First questions without PII can be answered from the cache - follow-ups depend on history
+  let cacheKey = null;
+  if (ANSWER_CACHE_TTL_SECONDS > 0 && history.length === 0 && redactor.redactedCount === 0) {
+    const lookup = await findCachedAnswer(safeQuestion, { user, template, objects }, logger);
+    if (lookup.cached) {
+      return {
+        question: safeQuestion,
+        conversationId: activeConversationId,
+        isNewConversation,
+        turnsExpireAt,
+        redactor,
+        system,
+        template: { name: template.name, version: template.version },
+        history,
+        rankedChunks: lookup.cached.rankedChunks,
+        estimatedTokens: 0,
+        messages: [],
+        tools: [],
+        cached: lookup.cached,
+      };
+    }
+    cacheKey = lookup.cacheKey;
+  }
+
+  // Retrieve the knowledge base documents the caller may read from S3
+  const documents = await retrieveKnowledgeBase(user, objects, logger);
+
+  // Keep only the chunks relevant to the question
+  // The previous user turn is included so follow-up questions retrieve the same topic
+  const previousQuestion = [...history].reverse().find(turn => turn.role === 'user')?.content || '';
+  const relevantChunks = await selectRelevantChunks(`${previousQuestion} ${safeQuestion}`, documents, logger);
+
+  // Drop the lowest-ranked context (then the oldest history) that would overflow the context window
+  const fitted = fitToTokenBudget(system, tools, safeQuestion, history, relevantChunks, logger);
+
+  // Construct prompt with context
+  const prompt = constructPrompt(safeQuestion, fitted.rankedChunks);
+  logger.debug('Prompt constructed', {
+    promptLength: prompt.length,
+    estimatedTokens: fitted.estimatedTokens,
+    budget: fitted.budget,
+    template: template.name,
+    templateVersion: template.version,
+  });
+
+  return {
+    question: safeQuestion,
+    conversationId: activeConversationId,
+    isNewConversation,
+    turnsExpireAt,
+    redactor,
+    system,
+    template: { name: template.name, version: template.version },
+    history: fitted.history,
+    rankedChunks: fitted.rankedChunks,
+    estimatedTokens: fitted.estimatedTokens,
+    messages: buildMessages(fitted.history, prompt),
+    tools,
+    toolContext: { identity, user, documents },
+    notFound: ANSWER_MODE === 'strict' && fitted.rankedChunks.length === 0,
+    cacheKey,
+  };
+}
+
+/**
+ * Meter the model call and persist the exchange, then build the response payload
+ * The exchange is stored with PII placeholders; the returned answer has the
+ * user's values restored when PII_RESTORE_ANSWERS is enabled
+ */
+async function completeAnswer({ identity, user }, prepared, generation, logger) {
+  // Keep only citations of excerpts that were actually sent
+  const cited = extractCitations(generation.text, prepared.rankedChunks);
+  if (cited.dropped.length > 0) {
+    logger.warn('Dropped citations of unknown excerpts', { dropped: cited.dropped, excerpts: prepared.rankedChunks.length });
+  }
+  const answer = cited.answer;
+
+  // Token counts as reported by Bedrock, null when the model does not report them
+  const usage = {
+    inputTokens: generation.usage?.inputTokens ?? null,
+    outputTokens: generation.usage?.outputTokens ?? null,
+  };
+
+  // Flag answers the excerpts do not support, so the UI can label them
+  const grounding = checkGrounding(stripCitations(answer), prepared.rankedChunks, prepared.question);
+  if (!grounding.grounded && ANSWER_MODE === 'strict' && !isNotFoundAnswer(answer)) {
+    logger.warn('Answer not supported by knowledge base context', grounding);
+  }
+
+  // Metering and storage failures should not lose the answer.
+  // Cached answers and the strict-mode not-found answer have no model calls to record.
+  try {
+    for (const model of usageByModel(generation.rounds, prepared.estimatedTokens)) {
+      await recordUsage({
+        sub: identity.sub,
+        role: user.role,
+        department: user.department,
+        ...model,
+      }, logger);
+    }
+  } catch (error) {
+    logger.error('Failed to record token usage', error, { modelId: generation.modelId });
+  }
+
+  // Only cited excerpts are sources; citation is the marker number used in the answer
+  const sources = cited.citations.map(citation => {
+    const { document: chunk, score } = prepared.rankedChunks[citation - 1];
+    return {
+      citation,
+      documentName: chunk.title,
+      documentId: chunk.documentId,
+      chunkId: chunk.chunkId,
+      heading: chunk.heading,
+      snippet: createSnippet(chunk.content),
+      passage: chunk.content,
+      relevanceScore: score,
+    };
+  });
+
+  const messageId = createMessageId();
+  try {
+    await saveExchange({
+      sub: identity.sub,
+      conversationId: prepared.conversationId,
+      question: prepared.question,
+      answer: prepared.redactor.redact(answer),
+      messageId,
+      sources,
+      isNew: prepared.isNewConversation,
+      turnsExpireAt: prepared.turnsExpireAt,
+    }, logger);
+  } catch (error) {
+    logger.error('Failed to save conversation history', error, { conversationId: prepared.conversationId });
+  }
+
+  // Answers that contain PII or data from tools about the caller are not shared through the cache
+  if (prepared.cacheKey && redactPii(answer) === answer && generation.toolCalls.length === 0) {
+    try {
+      await putCachedAnswer(prepared.cacheKey, {
+        answer,
+        modelId: generation.modelId,
+        rankedChunks: prepared.rankedChunks.map(({ document: chunk, score }) => ({
+          document: {
+            documentId: chunk.documentId,
+            chunkId: chunk.chunkId,
+            title: chunk.title,
+            heading: chunk.heading,
+            content: chunk.content,
+          },
+          score,
+        })),
+      }, logger);
+    } catch (error) {
+      logger.error('Failed to cache answer', error);
+    }
+  }
+
+  return {
+    answer: PII_RESTORE_ANSWERS ? prepared.redactor.restore(answer) : answer,
+    conversationId: prepared.conversationId,
+    messageId,
+    modelId: generation.modelId,
+    usage,
+    grounded: grounding.grounded,
+    cached: Boolean(generation.cached),
+    toolCalls: generation.toolCalls,
+    sources,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Parse and validate the body of a conversation rename request
+ * Returns the trimmed title or throws a ValidationError
+ */
+function parseRenameRequest(event, logger) {
+  const requestBody = parseJsonBody(event, logger);
+  const title = typeof requestBody.title === 'string' ? requestBody.title.trim() : '';
+  if (!title || title.length > MAX_TITLE_LENGTH) {
+    logger.warn('Invalid conversation title provided');
+    throw new ValidationError(`Title is required and must be at most ${MAX_TITLE_LENGTH} characters`, { code: 'INVALID_TITLE' });
+  }
+
+  return title;
+}
+
+/**
+ * Parse and validate an answer feedback request body
+ * Returns { conversationId, messageId, rating, reason, comment } or throws a ValidationError.
+ * PII in the comment is redacted before it is stored.
+ */
+function parseFeedbackRequest(event, logger) {
+  const { conversationId, messageId, rating, reason, comment } = parseJsonBody(event, logger);
+  const invalid = message => {
+    logger.warn('Invalid feedback provided', { reason: message });
+    return new ValidationError(message, { code: 'INVALID_FEEDBACK' });
+  };
+
+  if (typeof conversationId !== 'string' || !conversationId || typeof messageId !== 'string' || !messageId) {
+    throw invalid('conversationId and messageId are required');
+  }
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    throw invalid(`rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`);
+  }
+  if (reason !== undefined && reason !== null && !FEEDBACK_REASONS.includes(reason)) {
+    throw invalid(`reason must be one of: ${FEEDBACK_REASONS.join(', ')}`);
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    throw invalid('comment must be a string');
+  }
+
+  const trimmedComment = (comment || '').trim();
+  if (trimmedComment.length > MAX_COMMENT_LENGTH) {
+    throw invalid(`comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  return {
+    conversationId,
+    messageId,
+    rating,
+    reason: reason || null,
+    comment: redactPii(trimmedComment) || null,
+  };
+}
+
+/**
+ * Handle POST /chatbot/feedback - rate one of the caller's answers
+ * An answer in someone else's conversation is reported as not found.
+ */
+async function handleFeedbackRequest({ identity, user }, event, logger) {
+  const request = parseFeedbackRequest(event, logger);
+
+  const found = await findAnswer(identity.sub, request.conversationId, request.messageId, logger);
+  const feedback = found && await saveFeedback({
+    sub: identity.sub,
+    role: user.role,
+    conversationId: request.conversationId,
+    answer: found.turn,
+    question: found.question,
+    rating: request.rating,
+    reason: request.reason,
+    comment: request.comment,
+  }, logger);
+
+  if (!feedback) {
+    logger.warn('Answer not found for feedback', { conversationId: request.conversationId, messageId: request.messageId });
+    throw new NotFoundError('Answer not found', { code: 'MESSAGE_NOT_FOUND' });
+  }
+
+  logger.info('Answer feedback recorded', {
+    conversationId: request.conversationId,
+    messageId: request.messageId,
+    rating: feedback.rating,
+    reason: feedback.reason,
+  });
+  return jsonResponse(feedback);
+}
+
+/**
+ * Successful JSON response
+ */
+function jsonResponse(body) {
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+    body: JSON.stringify(body),
+  };
+}
+
+/**
+ * Handle the conversation endpoints under /chatbot/conversations
+ * Callers only ever see and change their own conversations; a conversation owned
+ * by someone else is reported as not found. These requests do not use the quota.
+ * Returns the API Gateway response.
+ */
+async function handleConversationRequest({ identity }, event, logger) {
+  const path = event.path || event.rawPath || '';
+  const httpMethod = event.httpMethod || event.requestContext?.http?.method;
+  const [, conversationId, action] = path.match(/\/chatbot\/conversations\/([^/]+)(?:\/(export))?$/) || [];
+
+  const notFound = () => {
+    logger.warn('Conversation not found for user', { conversationId });
+    return new NotFoundError('Conversation not found', { code: 'CONVERSATION_NOT_FOUND' });
+  };
+
+  if (!conversationId && /\/chatbot\/conversations$/.test(path) && httpMethod === 'GET') {
+    const conversations = await listConversations(identity.sub, logger);
+    return jsonResponse({ conversations });
+  }
+
+  if (action === 'export' && httpMethod === 'GET') {
+    const format = event.queryStringParameters?.format || 'markdown';
+    if (!EXPORT_FORMATS.includes(format)) {
+      logger.warn('Invalid export format provided', { format });
+      throw new ValidationError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, { code: 'INVALID_EXPORT_FORMAT' });
+    }
+
+    const transcript = await getTranscript(identity.sub, conversationId, logger);
+    if (!transcript) {
+      throw notFound();
+    }
+
+    const exported = exportTranscript(transcript, format);
+    logger.info('Conversation exported', { conversationId, format, messages: transcript.messages.length });
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': exported.contentType,
+        'Content-Disposition': `attachment; filename="${exported.fileName}"`,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'Content-Disposition',
+      },
+      body: exported.body,
+    };
+  }
+
+  if (conversationId && !action && httpMethod === 'GET') {
+    const transcript = await getTranscript(identity.sub, conversationId, logger);
+    if (!transcript) {
+      throw notFound();
+    }
+    return jsonResponse(transcript);
+  }
+
+  if (conversationId && !action && httpMethod === 'PUT') {
+    const title = parseRenameRequest(event, logger);
+    const conversation = await renameConversation(identity.sub, conversationId, title, logger);
+    if (!conversation) {
+      throw notFound();
+    }
+    logger.info('Conversation renamed', { conversationId });
+    return jsonResponse(conversation);
+  }
+
+  if (conversationId && !action && httpMethod === 'DELETE') {
+    const deleted = await deleteConversation(identity.sub, conversationId, logger);
+    if (!deleted) {
+      throw notFound();
+    }
+    logger.info('Conversation deleted', { conversationId });
+    return jsonResponse({ conversationId, deleted: true });
+  }
+
+  throw new NotFoundError(`Route not found: ${httpMethod} ${path}`);
+}
+
 /**
  * Main Lambda handler
+ * Buffered responses through API Gateway - the fallback for clients that cannot stream
  */
-export const handler = async (event) => {
+export const handler = async (event, context) => {
   const requestId = event.requestContext?.requestId || `req-${Date.now()}`;
   const logger = createLogger({ requestId, function: 'chatbot' });
 
@@ -256,160 +1121,186 @@ export const handler = async (event) => {
   const startTime = Date.now();
 
   try {
-    // 1. Validate Cognito identity from request context
-    const identity = validateCognitoIdentity(event, logger);
-    logger.addContext({ userId: identity.sub, cognitoIdentityId: identity.cognitoIdentityId });
-
-    // 2. Get user attributes from Cognito to validate role
-    const user = await getUserFromCognito(identity.sub, logger);
-    logger.info('User authenticated successfully', { role: user.role });
-
-    // 4. Parse request body
-    let requestBody;
-    try {
-      requestBody = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    } catch (error) {
-      logger.warn('Invalid request body', { error: error.message });
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: {
-            code: 'INVALID_REQUEST',
-            message: 'Invalid request body',
-          },
-        }),
-      };
+    // 1. Authenticate the caller and validate their role
+    const caller = await authenticateRequest(event, logger);
+    const { identity, user } = caller;
+
+    // Answer feedback and conversation management are served by the same function
+    if (/\/chatbot\/feedback$/.test(event.path || event.rawPath || '')
+      && (event.httpMethod || event.requestContext?.http?.method) === 'POST') {
+      const response = await handleFeedbackRequest(caller, event, logger);
+      logger.info('Feedback request completed', { duration: Date.now() - startTime });
+      return response;
     }
 
-    const { question, conversationId } = requestBody;
-
-    if (!question || typeof question !== 'string' || question.trim().length === 0) {
-      logger.warn('Invalid question provided');
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: {
-            code: 'INVALID_QUESTION',
-            message: 'Question is required and must be a non-empty string',
-          },
-        }),
-      };
+    if (/\/chatbot\/conversations(\/|$)/.test(event.path || event.rawPath || '')) {
+      const response = await handleConversationRequest(caller, event, logger);
+      logger.info('Conversation request completed', { duration: Date.now() - startTime });
+      return response;
     }
 
-    logger.info('Processing question', {
-      questionLength: question.length,
-      conversationId
-    });
+    // 2. Parse request body
+    const request = parseChatRequest(event, logger);
 
-    // 5. Retrieve knowledge base documents from S3
-    const documents = await retrieveKnowledgeBase(logger);
+    // 3. Count the question against the caller's quota
+    const quotaHeaders = await consumeQuota(identity.sub, user.role, logger);
 
-    // 6. Construct prompt with context
-    const prompt = constructPrompt(question, documents);
-    logger.debug('Prompt constructed', { promptLength: prompt.length });
+    // 4. Load history, retrieve context and build the prompt
+    const prepared = await prepareAnswer(caller, request, logger);
 
-    // 7. Call Bedrock to generate response
-    const answer = await generateResponse(prompt, logger);
+    // 5. Call Bedrock to generate response
+    const generation = await generateResponse(prepared, {
+      deadline: computeDeadline(context, startTime, API_GATEWAY_TIMEOUT_MS),
+    }, logger);
+
+    // 6. Persist the exchange and build the response
+    const result = await completeAnswer(caller, prepared, generation, logger);
 
     const duration = Date.now() - startTime;
     logger.info('Request completed successfully', {
       duration,
-      answerLength: answer.length,
-      documentsUsed: documents.length
+      answerLength: result.answer.length,
+      modelId: result.modelId,
+      chunksUsed: prepared.rankedChunks.length,
+      citations: result.sources.length,
+      toolCalls: result.toolCalls.length,
+      historyTurns: prepared.history.length,
+      estimatedInputTokens: prepared.estimatedTokens,
+      template: prepared.template.name,
+      templateVersion: prepared.template.version,
+      usage: result.usage,
+      grounded: result.grounded,
+      cached: result.cached,
     });
 
-    // 8. Return formatted response
+    // 7. Return formatted response
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'application/json',
         'Access-Control-Allow-Origin': '*',
+        ...quotaHeaders,
       },
-      body: JSON.stringify({
-        answer,
-        conversationId: conversationId || `conv-${Date.now()}`,
-        sources: documents.map(doc => ({
-          documentName: doc.title,
-          documentId: doc.documentId,
-        })),
-        timestamp: new Date().toISOString(),
-      }),
+      body: JSON.stringify(result),
     };
 
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error('Error processing chatbot request', error, { duration });
+    return toErrorResponse(error);
+  }
+};
 
-    // Handle specific error types
-    if (error.message.includes('token') || error.message.includes('authorization') || error.message.includes('Cognito identity')) {
-      return {
-        statusCode: 401,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: {
-            code: 'UNAUTHORIZED',
-            message: 'Authentication failed',
-          },
-        }),
-      };
-    }
+/**
+ * Write one server-sent event to the response stream
+ */
+function writeEvent(responseStream, event, data) {
+  responseStream.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-    if (error.message.includes('role')) {
-      return {
-        statusCode: 403,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: {
-            code: 'FORBIDDEN',
-            message: 'Insufficient permissions',
-          },
-        }),
-      };
-    }
+/**
+ * Streaming Lambda handler
+ * Served through an IAM-authorized Lambda function URL in RESPONSE_STREAM mode.
+ * Emits `token` events as the model generates text, then a single `done` event
+ * carrying the final answer (with invalid citations removed), conversationId, messageId,
+ * usage, grounded, cached, sources and timestamp (or an `error` event).
+ */
+// awslambda is a global of the Lambda Node.js runtime; outside it (e.g. in tests)
+// the handler is exported unwrapped so the module can still be imported
+const streamifyResponse = globalThis.awslambda?.streamifyResponse ?? (fn => fn);
 
-    if (error.message.includes('Bedrock') || error.message.includes('generate response')) {
-      return {
-        statusCode: 503,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({
-          error: {
-            code: 'SERVICE_UNAVAILABLE',
-            message: 'AI service temporarily unavailable',
-          },
-        }),
-      };
-    }
+export const streamHandler = streamifyResponse(async (event, responseStream, context) => {
+  const requestId = event.requestContext?.requestId || `req-${Date.now()}`;
+  const logger = createLogger({ requestId, function: 'chatbot-stream' });
 
-    // Generic error response
-    return {
-      statusCode: 500,
+  logger.info('Chatbot streaming Lambda invoked', {
+    path: event.rawPath,
+    httpMethod: event.requestContext?.http?.method
+  });
+
+  const startTime = Date.now();
+  let stream = null;
+
+  /**
+   * Open the stream with the given status; headers cannot change afterwards
+   * CORS headers are dropped - the function URL configuration sets them
+   */
+  const openStream = (statusCode, headers) => {
+    const {
+      'Access-Control-Allow-Origin': _origin,
+      'Access-Control-Expose-Headers': _exposed,
+      ...responseHeaders
+    } = headers;
+    stream = awslambda.HttpResponseStream.from(responseStream, {
+      statusCode,
       headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-cache',
+        ...responseHeaders,
       },
-      body: JSON.stringify({
-        error: {
-          code: 'INTERNAL_ERROR',
-          message: 'An unexpected error occurred',
-        },
-      }),
-    };
+    });
+    return stream;
+  };
+
+  try {
+    const caller = await authenticateRequest(event, logger);
+    const { identity, user } = caller;
+
+    const request = parseChatRequest(event, logger);
+    const quotaHeaders = await consumeQuota(identity.sub, user.role, logger);
+    const prepared = await prepareAnswer(caller, request, logger);
+
+    openStream(200, { 'Content-Type': 'text/event-stream', ...quotaHeaders });
+
+    // Streamed text gets the same PII treatment as buffered answers
+    const writeToken = text => writeEvent(stream, 'token', { text });
+    const restorer = PII_RESTORE_ANSWERS ? createStreamRestorer(prepared.redactor, writeToken) : null;
+
+    const generation = await generateResponse(prepared, {
+      deadline: computeDeadline(context, startTime),
+      onToken: restorer ? restorer.push : writeToken,
+    }, logger);
+    restorer?.flush();
+
+    const result = await completeAnswer(caller, prepared, generation, logger);
+    writeEvent(stream, 'done', {
+      answer: result.answer,
+      conversationId: result.conversationId,
+      messageId: result.messageId,
+      modelId: result.modelId,
+      usage: result.usage,
+      grounded: result.grounded,
+      cached: result.cached,
+      toolCalls: result.toolCalls,
+      sources: result.sources,
+      timestamp: result.timestamp,
+    });
+
+    logger.info('Streaming request completed successfully', {
+      duration: Date.now() - startTime,
+      answerLength: result.answer.length,
+      modelId: result.modelId,
+      chunksUsed: prepared.rankedChunks.length,
+      citations: result.sources.length,
+      toolCalls: result.toolCalls.length,
+      historyTurns: prepared.history.length,
+      estimatedInputTokens: prepared.estimatedTokens,
+      template: prepared.template.name,
+      templateVersion: prepared.template.version,
+      usage: result.usage,
+      grounded: result.grounded,
+      cached: result.cached,
+    });
+  } catch (error) {
+    logger.error('Error processing chatbot streaming request', error, { duration: Date.now() - startTime });
+    const response = toErrorResponse(error);
+
+    if (stream) {
+      // Status is already sent - report the failure in-band
+      writeEvent(stream, 'error', JSON.parse(response.body).error);
+    } else {
+      openStream(response.statusCode, response.headers).write(response.body);
+    }
+  } finally {
+    stream?.end();
   }
-};
+});
@@ -0,0 +1,182 @@
+/**
+ * Knowledge base loading
+ * Reads the validated documents written by the ingestion function (see manifest.js).
+ * The manifest is revalidated on every request; warm Lambda invocations keep the
+ * manifest, the parsed documents, their chunks and chunk embeddings in module scope
+ * and only download documents whose version changed since the last request.
+ */
+
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { MANIFEST_KEY } from './manifest.js';
+
+const s3Client = new S3Client({});
+
+const BUCKET_NAME = process.env.KNOWLEDGE_BASE_BUCKET;
+const KB_FETCH_CONCURRENCY = parseInt(process.env.KB_FETCH_CONCURRENCY || '8');
+
+// Last loaded manifest: { etag, manifest }
+let manifestCache = null;
+
+// Parsed documents by object key: { etag, document }
+const documentCache = new Map();
+
+// Chunks by parsed document, dropped together with the document
+const chunkCache = new WeakMap();
+
+// Embeddings by chunk: { modelId, dimensions, vector }
+const vectorCache = new WeakMap();
+
+/**
+ * Convert stream to string
+ */
+async function streamToString(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Run fn over items with at most limit calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Load the ingestion manifest, reusing the cached copy while its ETag is unchanged
+ * Returns null when nothing has been ingested yet
+ */
+async function loadManifest(logger) {
+  logger.logServiceCall('S3', 'GetObject', { key: MANIFEST_KEY });
+
+  try {
+    const response = await s3Client.send(new GetObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: MANIFEST_KEY,
+      IfNoneMatch: manifestCache?.etag,
+    }));
+    manifestCache = { etag: response.ETag, manifest: JSON.parse(await streamToString(response.Body)) };
+  } catch (error) {
+    if (error.$metadata?.httpStatusCode === 304) {
+      return manifestCache.manifest;
+    }
+    if (error.name === 'NoSuchKey') {
+      manifestCache = null;
+      return null;
+    }
+    throw error;
+  }
+
+  return manifestCache.manifest;
+}
+
+/**
+ * List the ingested documents as { Key, ETag } pairs, where ETag is the document version
+ */
+export async function listKnowledgeBaseObjects(logger) {
+  const manifest = await loadManifest(logger);
+  if (!manifest) {
+    logger.warn('Knowledge base manifest not found, run the ingestion function');
+    return [];
+  }
+
+  return manifest.documents.map(entry => ({ Key: entry.key, ETag: entry.version }));
+}
+
+/**
+ * Download one processed document
+ */
+async function fetchDocument(key, logger) {
+  logger.logServiceCall('S3', 'GetObject', { key });
+
+  const response = await s3Client.send(new GetObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+  }));
+
+  return JSON.parse(await streamToString(response.Body));
+}
+
+/**
+ * Load the listed documents, reusing parsed documents whose version is unchanged
+ * New and changed documents are downloaded in parallel, at most KB_FETCH_CONCURRENCY
+ * at a time. A document that fails to download keeps its previously loaded version,
+ * if any; otherwise it is skipped. Returns the documents in listing order.
+ */
+export async function loadKnowledgeBase(objects, logger) {
+  const listedKeys = new Set(objects.map(object => object.Key));
+  for (const key of documentCache.keys()) {
+    if (!listedKeys.has(key)) {
+      documentCache.delete(key);
+    }
+  }
+
+  const changed = objects.filter(object => documentCache.get(object.Key)?.etag !== object.ETag);
+  let failed = 0;
+
+  await mapWithConcurrency(changed, KB_FETCH_CONCURRENCY, async object => {
+    try {
+      const document = await fetchDocument(object.Key, logger);
+      documentCache.set(object.Key, { etag: object.ETag, document });
+      logger.debug('Retrieved document', { documentId: document.documentId, title: document.title });
+    } catch (error) {
+      failed++;
+      logger.error(`Error retrieving document ${object.Key}`, error);
+    }
+  });
+
+  logger.info('Loaded knowledge base', {
+    documents: objects.length,
+    fetched: changed.length - failed,
+    reused: objects.length - changed.length,
+    failed,
+  });
+
+  return objects
+    .map(object => documentCache.get(object.Key)?.document)
+    .filter(Boolean);
+}
+
+/**
+ * Get the chunks of a loaded document
+ * Chunks carry the document's id, title and metadata for ranking and citing;
+ * their embeddings are kept aside (see getChunkVector) so chunks stay small in logs.
+ */
+export function getDocumentChunks(document) {
+  if (!chunkCache.has(document)) {
+    chunkCache.set(document, (document.chunks || []).map(({ embedding, ...stored }) => {
+      const chunk = {
+        ...stored,
+        documentId: document.documentId,
+        title: document.title,
+        metadata: document.metadata || {},
+      };
+      if (embedding && document.embedding) {
+        vectorCache.set(chunk, { ...document.embedding, vector: embedding });
+      }
+      return chunk;
+    }));
+  }
+  return chunkCache.get(document);
+}
+
+/**
+ * Get a chunk's embedding if it was produced by the given model ({ modelId, dimensions }), else null
+ */
+export function getChunkVector(chunk, { modelId, dimensions }) {
+  const entry = vectorCache.get(chunk);
+  return entry && entry.modelId === modelId && entry.dimensions === dimensions ? entry.vector : null;
+}
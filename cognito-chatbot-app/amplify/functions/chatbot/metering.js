@@ -0,0 +1,121 @@
+/**
+ * Bedrock token metering
+ * Records token usage, latency and estimated cost per user, day and model
+ * in the application DynamoDB table
+ *
+ * Key layout:
+ *   pk = METER#<YYYY-MM-DD>, sk = USER#<sub>#MODEL#<modelId>
+ * One partition per day keeps the admin report to one query per day.
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { createLogger } from './logger.js';
+import { baseModelId } from './providers.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+const METERING_RETENTION_DAYS = parseInt(process.env.METERING_RETENTION_DAYS || '400');
+
+// On-demand prices in USD per 1,000 tokens by base model id prefix - checked in order,
+// the first match wins. Override or extend with MODEL_PRICING (same shape, JSON).
+const MODEL_PRICING = [
+  { prefix: 'anthropic.claude-3-haiku', input: 0.00025, output: 0.00125 },
+  { prefix: 'anthropic.claude-3-5-haiku', input: 0.0008, output: 0.004 },
+  { prefix: 'anthropic.claude-3-opus', input: 0.015, output: 0.075 },
+  { prefix: 'anthropic.claude-instant', input: 0.0008, output: 0.0024 },
+  { prefix: 'anthropic.claude-v2', input: 0.008, output: 0.024 },
+  { prefix: 'anthropic.', input: 0.003, output: 0.015 },
+  { prefix: 'amazon.nova-micro', input: 0.000035, output: 0.00014 },
+  { prefix: 'amazon.nova-lite', input: 0.00006, output: 0.00024 },
+  { prefix: 'amazon.nova-pro', input: 0.0008, output: 0.0032 },
+  { prefix: 'amazon.titan-text-lite', input: 0.00015, output: 0.0002 },
+  { prefix: 'amazon.titan-text-premier', input: 0.0005, output: 0.0015 },
+  { prefix: 'amazon.titan-text', input: 0.0002, output: 0.0006 },
+  { prefix: 'meta.llama3-8b', input: 0.0003, output: 0.0006 },
+  { prefix: 'meta.llama3-70b', input: 0.00265, output: 0.0035 },
+  { prefix: 'meta.llama3', input: 0.00072, output: 0.00072 },
+  { prefix: 'meta.llama2', input: 0.00195, output: 0.00256 },
+  { prefix: 'mistral.mistral-7b', input: 0.00015, output: 0.0002 },
+  { prefix: 'mistral.mixtral', input: 0.00045, output: 0.0007 },
+  { prefix: 'mistral.mistral-large', input: 0.004, output: 0.012 },
+  { prefix: 'mistral.', input: 0.001, output: 0.003 },
+];
+
+/**
+ * Parse MODEL_PRICING - a JSON map of model id (or id prefix) to { input, output } per 1,000 tokens
+ */
+function loadPricingOverrides() {
+  if (!process.env.MODEL_PRICING) {
+    return [];
+  }
+  try {
+    return Object.entries(JSON.parse(process.env.MODEL_PRICING))
+      .map(([prefix, price]) => ({ prefix: baseModelId(prefix), input: Number(price.input) || 0, output: Number(price.output) || 0 }));
+  } catch (error) {
+    createLogger({ module: 'metering' }).warn('Invalid MODEL_PRICING, using built-in prices', { reason: error.message });
+    return [];
+  }
+}
+
+const PRICING = [...loadPricingOverrides(), ...MODEL_PRICING];
+
+/**
+ * Estimate the cost in USD of a model call
+ * Returns null for models without a known price
+ */
+export function estimateCost(modelId, inputTokens, outputTokens) {
+  const baseId = baseModelId(modelId || '');
+  const price = PRICING.find(entry => baseId.startsWith(entry.prefix));
+  if (!price) {
+    return null;
+  }
+  const cost = (inputTokens * price.input + outputTokens * price.output) / 1000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Add one model call to the caller's usage for today
+ * Counters are updated atomically so concurrent requests are all counted
+ */
+export async function recordUsage({ sub, role, department, modelId, inputTokens, outputTokens, latencyMs }, logger) {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  const costUsd = estimateCost(modelId, inputTokens, outputTokens);
+
+  if (costUsd === null) {
+    logger.warn('No price configured for model, recording zero cost', { modelId });
+  }
+
+  logger.logServiceCall('DynamoDB', 'UpdateItem', { table: TABLE_NAME, operation: 'recordUsage' });
+
+  await dynamoClient.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `METER#${day}`, sk: `USER#${sub}#MODEL#${modelId}` },
+    UpdateExpression: [
+      'SET #type = :type, userId = :sub, #role = :role, department = :department,',
+      'modelId = :modelId, #day = :day, updatedAt = :now, expiresAt = :ttl',
+      'ADD requests :one, inputTokens :inputTokens, outputTokens :outputTokens,',
+      'latencyMs :latencyMs, costUsd :costUsd',
+    ].join(' '),
+    ExpressionAttributeNames: { '#type': 'type', '#role': 'role', '#day': 'day' },
+    ExpressionAttributeValues: {
+      ':type': 'metering',
+      ':sub': sub,
+      ':role': role,
+      ':department': department || null,
+      ':modelId': modelId,
+      ':day': day,
+      ':now': now.toISOString(),
+      ':ttl': Math.floor(now.getTime() / 1000) + METERING_RETENTION_DAYS * 24 * 60 * 60,
+      ':one': 1,
+      ':inputTokens': inputTokens,
+      ':outputTokens': outputTokens,
+      ':latencyMs': latencyMs,
+      ':costUsd': costUsd || 0,
+    },
+  }));
+
+  logger.info('Recorded token usage', { modelId, inputTokens, outputTokens, latencyMs, costUsd });
+}
@@ -0,0 +1,369 @@
+/**
+ * Bedrock model providers
+ * Builds request bodies and parses responses for each supported model family
+ *
+ * Every provider takes the same input - an optional system prompt and an array of
+ * { role: 'user' | 'assistant', content } messages - and returns the same output
+ * shape, so the handler does not depend on the model behind BEDROCK_MODEL_ID.
+ *
+ * Providers with supportsTools also accept tool definitions ({ name, description,
+ * inputSchema }), assistant messages with toolCalls ([{ id, name, input }]) and user
+ * messages with toolResults ([{ id, content, isError }]), and report the model's
+ * tool calls as toolCalls.
+ */
+
+// Cross-region inference profile ids are prefixed with a geography, e.g. "eu.anthropic.claude-..."
+const INFERENCE_PROFILE_PREFIX = /^(us|eu|apac|us-gov|global)\./;
+
+/**
+ * Render messages as a plain-text transcript for models without a chat format
+ */
+function renderTranscript(messages, { user, assistant }) {
+  return messages
+    .map(message => `${message.role === 'assistant' ? assistant : user}: ${message.content}`)
+    .join('\n\n');
+}
+
+/**
+ * Convert a message to the Anthropic format, with tool use content blocks if needed
+ */
+function toAnthropicMessage(message) {
+  if (message.toolResults) {
+    return {
+      role: 'user',
+      content: message.toolResults.map(result => ({
+        type: 'tool_result',
+        tool_use_id: result.id,
+        content: result.content,
+        ...(result.isError ? { is_error: true } : {}),
+      })),
+    };
+  }
+
+  if (message.toolCalls) {
+    return {
+      role: 'assistant',
+      content: [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input })),
+      ],
+    };
+  }
+
+  return { role: message.role, content: message.content };
+}
+
+/**
+ * Anthropic Claude - Messages API
+ */
+const anthropicProvider = {
+  family: 'anthropic',
+  supportsTools: true,
+
+  buildRequest({ system, messages, tools, maxTokens, temperature }) {
+    return {
+      anthropic_version: 'bedrock-2023-05-31',
+      max_tokens: maxTokens,
+      temperature,
+      ...(system ? { system } : {}),
+      ...(tools?.length ? {
+        tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema })),
+      } : {}),
+      messages: messages.map(toAnthropicMessage),
+    };
+  },
+
+  parseResponse(body) {
+    return {
+      text: body.content?.filter(block => block.type === 'text').map(block => block.text).join('') || '',
+      toolCalls: (body.content || [])
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input || {} })),
+      stopReason: body.stop_reason,
+      usage: {
+        inputTokens: body.usage?.input_tokens,
+        outputTokens: body.usage?.output_tokens,
+      },
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    return chunk.type === 'content_block_delta' ? chunk.delta?.text || '' : '';
+  },
+
+  parseStreamToolUse(chunk) {
+    if (chunk.type === 'content_block_start' && chunk.content_block?.type === 'tool_use') {
+      return { index: chunk.index, id: chunk.content_block.id, name: chunk.content_block.name };
+    }
+    if (chunk.type === 'content_block_delta' && chunk.delta?.type === 'input_json_delta') {
+      return { index: chunk.index, input: chunk.delta.partial_json || '' };
+    }
+    return null;
+  },
+};
+
+/**
+ * Convert a message to the Nova format, with tool use content blocks if needed
+ */
+function toNovaMessage(message) {
+  if (message.toolResults) {
+    return {
+      role: 'user',
+      content: message.toolResults.map(result => ({
+        toolResult: {
+          toolUseId: result.id,
+          content: [{ text: result.content }],
+          ...(result.isError ? { status: 'error' } : {}),
+        },
+      })),
+    };
+  }
+
+  return {
+    role: message.role,
+    content: [
+      ...(message.content || !message.toolCalls ? [{ text: message.content }] : []),
+      ...(message.toolCalls || []).map(call => ({ toolUse: { toolUseId: call.id, name: call.name, input: call.input } })),
+    ],
+  };
+}
+
+/**
+ * Amazon Nova - messages-v1 schema
+ */
+const novaProvider = {
+  family: 'amazon-nova',
+  supportsTools: true,
+
+  buildRequest({ system, messages, tools, maxTokens, temperature }) {
+    return {
+      schemaVersion: 'messages-v1',
+      ...(system ? { system: [{ text: system }] } : {}),
+      messages: messages.map(toNovaMessage),
+      ...(tools?.length ? {
+        toolConfig: {
+          tools: tools.map(tool => ({
+            toolSpec: { name: tool.name, description: tool.description, inputSchema: { json: tool.inputSchema } },
+          })),
+        },
+      } : {}),
+      inferenceConfig: {
+        maxTokens,
+        temperature,
+      },
+    };
+  },
+
+  parseResponse(body) {
+    const content = body.output?.message?.content || [];
+    return {
+      text: content.map(block => block.text || '').join(''),
+      toolCalls: content
+        .filter(block => block.toolUse)
+        .map(({ toolUse }) => ({ id: toolUse.toolUseId, name: toolUse.name, input: toolUse.input || {} })),
+      stopReason: body.stopReason,
+      usage: {
+        inputTokens: body.usage?.inputTokens,
+        outputTokens: body.usage?.outputTokens,
+      },
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    return chunk.contentBlockDelta?.delta?.text || '';
+  },
+
+  parseStreamToolUse(chunk) {
+    const start = chunk.contentBlockStart?.start?.toolUse;
+    if (start) {
+      return { index: chunk.contentBlockStart.contentBlockIndex, id: start.toolUseId, name: start.name };
+    }
+    const delta = chunk.contentBlockDelta?.delta?.toolUse;
+    if (delta) {
+      return { index: chunk.contentBlockDelta.contentBlockIndex, input: delta.input || '' };
+    }
+    return null;
+  },
+};
+
+/**
+ * Amazon Titan Text - single prompt string
+ */
+const titanProvider = {
+  family: 'amazon-titan',
+
+  buildRequest({ system, messages, maxTokens, temperature }) {
+    const transcript = renderTranscript(messages, { user: 'User', assistant: 'Bot' });
+    return {
+      inputText: `${system ? `${system}\n\n` : ''}${transcript}\n\nBot:`,
+      textGenerationConfig: {
+        maxTokenCount: maxTokens,
+        temperature,
+      },
+    };
+  },
+
+  parseResponse(body) {
+    const result = body.results?.[0];
+    return {
+      text: result?.outputText?.trim() || '',
+      stopReason: result?.completionReason,
+      usage: {
+        inputTokens: body.inputTextTokenCount,
+        outputTokens: result?.tokenCount,
+      },
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    return chunk.outputText || '';
+  },
+};
+
+/**
+ * Meta Llama 3 - chat template with header tokens
+ */
+const llama3Provider = {
+  family: 'meta-llama3',
+
+  buildRequest({ system, messages, maxTokens, temperature }) {
+    let prompt = '<|begin_of_text|>';
+    if (system) {
+      prompt += `<|start_header_id|>system<|end_header_id|>\n\n${system}<|eot_id|>`;
+    }
+    messages.forEach(message => {
+      prompt += `<|start_header_id|>${message.role}<|end_header_id|>\n\n${message.content}<|eot_id|>`;
+    });
+    prompt += '<|start_header_id|>assistant<|end_header_id|>\n\n';
+
+    return {
+      prompt,
+      max_gen_len: maxTokens,
+      temperature,
+    };
+  },
+
+  parseResponse(body) {
+    return {
+      text: body.generation?.trim() || '',
+      stopReason: body.stop_reason,
+      usage: {
+        inputTokens: body.prompt_token_count,
+        outputTokens: body.generation_token_count,
+      },
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    return chunk.generation || '';
+  },
+};
+
+/**
+ * Build an [INST] prompt as used by Llama 2 and Mistral instruct models
+ */
+function buildInstructPrompt(system, messages) {
+  let prompt = '<s>';
+  messages.forEach((message, index) => {
+    if (message.role === 'user') {
+      const content = index === 0 && system ? `${system}\n\n${message.content}` : message.content;
+      prompt += `[INST] ${content} [/INST]`;
+    } else {
+      prompt += ` ${message.content}</s><s>`;
+    }
+  });
+  return prompt;
+}
+
+/**
+ * Meta Llama 2 - [INST] instruct format
+ */
+const llama2Provider = {
+  ...llama3Provider,
+  family: 'meta-llama2',
+
+  buildRequest({ system, messages, maxTokens, temperature }) {
+    return {
+      prompt: buildInstructPrompt(system, messages),
+      max_gen_len: maxTokens,
+      temperature,
+    };
+  },
+};
+
+/**
+ * Mistral and Mixtral - [INST] instruct format
+ */
+const mistralProvider = {
+  family: 'mistral',
+
+  buildRequest({ system, messages, maxTokens, temperature }) {
+    return {
+      prompt: buildInstructPrompt(system, messages),
+      max_tokens: maxTokens,
+      temperature,
+    };
+  },
+
+  parseResponse(body) {
+    const output = body.outputs?.[0];
+    return {
+      text: output?.text?.trim() || '',
+      stopReason: output?.stop_reason,
+      // Mistral does not report token counts in the response body
+      usage: {
+        inputTokens: undefined,
+        outputTokens: undefined,
+      },
+    };
+  },
+
+  parseStreamChunk(chunk) {
+    return chunk.outputs?.[0]?.text || '';
+  },
+};
+
+// Checked in order - the first matching prefix wins
+const PROVIDERS = [
+  { prefix: 'anthropic.', provider: anthropicProvider },
+  { prefix: 'amazon.nova', provider: novaProvider },
+  { prefix: 'amazon.titan-text', provider: titanProvider },
+  { prefix: 'meta.llama3', provider: llama3Provider },
+  { prefix: 'meta.llama2', provider: llama2Provider },
+  { prefix: 'mistral.', provider: mistralProvider },
+];
+
+/**
+ * Strip the cross-region inference profile prefix from a model id
+ */
+export function baseModelId(modelId) {
+  return modelId.replace(INFERENCE_PROFILE_PREFIX, '');
+}
+
+/**
+ * Select the provider for a Bedrock model id
+ */
+export function getProvider(modelId) {
+  const baseId = baseModelId(modelId || '');
+  const match = PROVIDERS.find(entry => baseId.startsWith(entry.prefix));
+
+  if (!match) {
+    throw new Error(`Unsupported Bedrock model family: ${modelId}`);
+  }
+
+  return match.provider;
+}
+
+/**
+ * Token counts reported by Bedrock at the end of every response stream
+ */
+export function parseInvocationMetrics(chunk) {
+  const metrics = chunk['amazon-bedrock-invocationMetrics'];
+  if (!metrics) {
+    return null;
+  }
+  return {
+    inputTokens: metrics.inputTokenCount,
+    outputTokens: metrics.outputTokenCount,
+  };
+}
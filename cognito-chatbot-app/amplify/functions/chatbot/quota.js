@@ -0,0 +1,248 @@
+/**
+ * Per-user question quotas
+ * Counts questions per user in fixed per-minute and per-day windows using
+ * atomic counters in the application DynamoDB table.
+ * The chatbot counts questions (consumeQuota) and reports usage to tools
+ * (getUsage); the admin function reads and resets the counters (admin/quota.js).
+ *
+ * Key layout:
+ *   Minute counter: pk = USAGE#<sub>, sk = MINUTE#<YYYY-MM-DDTHH:MM>
+ *   Day counter:    pk = USAGE#<sub>, sk = DAY#<YYYY-MM-DD>
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { RateLimitError, UpstreamError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+// Limits per custom:role - override with the QUOTA_LIMITS environment variable (same JSON shape)
+const DEFAULT_QUOTA_LIMITS = {
+  user: { perMinute: 10, perDay: 200 },
+  admin: { perMinute: 30, perDay: 1000 },
+};
+
+// Limits in each role's entry
+const QUOTA_WINDOWS = ['perMinute', 'perDay'];
+
+/**
+ * Parse QUOTA_LIMITS, falling back to the defaults when unset or invalid
+ * Each role's limits are merged over its defaults, so a limit left out keeps its
+ * default; roles without defaults start from the user limits. A limit must be a
+ * whole number of questions, 0 for unlimited; an invalid one keeps its default.
+ */
+function loadQuotaLimits() {
+  if (!process.env.QUOTA_LIMITS) {
+    return DEFAULT_QUOTA_LIMITS;
+  }
+
+  const logger = createLogger({ module: 'quota' });
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.QUOTA_LIMITS);
+  } catch (error) {
+    logger.warn('Invalid QUOTA_LIMITS, using defaults', { reason: error.message });
+    return DEFAULT_QUOTA_LIMITS;
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    logger.warn('Invalid QUOTA_LIMITS, using defaults', { reason: 'not an object of roles' });
+    return DEFAULT_QUOTA_LIMITS;
+  }
+
+  const limits = { ...DEFAULT_QUOTA_LIMITS };
+  Object.entries(overrides).forEach(([role, override]) => {
+    const merged = { ...(DEFAULT_QUOTA_LIMITS[role] || DEFAULT_QUOTA_LIMITS.user) };
+    QUOTA_WINDOWS.forEach(window => {
+      const value = override?.[window];
+      if (value === undefined) {
+        return;
+      }
+      if (Number.isInteger(value) && value >= 0) {
+        merged[window] = value;
+      } else {
+        logger.warn('Invalid QUOTA_LIMITS limit, using the default', { role, window, value: String(value) });
+      }
+    });
+    limits[role] = merged;
+  });
+  return limits;
+}
+
+const QUOTA_LIMITS = loadQuotaLimits();
+
+/**
+ * Get the quota limits for a role
+ * A limit of 0 means unlimited
+ */
+export function getQuotaLimits(role) {
+  return QUOTA_LIMITS[role] || QUOTA_LIMITS.user;
+}
+
+/**
+ * Describe the current minute and day windows
+ */
+export function currentWindows(now = new Date()) {
+  const iso = now.toISOString();
+  const minuteStart = new Date(iso.slice(0, 16) + ':00.000Z');
+  const dayStart = new Date(iso.slice(0, 10) + 'T00:00:00.000Z');
+
+  return {
+    minute: {
+      sk: `MINUTE#${iso.slice(0, 16)}`,
+      resetAt: new Date(minuteStart.getTime() + 60 * 1000),
+    },
+    day: {
+      sk: `DAY#${iso.slice(0, 10)}`,
+      resetAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+    },
+  };
+}
+
+/**
+ * Atomically add delta to a window counter, refusing to go past the limit
+ * Returns the new count, or null when the limit has been reached
+ */
+async function incrementCounter(sub, window, limit, delta) {
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { pk: `USAGE#${sub}`, sk: window.sk },
+    UpdateExpression: 'SET #type = :type, expiresAt = :ttl ADD #count :delta',
+    ExpressionAttributeNames: { '#type': 'type', '#count': 'count' },
+    ExpressionAttributeValues: {
+      ':type': 'usage',
+      ':delta': delta,
+      // Keep counters a day past the end of their window so admins can inspect them
+      ':ttl': Math.floor(window.resetAt.getTime() / 1000) + 24 * 60 * 60,
+    },
+    ReturnValues: 'UPDATED_NEW',
+  };
+
+  if (delta > 0 && limit > 0) {
+    params.ConditionExpression = 'attribute_not_exists(#count) OR #count < :limit';
+    params.ExpressionAttributeValues[':limit'] = limit;
+  }
+
+  try {
+    const response = await dynamoClient.send(new UpdateCommand(params));
+    return response.Attributes.count;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Lets browsers read the rate limit headers cross-origin; matches the exposed
+// headers of the chatbot function URL CORS configuration (api/resource.ts)
+const EXPOSED_HEADERS = [
+  'Retry-After',
+  'X-RateLimit-Limit-Minute',
+  'X-RateLimit-Remaining-Minute',
+  'X-RateLimit-Limit-Day',
+  'X-RateLimit-Remaining-Day',
+].join(', ');
+
+/**
+ * Build rate limit headers describing the caller's remaining quota
+ */
+function quotaHeaders(limits, minuteCount, dayCount) {
+  const headers = { 'Access-Control-Expose-Headers': EXPOSED_HEADERS };
+  if (limits.perMinute > 0) {
+    headers['X-RateLimit-Limit-Minute'] = String(limits.perMinute);
+    headers['X-RateLimit-Remaining-Minute'] = String(Math.max(0, limits.perMinute - minuteCount));
+  }
+  if (limits.perDay > 0) {
+    headers['X-RateLimit-Limit-Day'] = String(limits.perDay);
+    headers['X-RateLimit-Remaining-Day'] = String(Math.max(0, limits.perDay - dayCount));
+  }
+  return headers;
+}
+
+/**
+ * Count one question against the user's quota
+ * Returns rate limit headers for the response, or throws a RateLimitError
+ * carrying Retry-After when a window is exhausted
+ */
+export async function consumeQuota(sub, role, logger) {
+  const limits = getQuotaLimits(role);
+  const now = new Date();
+  const windows = currentWindows(now);
+
+  logger.logServiceCall('DynamoDB', 'UpdateItem', { table: TABLE_NAME, operation: 'consumeQuota' });
+
+  try {
+    // The day counter is charged first; if the minute window is full the charge is refunded
+    const dayCount = await incrementCounter(sub, windows.day, limits.perDay, 1);
+    if (dayCount === null) {
+      logger.warn('Daily question quota exceeded', { role, limit: limits.perDay });
+      throw new RateLimitError('Daily question quota exceeded', {
+        code: 'DAILY_QUOTA_EXCEEDED',
+        retryAfterSeconds: (windows.day.resetAt - now) / 1000,
+        headers: quotaHeaders(limits, 0, limits.perDay),
+      });
+    }
+
+    const minuteCount = await incrementCounter(sub, windows.minute, limits.perMinute, 1);
+    if (minuteCount === null) {
+      await incrementCounter(sub, windows.day, limits.perDay, -1);
+      logger.warn('Per-minute question quota exceeded', { role, limit: limits.perMinute });
+      throw new RateLimitError('Too many questions, please slow down', {
+        code: 'RATE_LIMITED',
+        retryAfterSeconds: (windows.minute.resetAt - now) / 1000,
+        headers: quotaHeaders(limits, limits.perMinute, dayCount - 1),
+      });
+    }
+
+    return quotaHeaders(limits, minuteCount, dayCount);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      throw error;
+    }
+    throw new UpstreamError('Quota service temporarily unavailable', { cause: error });
+  }
+}
+
+/**
+ * Describe one window's usage against its limit
+ */
+function describeWindow(item, limit, window) {
+  const used = item?.count || 0;
+  return {
+    used,
+    limit: limit || null,
+    remaining: limit > 0 ? Math.max(0, limit - used) : null,
+    resetAt: window.resetAt.toISOString(),
+  };
+}
+
+/**
+ * Get a user's usage in the current minute and day windows
+ */
+export async function getUsage(sub, role, logger) {
+  const limits = getQuotaLimits(role);
+  const windows = currentWindows();
+
+  logger.logServiceCall('DynamoDB', 'GetItem', { table: TABLE_NAME, operation: 'getUsage' });
+
+  try {
+    const [minute, day] = await Promise.all([windows.minute, windows.day].map(window =>
+      dynamoClient.send(new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { pk: `USAGE#${sub}`, sk: window.sk },
+      }))
+    ));
+
+    return {
+      userId: sub,
+      role,
+      minute: describeWindow(minute.Item, limits.perMinute, windows.minute),
+      day: describeWindow(day.Item, limits.perDay, windows.day),
+    };
+  } catch (error) {
+    throw new UpstreamError('Quota service temporarily unavailable', { cause: error });
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Knowledge base retrieval utilities
+ * Ranks documents or document chunks against a question using Okapi BM25,
+ * embedding similarity, or both
+ */
+
+import { cosineSimilarity } from './embeddings.js';
+
+// BM25 tuning parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Field weights - a match in the title or tags counts more than one in the body
+const FIELD_WEIGHTS = {
+  title: 3,
+  heading: 2,
+  tags: 2,
+  content: 1,
+};
+
+// Common English words that carry no retrieval signal
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of',
+  'on', 'or', 'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Split text into lowercase terms, dropping stop words and punctuation
+ */
+export function tokenize(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Build the weighted term list for a document or chunk
+ * Title, heading and tag terms are repeated according to their field weight
+ */
+function documentTerms(doc) {
+  const tags = Array.isArray(doc.metadata?.tags) ? doc.metadata.tags.join(' ') : '';
+  const terms = [];
+
+  const fields = {
+    title: tokenize(doc.title),
+    heading: tokenize(doc.heading),
+    tags: tokenize(tags),
+    content: tokenize(doc.content),
+  };
+
+  Object.entries(fields).forEach(([field, fieldTerms]) => {
+    for (let i = 0; i < FIELD_WEIGHTS[field]; i++) {
+      terms.push(...fieldTerms);
+    }
+  });
+
+  return terms;
+}
+
+/**
+ * Count occurrences of each term
+ */
+function termFrequencies(terms) {
+  const frequencies = new Map();
+  terms.forEach(term => {
+    frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  });
+  return frequencies;
+}
+
+/**
+ * Score documents against a question with BM25
+ * Returns every document paired with its score, highest first
+ */
+export function scoreDocuments(question, documents) {
+  const queryTerms = [...new Set(tokenize(question))];
+
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return documents.map(document => ({ document, score: 0 }));
+  }
+
+  const indexed = documents.map(document => {
+    const terms = documentTerms(document);
+    return { document, length: terms.length, frequencies: termFrequencies(terms) };
+  });
+
+  const averageLength = indexed.reduce((sum, doc) => sum + doc.length, 0) / indexed.length || 1;
+
+  // Inverse document frequency for each query term
+  const idf = new Map();
+  queryTerms.forEach(term => {
+    const containing = indexed.filter(doc => doc.frequencies.has(term)).length;
+    idf.set(term, Math.log(1 + (indexed.length - containing + 0.5) / (containing + 0.5)));
+  });
+
+  return indexed
+    .map(({ document, length, frequencies }) => {
+      let score = 0;
+      queryTerms.forEach(term => {
+        const tf = frequencies.get(term) || 0;
+        if (tf === 0) {
+          return;
+        }
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * (length / averageLength));
+        score += idf.get(term) * ((tf * (BM25_K1 + 1)) / (tf + norm));
+      });
+      return { document, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Select the top-k most relevant documents for a question
+ * Documents that share no terms with the question are never returned
+ */
+export function rankDocuments(question, documents, { topK = 3, minScore = 0 } = {}) {
+  return scoreDocuments(question, documents)
+    .filter(result => result.score > minScore)
+    .slice(0, topK)
+    .map(roundScore);
+}
+
+/**
+ * Round a result's score for logs and API responses
+ */
+function roundScore(result) {
+  return { ...result, score: Math.round(result.score * 1000) / 1000 };
+}
+
+/**
+ * Select the top-k documents most similar to a question embedding
+ * vectorOf(document) returns the document's embedding, or null when it is not indexed
+ */
+export function rankByVector(queryVector, documents, vectorOf, { topK = 3, minSimilarity = 0 } = {}) {
+  return documents
+    .map(document => {
+      const vector = vectorOf(document);
+      return { document, score: vector ? cosineSimilarity(queryVector, vector) : 0 };
+    })
+    .filter(result => result.score > 0 && result.score >= minSimilarity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(roundScore);
+}
+
+/**
+ * Hybrid retrieval: documents that pass the keyword or the vector threshold are
+ * reranked by a weighted sum of their BM25 score (scaled to 0-1 by the best BM25
+ * score) and their cosine similarity, so each method can rescue the other's misses
+ */
+export function rankHybrid(question, queryVector, documents, vectorOf, {
+  topK = 3,
+  minScore = 0,
+  minSimilarity = 0,
+  vectorWeight = 0.5,
+} = {}) {
+  const keywordResults = scoreDocuments(question, documents);
+  const bestKeywordScore = keywordResults[0]?.score || 0;
+
+  return keywordResults
+    .map(({ document, score: keywordScore }) => {
+      const vector = vectorOf(document);
+      return { document, keywordScore, similarity: vector ? cosineSimilarity(queryVector, vector) : 0 };
+    })
+    .filter(result => result.keywordScore > minScore || (result.similarity > 0 && result.similarity >= minSimilarity))
+    .map(({ document, keywordScore, similarity }) => ({
+      document,
+      score: (1 - vectorWeight) * (bestKeywordScore > 0 ? keywordScore / bestKeywordScore : 0)
+        + vectorWeight * Math.max(similarity, 0),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(roundScore);
+}
@@ -0,0 +1,142 @@
+/**
+ * Prompt template storage
+ * Named, versioned prompt templates and their role/department assignments in
+ * the application DynamoDB table. The chatbot only reads them (resolveTemplate);
+ * the admin function writes them and keeps its own copy of this module
+ * (admin/templates.js).
+ *
+ * Key layout (all in one partition, pk = PROMPT_TEMPLATES):
+ *   Template head:    sk = HEAD#<name>                 (latestVersion, activeVersion)
+ *   Template version: sk = VERSION#<name>#<000001>     (immutable once written)
+ *   Assignments:      sk = ASSIGNMENTS                 ({ default, roles, departments })
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand } from '@aws-sdk/lib-dynamodb';
+import { DEFAULT_TEMPLATE } from './prompt.js';
+import { UpstreamError, ValidationError } from './errors.js';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+const PROMPT_TEMPLATE_CACHE_SECONDS = parseInt(process.env.PROMPT_TEMPLATE_CACHE_SECONDS || '60');
+
+const PARTITION = 'PROMPT_TEMPLATES';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// Resolved templates and assignments, kept across warm invocations
+const cache = new Map();
+
+/**
+ * Sort key of one template version
+ */
+function versionKey(name, version) {
+  return `VERSION#${name}#${String(version).padStart(6, '0')}`;
+}
+
+/**
+ * Wrap a DynamoDB call so storage failures surface as UpstreamError
+ */
+async function send(command) {
+  try {
+    return await dynamoClient.send(command);
+  } catch (error) {
+    throw new UpstreamError('Prompt template storage temporarily unavailable', { cause: error });
+  }
+}
+
+/**
+ * Load a single item from the template partition
+ */
+async function getItem(sk) {
+  const response = await send(new GetCommand({ TableName: TABLE_NAME, Key: { pk: PARTITION, sk } }));
+  return response.Item || null;
+}
+
+/**
+ * Strip storage keys from a template item
+ */
+function toTemplate({ pk: _pk, sk: _sk, ...template }) {
+  return template;
+}
+
+/**
+ * Check a template name
+ */
+export function validateTemplateName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new ValidationError('Template names use 1-40 lowercase letters, digits and hyphens', { code: 'INVALID_TEMPLATE_NAME' });
+  }
+}
+
+/**
+ * Load the assignments, or the empty default when none are stored
+ */
+export async function getAssignments() {
+  const item = await getItem('ASSIGNMENTS');
+  return {
+    default: item?.default || DEFAULT_TEMPLATE.name,
+    roles: item?.roles || {},
+    departments: item?.departments || {},
+    updatedAt: item?.updatedAt || null,
+    updatedBy: item?.updatedBy || null,
+  };
+}
+
+/**
+ * Load the active version of a template
+ * Returns the built-in template for "default" when it has not been stored, null otherwise
+ */
+export async function getActiveTemplate(name) {
+  const head = await getItem(`HEAD#${name}`);
+  if (!head) {
+    return name === DEFAULT_TEMPLATE.name ? DEFAULT_TEMPLATE : null;
+  }
+  const version = await getItem(versionKey(name, head.activeVersion));
+  return version ? toTemplate(version) : null;
+}
+
+/**
+ * Pick the template name for a user: department first, then role, then the default
+ */
+export function pickTemplateName(assignments, { role, department }) {
+  const departmentKey = department?.trim().toLowerCase();
+  return (departmentKey && assignments.departments[departmentKey])
+    || assignments.roles[role]
+    || assignments.default;
+}
+
+/**
+ * Return a cached value, loading it when missing or older than PROMPT_TEMPLATE_CACHE_SECONDS
+ */
+async function cached(key, loader) {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+  const value = await loader();
+  cache.set(key, { value, expiresAt: Date.now() + PROMPT_TEMPLATE_CACHE_SECONDS * 1000 });
+  return value;
+}
+
+/**
+ * Resolve the active template for a user
+ * Cached per Lambda container, so admin edits apply within PROMPT_TEMPLATE_CACHE_SECONDS.
+ * Falls back to the built-in template if the assigned one is missing or cannot be loaded.
+ */
+export async function resolveTemplate(user, logger) {
+  try {
+    const assignments = await cached('assignments', getAssignments);
+    const name = pickTemplateName(assignments, user);
+    const template = await cached(`template#${name}`, () => getActiveTemplate(name));
+
+    if (!template) {
+      logger.warn('Assigned prompt template not found, using the built-in template', { templateName: name });
+      return DEFAULT_TEMPLATE;
+    }
+    return template;
+  } catch (error) {
+    logger.error('Failed to load prompt template, using the built-in template', error);
+    return DEFAULT_TEMPLATE;
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Token estimation and context window budgets
+ * Keeps prompts inside the model's context window without calling a tokenizer
+ */
+
+import { createLogger } from './logger.js';
+import { baseModelId } from './providers.js';
+
+// Conservative average for English text - overestimating is safer than overflowing
+const CHARS_PER_TOKEN = 3.5;
+
+// Per-message overhead for role markers and chat template tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Used when a model id does not match any known prefix
+const DEFAULT_CONTEXT_TOKENS = 8192;
+
+// Context window sizes by base model id prefix - checked in order, the first match wins
+const CONTEXT_WINDOWS = [
+  { prefix: 'anthropic.claude-instant', tokens: 100000 },
+  { prefix: 'anthropic.claude-v2', tokens: 100000 },
+  { prefix: 'anthropic.', tokens: 200000 },
+  { prefix: 'amazon.nova-micro', tokens: 128000 },
+  { prefix: 'amazon.nova', tokens: 300000 },
+  { prefix: 'amazon.titan-text-lite', tokens: 4096 },
+  { prefix: 'amazon.titan-text-premier', tokens: 32000 },
+  { prefix: 'amazon.titan-text', tokens: 8192 },
+  { prefix: 'meta.llama3-1', tokens: 128000 },
+  { prefix: 'meta.llama3-2', tokens: 128000 },
+  { prefix: 'meta.llama3-3', tokens: 128000 },
+  { prefix: 'meta.llama3', tokens: 8192 },
+  { prefix: 'meta.llama2', tokens: 4096 },
+  { prefix: 'mistral.mistral-large-2407', tokens: 128000 },
+  { prefix: 'mistral.', tokens: 32000 },
+];
+
+/**
+ * Parse MODEL_CONTEXT_TOKENS - a JSON map of model id (or id prefix) to context window size
+ */
+function loadContextOverrides() {
+  if (!process.env.MODEL_CONTEXT_TOKENS) {
+    return [];
+  }
+  try {
+    return Object.entries(JSON.parse(process.env.MODEL_CONTEXT_TOKENS))
+      .map(([prefix, tokens]) => ({ prefix: baseModelId(prefix), tokens: Number(tokens) }))
+      .filter(entry => entry.tokens > 0);
+  } catch (error) {
+    createLogger({ module: 'tokens' })
+      .warn('Invalid MODEL_CONTEXT_TOKENS, using built-in context windows', { reason: error.message });
+    return [];
+  }
+}
+
+const CONTEXT_OVERRIDES = loadContextOverrides();
+
+/**
+ * Estimate the number of tokens in a piece of text
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimate the tokens used by one chat message
+ */
+export function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Get the context window size for a Bedrock model id
+ * MODEL_CONTEXT_TOKENS entries take precedence over the built-in table
+ */
+export function getContextWindow(modelId) {
+  const baseId = baseModelId(modelId || '');
+  const match = [...CONTEXT_OVERRIDES, ...CONTEXT_WINDOWS].find(entry => baseId.startsWith(entry.prefix));
+  return match ? match.tokens : DEFAULT_CONTEXT_TOKENS;
+}
+
+/**
+ * Get the input token budget shared by a set of models
+ * The smallest context window wins so the same prompt works for fallback models,
+ * and maxTokens is reserved for the answer.
+ */
+export function getInputBudget(modelIds, maxTokens) {
+  const contextWindow = Math.min(...modelIds.map(getContextWindow));
+  return Math.max(0, contextWindow - maxTokens);
+}
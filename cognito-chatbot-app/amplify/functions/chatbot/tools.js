@@ -0,0 +1,188 @@
+/**
+ * Chatbot tools
+ * Tools the model may call through Bedrock tool use to answer questions about the
+ * caller's own account. Tools act only for the signed-in caller: the user always
+ * comes from the authenticated request, never from the model's input, and each
+ * tool lists the roles allowed to use it.
+ *
+ * A tool is { name, description, inputSchema, roles, run(input, context, logger) }
+ * where context is { identity, user, documents } and documents are the knowledge
+ * base documents the caller may read. run returns a JSON-serializable result.
+ */
+
+import { CognitoIdentityProviderClient, AdminGetUserCommand } from '@aws-sdk/client-cognito-identity-provider';
+import { getUsage } from './quota.js';
+import { createSnippet } from './chunking.js';
+
+const cognitoClient = new CognitoIdentityProviderClient({});
+
+const USER_POOL_ID = process.env.USER_POOL_ID;
+
+// Comma-separated names of the tools offered to the model, or 'none' - all tools by default
+const CHATBOT_TOOLS = (process.env.CHATBOT_TOOLS ?? 'all').split(',').map(name => name.trim()).filter(Boolean);
+
+// Most documents returned by a knowledge base search
+const MAX_SEARCH_RESULTS = 10;
+
+// Longest string accepted as a tool parameter
+const MAX_INPUT_LENGTH = 100;
+
+// Cognito attributes the profile tool may return, by the name given to the model
+const PROFILE_ATTRIBUTES = {
+  email: 'email',
+  name: 'name',
+  givenName: 'given_name',
+  familyName: 'family_name',
+  role: 'custom:role',
+  department: 'custom:department',
+};
+
+const ALL_ROLES = ['user', 'admin'];
+
+const TOOLS = [
+  {
+    name: 'get_my_profile',
+    description: 'Get the signed-in user\'s own profile: email, name, role and department.',
+    inputSchema: { type: 'object', properties: {} },
+    roles: ALL_ROLES,
+
+    async run(input, { identity }, logger) {
+      logger.logServiceCall('Cognito', 'AdminGetUser', { username: identity.sub, tool: 'get_my_profile' });
+      const response = await cognitoClient.send(new AdminGetUserCommand({
+        UserPoolId: USER_POOL_ID,
+        Username: identity.sub,
+      }));
+
+      const attributes = new Map((response.UserAttributes || []).map(attribute => [attribute.Name, attribute.Value]));
+      return Object.fromEntries(Object.entries(PROFILE_ATTRIBUTES)
+        .map(([field, attribute]) => [field, attributes.get(attribute) ?? null]));
+    },
+  },
+  {
+    name: 'get_my_usage',
+    description: 'Get how many questions the signed-in user has asked in the current minute and today, '
+      + 'their limits, how many remain and when the counts reset. A null limit means unlimited.',
+    inputSchema: { type: 'object', properties: {} },
+    roles: ALL_ROLES,
+
+    async run(input, { identity, user }, logger) {
+      const { minute, day } = await getUsage(identity.sub, user.role, logger);
+      return { role: user.role, minute, day };
+    },
+  },
+  {
+    name: 'search_knowledge_base_by_tag',
+    description: 'List the knowledge base documents the user can read that have a tag or category, '
+      + 'with a short summary of each. Use it to find which documents cover a topic.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tag: { type: 'string', description: 'Tag or category to look for, e.g. "billing"' },
+      },
+      required: ['tag'],
+    },
+    roles: ALL_ROLES,
+
+    async run({ tag }, { documents }) {
+      const wanted = tag.trim().toLowerCase();
+      const matches = documents.filter(document => {
+        const metadata = document.metadata || {};
+        const tags = Array.isArray(metadata.tags) ? metadata.tags : [];
+        return [metadata.category, ...tags].some(value => typeof value === 'string' && value.toLowerCase() === wanted);
+      });
+
+      return {
+        tag,
+        total: matches.length,
+        documents: matches.slice(0, MAX_SEARCH_RESULTS).map(document => ({
+          documentId: document.documentId,
+          title: document.title,
+          category: document.metadata?.category || null,
+          tags: document.metadata?.tags || [],
+          lastUpdated: document.metadata?.lastUpdated || null,
+          summary: createSnippet(document.content || ''),
+        })),
+      };
+    },
+  },
+];
+
+/**
+ * Whether a tool is enabled by CHATBOT_TOOLS
+ */
+function isEnabled(tool) {
+  return CHATBOT_TOOLS.includes('all') || CHATBOT_TOOLS.includes(tool.name);
+}
+
+/**
+ * Check tool input against the tool's schema (object with string properties)
+ * Returns an error message, or null when the input is valid
+ */
+function validateInput(tool, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return 'Input must be an object';
+  }
+  for (const name of tool.inputSchema.required || []) {
+    const value = input[name];
+    if (typeof value !== 'string' || !value.trim()) {
+      return `${name} is required`;
+    }
+    if (value.length > MAX_INPUT_LENGTH) {
+      return `${name} must be at most ${MAX_INPUT_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Definitions of the tools a user may call, as passed to the model
+ */
+export function getToolDefinitions(user) {
+  return TOOLS
+    .filter(tool => isEnabled(tool) && tool.roles.includes(user.role))
+    .map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+}
+
+/**
+ * Run one tool call requested by the model
+ * Unknown, disabled and forbidden tools, invalid input and tool failures become
+ * error results that the model can react to. Returns { id, content, isError, record },
+ * where content is the JSON result for the model and record describes the call.
+ */
+export async function runToolCall(call, context, logger) {
+  const startTime = Date.now();
+  const tool = TOOLS.find(entry => entry.name === call.name && isEnabled(entry));
+  let status = 'ok';
+  let output;
+
+  if (!tool) {
+    status = 'error';
+    output = { error: `Unknown tool: ${call.name}` };
+  } else if (!tool.roles.includes(context.user.role)) {
+    status = 'denied';
+    output = { error: 'This tool is not available to the user' };
+  } else {
+    const invalid = validateInput(tool, call.input);
+    if (invalid) {
+      status = 'error';
+      output = { error: invalid };
+    } else {
+      try {
+        output = await tool.run(call.input, context, logger);
+      } catch (error) {
+        logger.error(`Tool ${tool.name} failed`, error);
+        status = 'error';
+        output = { error: 'The tool is temporarily unavailable' };
+      }
+    }
+  }
+
+  const record = { name: call.name, input: call.input, status, durationMs: Date.now() - startTime };
+  if (status === 'ok') {
+    logger.info('Tool invoked', record);
+  } else {
+    logger.warn('Tool call failed', record);
+  }
+
+  return { id: call.id, content: JSON.stringify(output), isError: status !== 'ok', record };
+}
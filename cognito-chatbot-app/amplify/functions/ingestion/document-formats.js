@@ -0,0 +1,599 @@
+/**
+ * Knowledge base document formats
+ * Normalizes uploaded files into the knowledge base document schema
+ *   { documentId, title, content, metadata: { category, lastUpdated, tags, ... } }
+ * so JSON, Markdown, plain text, HTML, CSV and PDF files can all be retrieved.
+ * Content is returned as Markdown-style text: headings start with '#' so the
+ * chunker keeps section names, and paragraphs are separated by blank lines.
+ */
+
+import { inflateSync } from 'zlib';
+
+// File extension to format
+const FORMATS = {
+  json: 'json',
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text',
+  html: 'html',
+  htm: 'html',
+  csv: 'csv',
+  pdf: 'pdf',
+};
+
+// Metadata fields that may be set in Markdown front matter or HTML meta tags
+const METADATA_FIELDS = ['category', 'lastUpdated', 'tags', 'allowedRoles', 'allowedDepartments'];
+const LIST_FIELDS = ['tags', 'allowedRoles', 'allowedDepartments'];
+
+// Extracted titles longer than this are not used as titles
+const MAX_TITLE_LENGTH = 120;
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  ndash: '-', mdash: '-', hellip: '...', lsquo: '\'', rsquo: '\'', ldquo: '"', rdquo: '"',
+  copy: '(c)', reg: '(R)', trade: '(TM)', bull: '-', middot: '-',
+};
+
+/**
+ * Get the format of an object key from its extension, or null if it is not supported
+ */
+export function getDocumentFormat(key) {
+  const extension = key.split('/').pop().split('.').pop().toLowerCase();
+  return key.includes('.') ? FORMATS[extension] || null : null;
+}
+
+/**
+ * File name without folders and extension
+ */
+function baseName(key) {
+  return key.split('/').pop().replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Stable document id derived from the object key, e.g. knowledge-base/guides/Setup Guide.md -> guides-setup-guide
+ */
+function documentIdFromKey(key, prefix) {
+  return key
+    .slice(key.startsWith(prefix) ? prefix.length : 0)
+    .replace(/\.[^./]+$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'document';
+}
+
+/**
+ * Readable title from a file name, e.g. setup_guide-v2 -> Setup guide v2
+ */
+function titleFromKey(key) {
+  const words = baseName(key).replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Use text as a title only if it is short enough
+ */
+function asTitle(text) {
+  const title = (text || '').replace(/\s+/g, ' ').trim();
+  return title && title.length <= MAX_TITLE_LENGTH ? title : null;
+}
+
+/**
+ * Split a comma-separated value or a list into a list of trimmed strings
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Keep the known metadata fields, turning list fields into lists
+ */
+function pickMetadata(fields) {
+  const metadata = {};
+  METADATA_FIELDS.forEach(field => {
+    const value = fields[field] ?? fields[field.toLowerCase()];
+    if (value !== undefined && value !== '') {
+      metadata[field] = LIST_FIELDS.includes(field) ? toList(value) : String(value);
+    }
+  });
+  return metadata;
+}
+
+/**
+ * Decode HTML entities
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Collapse runs of spaces and blank lines
+ */
+function tidyText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * JSON documents are already in the knowledge base schema
+ */
+function parseJson(text) {
+  return JSON.parse(text);
+}
+
+/**
+ * Read Markdown front matter: "key: value" lines, with lists as [a, b], "a, b" or "- item" lines
+ */
+function parseFrontMatter(block) {
+  const fields = {};
+  let listField = null;
+
+  block.split('\n').forEach(line => {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listField) {
+      fields[listField].push(item[1].trim().replace(/^["']|["']$/g, ''));
+      return;
+    }
+
+    const field = line.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+    if (!field) {
+      return;
+    }
+    const [, name, rawValue] = field;
+    const value = rawValue.trim();
+    listField = null;
+
+    if (value === '') {
+      fields[name] = [];
+      listField = name;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      fields[name] = toList(value.slice(1, -1)).map(entry => entry.replace(/^["']|["']$/g, ''));
+    } else {
+      fields[name] = value.replace(/^["']|["']$/g, '');
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Markdown: optional front matter for metadata, title from front matter or the first heading
+ */
+function parseMarkdown(text, key) {
+  let body = text.replace(/\r\n?/g, '\n');
+  let fields = {};
+
+  const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (frontMatter) {
+    fields = parseFrontMatter(frontMatter[1]);
+    body = body.slice(frontMatter[0].length);
+  }
+
+  const heading = body.match(/^#{1,2}\s+(.+)$/m);
+
+  return {
+    documentId: fields.documentId,
+    title: asTitle(fields.title) || asTitle(heading?.[1]) || titleFromKey(key),
+    content: body.trim(),
+    metadata: pickMetadata(fields),
+  };
+}
+
+/**
+ * Plain text: the first line is the title when it looks like one
+ */
+function parseText(text, key) {
+  const content = tidyText(text);
+  const [firstLine, ...rest] = content.split('\n');
+  const looksLikeTitle = rest.length > 0 && !/[.!?:;,]$/.test(firstLine);
+
+  return {
+    title: (looksLikeTitle && asTitle(firstLine)) || titleFromKey(key),
+    content,
+    metadata: {},
+  };
+}
+
+/**
+ * Read the name/content pairs of HTML meta tags
+ */
+function parseMetaTags(html) {
+  const fields = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const name = tag.match(/\bname\s*=\s*["']([^"']+)["']/i)?.[1];
+    const content = tag.match(/\bcontent\s*=\s*["']([^"']*)["']/i)?.[1];
+    if (name && content !== undefined) {
+      fields[name.toLowerCase()] = decodeEntities(content);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Strip tags from an HTML fragment
+ */
+function htmlToText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * HTML: title from <title> or the first <h1>, metadata from meta tags (keywords become tags),
+ * headings become Markdown headings and block elements become paragraphs
+ */
+function parseHtml(text, key) {
+  const meta = parseMetaTags(text);
+  const title = text.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const h1 = text.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1];
+
+  const body = (text.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? text)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, heading) =>
+      `\n\n${'#'.repeat(Number(level))} ${htmlToText(heading)}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(td|th)>/gi, ' | ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|main|header|aside|blockquote|pre|ul|ol|table|tr|dl|dt|dd|figure|form)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return {
+    title: asTitle(htmlToText(title || '')) || asTitle(htmlToText(h1 || '')) || titleFromKey(key),
+    content: tidyText(decodeEntities(body).replace(/ \| *\n/g, '\n')),
+    metadata: pickMetadata({
+      ...meta,
+      tags: meta.keywords,
+      lastUpdated: meta['last-modified'] || meta.lastupdated,
+      allowedRoles: meta['allowed-roles'],
+      allowedDepartments: meta['allowed-departments'],
+    }),
+  };
+}
+
+/**
+ * Parse CSV (RFC 4180: quoted fields may contain commas, quotes and line breaks)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * CSV: the first row names the columns; every other row becomes a paragraph of "Column: value" lines
+ */
+function parseCsv(text, key) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const columns = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+
+  const paragraphs = rows.map(cells => cells
+    .map((cell, index) => ({ name: columns[index] || `Column ${index + 1}`, value: cell.trim() }))
+    .filter(({ value }) => value)
+    .map(({ name, value }) => `${name}: ${value.replace(/\s*\n\s*/g, ' ')}`)
+    .join('\n'));
+
+  return {
+    title: titleFromKey(key),
+    content: paragraphs.join('\n\n'),
+    metadata: { tags: columns },
+  };
+}
+
+/**
+ * Decode a PDF literal string body (without the parentheses)
+ */
+function decodePdfLiteral(body) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  return body.replace(/\\([0-7]{1,3}|\r?\n|.)/g, (match, escaped) => {
+    if (/^[0-7]+$/.test(escaped)) {
+      return String.fromCharCode(parseInt(escaped, 8) & 0xff);
+    }
+    if (escaped === '\n' || escaped === '\r\n') {
+      return '';
+    }
+    return escapes[escaped] ?? escaped;
+  });
+}
+
+/**
+ * Decode PDF text string bytes, which are UTF-16BE when they start with a byte order mark
+ */
+function decodePdfTextString(bytes) {
+  if (bytes.startsWith('\u00fe\u00ff')) {
+    let text = '';
+    for (let index = 2; index + 1 < bytes.length; index += 2) {
+      text += String.fromCharCode((bytes.charCodeAt(index) << 8) | bytes.charCodeAt(index + 1));
+    }
+    return text;
+  }
+  return bytes;
+}
+
+/**
+ * Read a literal string starting at an opening parenthesis; returns { value, end }
+ */
+function readPdfLiteral(source, start) {
+  let depth = 0;
+  for (let index = start; index < source.length; index++) {
+    const char = source[index];
+    if (char === '\\') {
+      index++;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return { value: decodePdfLiteral(source.slice(start + 1, index)), end: index + 1 };
+    }
+  }
+  return { value: decodePdfLiteral(source.slice(start + 1)), end: source.length };
+}
+
+/**
+ * Extract the text shown by the operators of a PDF content stream
+ */
+function extractContentText(stream) {
+  let text = '';
+  let operands = [];
+  let lastY = null;
+
+  const newLine = () => {
+    if (text && !text.endsWith('\n')) {
+      text += '\n';
+    }
+  };
+  const space = () => {
+    if (text && !/\s$/.test(text)) {
+      text += ' ';
+    }
+  };
+
+  for (let index = 0; index < stream.length;) {
+    const char = stream[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '%') {
+      const end = stream.indexOf('\n', index);
+      index = end < 0 ? stream.length : end + 1;
+    } else if (char === '(') {
+      const literal = readPdfLiteral(stream, index);
+      operands.push({ text: literal.value });
+      index = literal.end;
+    } else if (char === '<' && stream[index + 1] !== '<') {
+      const end = stream.indexOf('>', index);
+      const hex = stream.slice(index + 1, end < 0 ? stream.length : end).replace(/\s+/g, '');
+      operands.push({ text: hex.replace(/(..?)/g, pair => String.fromCharCode(parseInt(pair.padEnd(2, '0'), 16))) });
+      index = end < 0 ? stream.length : end + 1;
+    } else if (char === '[' || char === ']') {
+      operands.push(char);
+      index++;
+    } else {
+      const token = stream.slice(index).match(/^(<<|>>|\/?[^\s()<>[\]{}/%]+|.)/)[0];
+      index += token.length;
+
+      if (/^[-+.\d]/.test(token) || token.startsWith('/') || token === '<<' || token === '>>') {
+        operands.push(token);
+        continue;
+      }
+
+      const lastText = operands.filter(operand => typeof operand === 'object').pop()?.text ?? '';
+
+      switch (token) {
+        case 'Tj':
+          text += lastText;
+          break;
+        case '\'':
+        case '"':
+          newLine();
+          text += lastText;
+          break;
+        case 'TJ':
+          operands.slice(operands.lastIndexOf('[') + 1).forEach(operand => {
+            if (typeof operand === 'object') {
+              text += operand.text;
+            } else if (parseFloat(operand) < -200) {
+              // Large negative adjustments are word gaps
+              space();
+            }
+          });
+          break;
+        case 'Td':
+        case 'TD':
+          if (parseFloat(operands[operands.length - 1]) !== 0) {
+            newLine();
+          } else {
+            space();
+          }
+          break;
+        case 'T*':
+          newLine();
+          break;
+        case 'Tm': {
+          const y = parseFloat(operands[operands.length - 1]);
+          if (lastY !== null && y !== lastY) {
+            newLine();
+          } else {
+            space();
+          }
+          lastY = y;
+          break;
+        }
+        case 'ET':
+          newLine();
+          break;
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Decode the data of a PDF stream (Flate-compressed or uncompressed), or null if it
+ * uses another encoding
+ */
+function decodePdfStream(dictionary, data) {
+  if (/\/FlateDecode/.test(dictionary)) {
+    try {
+      return inflateSync(data);
+    } catch {
+      return null;
+    }
+  }
+  // Images and other encodings carry no text
+  return /\/Filter/.test(dictionary) ? null : data;
+}
+
+/**
+ * PDF: text of the page content streams (Flate-compressed or uncompressed), title from the
+ * document information dictionary or the first line.
+ * Only PDFs whose fonts use single-byte encodings (standard fonts, or TrueType and Type 1
+ * fonts with WinAnsi or MacRoman encoding) can be read. Composite (Type0) fonts, which
+ * most browsers and many office suites embed, show glyph ids that only the font's
+ * ToUnicode map turns into text, so such PDFs are rejected; so are scanned PDFs, which
+ * have no text at all.
+ */
+function parsePdf(buffer, key) {
+  const source = buffer.toString('latin1');
+  if (!source.startsWith('%PDF-')) {
+    throw new Error('Not a PDF file');
+  }
+
+  const compositeFontPattern = /\/Subtype\s*\/Type0\b/;
+  let compositeFonts = compositeFontPattern.test(source);
+  const pages = [];
+  const streamPattern = /\bobj\b((?:(?!\bendobj\b)[\s\S])*?)\bstream\r?\n/g;
+  for (const match of source.matchAll(streamPattern)) {
+    const dictionary = match[1];
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    if (end < 0 || /\/Subtype\s*\/Image|\/Length1|\/Type\s*\/(XRef|Metadata)/.test(dictionary)) {
+      continue;
+    }
+
+    const data = decodePdfStream(dictionary, Buffer.from(source.slice(start, end).replace(/\r?\n$/, ''), 'latin1'));
+    if (!data) {
+      continue;
+    }
+
+    const stream = data.toString('latin1');
+    if (/\/Type\s*\/ObjStm/.test(dictionary)) {
+      // Font dictionaries may be stored in compressed object streams
+      compositeFonts = compositeFonts || compositeFontPattern.test(stream);
+    } else if (/\bBT\b/.test(stream)) {
+      pages.push(extractContentText(stream));
+    }
+  }
+
+  if (compositeFonts) {
+    throw new Error('PDF uses composite (Type0) fonts, whose text cannot be read; upload the text as Markdown or plain text');
+  }
+
+  const content = tidyText(pages.join('\n\n')
+    .replace(/[^\t\n\r\x20-\x7e\u00a0-\u00ff]/g, '')
+    .replace(/-\n(?=[a-z])/g, ''));
+  if (!/[A-Za-z]{2}/.test(content)) {
+    throw new Error('PDF has no extractable text (scanned PDFs are not supported)');
+  }
+
+  const infoTitle = source.match(/\/Title\s*\(/);
+  const hexTitle = source.match(/\/Title\s*<([0-9A-Fa-f\s]*)>/);
+  let title = null;
+  if (infoTitle) {
+    title = decodePdfTextString(readPdfLiteral(source, infoTitle.index + infoTitle[0].length - 1).value);
+  } else if (hexTitle) {
+    title = decodePdfTextString(hexTitle[1].replace(/\s+/g, '').replace(/(..)/g, pair => String.fromCharCode(parseInt(pair, 16))));
+  }
+
+  return {
+    title: asTitle(title) || asTitle(content.split('\n')[0]) || titleFromKey(key),
+    content,
+    metadata: {},
+  };
+}
+
+/**
+ * Normalize a knowledge base file into a document
+ * key is the object key, body a Buffer with the file contents and lastModified the
+ * object's last modified date (used when the file does not say when it was updated).
+ * Throws if the format is not supported or the file cannot be read.
+ */
+export function parseDocument(key, body, { prefix = '', lastModified } = {}) {
+  const format = getDocumentFormat(key);
+  if (!format) {
+    throw new Error(`Unsupported document format: ${key}`);
+  }
+
+  if (format === 'json') {
+    return parseJson(body.toString('utf-8'));
+  }
+
+  const parsers = { markdown: parseMarkdown, text: parseText, html: parseHtml, csv: parseCsv };
+  const parsed = format === 'pdf'
+    ? parsePdf(body, key)
+    : parsers[format](body.toString('utf-8').replace(/^\uFEFF/, ''), key);
+
+  if (!parsed.content) {
+    throw new Error(`Document has no text: ${key}`);
+  }
+
+  return {
+    documentId: parsed.documentId || documentIdFromKey(key, prefix),
+    title: parsed.title,
+    content: parsed.content,
+    metadata: {
+      ...(lastModified ? { lastUpdated: new Date(lastModified).toISOString() } : {}),
+      ...parsed.metadata,
+      format,
+      sourceKey: key,
+    },
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Text embeddings
+ * Embeds knowledge base chunks (ingestion function) and questions (chatbot function)
+ * with Amazon Titan text embeddings, or with a deterministic local stub that needs
+ * no Bedrock access. Chunk embeddings are stored with the processed documents (see
+ * manifest.js) together with the model that produced them.
+ */
+
+import { createHash } from 'crypto';
+import { InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+
+// 'bedrock' calls EMBEDDING_MODEL_ID, 'local' hashes terms into a vector (for tests and local runs)
+export const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER === 'local' ? 'local' : 'bedrock';
+export const EMBEDDING_MODEL_ID = process.env.EMBEDDING_MODEL_ID || 'amazon.titan-embed-text-v2:0';
+export const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS || '512');
+
+// Titan text embeddings v2 accepts up to 8,192 tokens; chunks are far smaller
+const MAX_EMBEDDING_CHARS = 20000;
+
+/**
+ * Hash of a chunk's embedded text - an unchanged hash lets ingestion reuse the vector
+ */
+export function contentHash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Text embedded for a chunk: title and section give short chunks more context
+ */
+export function chunkEmbeddingText(chunk) {
+  return [chunk.title, chunk.heading, chunk.content].filter(Boolean).join('\n');
+}
+
+/**
+ * Scale a vector to unit length
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors of the same length
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let lengthA = 0;
+  let lengthB = 0;
+  for (let index = 0; index < a.length; index++) {
+    dot += a[index] * b[index];
+    lengthA += a[index] * a[index];
+    lengthB += b[index] * b[index];
+  }
+  return lengthA > 0 && lengthB > 0 ? dot / Math.sqrt(lengthA * lengthB) : 0;
+}
+
+/**
+ * Amazon Titan text embeddings
+ */
+function createBedrockEmbedder(client) {
+  return {
+    modelId: EMBEDDING_MODEL_ID,
+    dimensions: EMBEDDING_DIMENSIONS,
+
+    async embed(text) {
+      const response = await client.send(new InvokeModelCommand({
+        modelId: EMBEDDING_MODEL_ID,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify({
+          inputText: text.slice(0, MAX_EMBEDDING_CHARS),
+          dimensions: EMBEDDING_DIMENSIONS,
+          normalize: true,
+        }),
+      }));
+      return JSON.parse(new TextDecoder().decode(response.body)).embedding;
+    },
+  };
+}
+
+/**
+ * Local stub: hashes lowercase terms into buckets (feature hashing)
+ * Similar wording gives similar vectors, so keyword-like behavior is testable without Bedrock
+ */
+function createLocalEmbedder() {
+  return {
+    modelId: 'local-hash',
+    dimensions: EMBEDDING_DIMENSIONS,
+
+    async embed(text) {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      for (const term of text.toLowerCase().split(/[^a-z0-9]+/).filter(term => term.length > 1)) {
+        const hash = createHash('md5').update(term).digest();
+        vector[hash.readUInt32BE(0) % EMBEDDING_DIMENSIONS] += hash[4] % 2 === 0 ? 1 : -1;
+      }
+      return normalize(vector);
+    },
+  };
+}
+
+/**
+ * Create the embedder selected by EMBEDDING_PROVIDER
+ * client is a BedrockRuntimeClient, used by the 'bedrock' provider
+ */
+export function createEmbedder(client) {
+  return EMBEDDING_PROVIDER === 'local' ? createLocalEmbedder() : createBedrockEmbedder(client);
+}
@@ -0,0 +1,348 @@
+/**
+ * Knowledge base ingestion
+ * Triggered when files are created in or removed from the knowledge-base/ folder.
+ * Each file is normalized, validated, screened for prompt injection, chunked and
+ * embedded, and the accepted document is written under knowledge-base-processed/
+ * with an updated manifest (see manifest.js); the chatbot reads only this output.
+ * The outcome for every file (ok, or rejected with reasons) is recorded for admins.
+ *
+ * Invoke it without an S3 event to re-ingest the whole folder, e.g. after the first
+ * deployment or after changing the chunking or embedding settings:
+ *   aws lambda invoke --function-name kb-ingestion-<environment> response.json
+ *
+ * Invocations can run in parallel: each writes only the manifest entries of its own
+ * files, with a conditional write that is retried when another invocation updated
+ * the manifest in the meantime (see store.js updateManifest).
+ */
+
+import { BedrockRuntimeClient } from '@aws-sdk/client-bedrock-runtime';
+import { createLogger } from './logger.js';
+import { getDocumentFormat, parseDocument } from './document-formats.js';
+import { validateDocument } from './validation.js';
+import { chunkDocument } from './chunking.js';
+import { chunkEmbeddingText, contentHash, createEmbedder } from './embeddings.js';
+import { INJECTION_ACTION, detectInjection, recordDetection } from './injection.js';
+import { SOURCE_PREFIX } from './manifest.js';
+import { deleteIngestionStatus, recordIngestionStatus } from './status.js';
+import {
+  deleteProcessedDocument,
+  fetchSourceFile,
+  listSourceObjects,
+  loadManifest,
+  loadProcessedDocument,
+  saveProcessedDocument,
+  updateManifest,
+} from './store.js';
+
+// Use BEDROCK_REGION for Bedrock client, AWS_REGION is automatically set by Lambda runtime
+const bedrockClient = new BedrockRuntimeClient({
+  region: process.env.BEDROCK_REGION || process.env.AWS_REGION || 'eu-west-1',
+});
+const embedder = createEmbedder(bedrockClient);
+
+const CHUNK_MAX_CHARS = parseInt(process.env.CHUNK_MAX_CHARS || '1200');
+const CHUNK_OVERLAP_CHARS = parseInt(process.env.CHUNK_OVERLAP_CHARS || '200');
+// Parallel embedding requests - keep below the account's Bedrock request quota
+const INGESTION_EMBED_CONCURRENCY = parseInt(process.env.INGESTION_EMBED_CONCURRENCY || '4');
+
+/**
+ * Run fn over items with at most limit calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Remove a file's document from the manifest and delete its processed output
+ * Returns true if the manifest changed
+ */
+async function removeDocument(manifest, sourceKey, logger) {
+  const entry = manifest.documents.find(document => document.sourceKey === sourceKey);
+  if (!entry) {
+    return false;
+  }
+
+  await deleteProcessedDocument(entry.documentId, logger);
+  manifest.documents = manifest.documents.filter(document => document !== entry);
+  logger.info('Removed document from knowledge base', { sourceKey, documentId: entry.documentId });
+  return true;
+}
+
+/**
+ * Check a normalized document before it is ingested
+ * Returns { reasons, warnings }
+ */
+async function checkDocument(document, sourceKey, manifest, logger) {
+  const reasons = validateDocument(document);
+  const warnings = [];
+  if (reasons.length > 0) {
+    return { reasons, warnings };
+  }
+
+  const owner = manifest.documents.find(entry => entry.documentId === document.documentId && entry.sourceKey !== sourceKey);
+  if (owner) {
+    reasons.push(`documentId "${document.documentId}" is already used by ${owner.sourceKey}`);
+  }
+
+  const { detected, patterns } = detectInjection(`${document.title}\n${document.content}`);
+  if (detected) {
+    logger.warn('Prompt injection detected in knowledge base document', {
+      documentId: document.documentId,
+      patterns,
+      action: INJECTION_ACTION,
+    });
+    try {
+      await recordDetection({ source: 'document', documentId: document.documentId, title: document.title, patterns }, logger);
+    } catch (error) {
+      logger.error('Failed to record prompt injection detection', error);
+    }
+
+    const message = `Possible prompt injection (${patterns.join(', ')})`;
+    if (INJECTION_ACTION === 'reject') {
+      reasons.push(message);
+    } else {
+      warnings.push(message);
+    }
+  }
+
+  return { reasons, warnings };
+}
+
+/**
+ * Embed the chunks of a document
+ * Chunks whose text is unchanged since the previous version reuse its embedding.
+ * Chunks that cannot be embedded are stored without one; keyword retrieval still finds them.
+ * Returns { chunks, embedded, reused, failed }
+ */
+async function embedChunks(chunks, previous, logger) {
+  const sameModel = previous?.embedding?.modelId === embedder.modelId
+    && previous.embedding.dimensions === embedder.dimensions;
+  const previousEmbeddings = new Map(sameModel
+    ? previous.chunks.filter(chunk => chunk.embedding).map(chunk => [chunk.contentHash, chunk.embedding])
+    : []);
+  let embedded = 0;
+  let failed = 0;
+
+  const stored = await mapWithConcurrency(chunks, INGESTION_EMBED_CONCURRENCY, async chunk => {
+    const text = chunkEmbeddingText(chunk);
+    const hash = contentHash(text);
+    const base = { chunkId: chunk.chunkId, heading: chunk.heading, content: chunk.content, contentHash: hash };
+
+    if (previousEmbeddings.has(hash)) {
+      return { ...base, embedding: previousEmbeddings.get(hash) };
+    }
+
+    try {
+      logger.logServiceCall('Bedrock', 'InvokeModel', { modelId: embedder.modelId, chunkId: chunk.chunkId });
+      const embedding = await embedder.embed(text);
+      embedded++;
+      return { ...base, embedding };
+    } catch (error) {
+      failed++;
+      logger.error(`Error embedding chunk ${chunk.chunkId}`, error);
+      return { ...base, embedding: null };
+    }
+  });
+
+  return { chunks: stored, embedded, reused: chunks.length - embedded - failed, failed };
+}
+
+/**
+ * Bring the processed output for one uploaded file up to date
+ * A file that no longer exists is removed; otherwise it is normalized, checked and,
+ * if accepted, chunked, embedded and written. Returns true if the manifest changed.
+ */
+async function ingestFile(manifest, sourceKey, logger) {
+  const file = await fetchSourceFile(sourceKey, logger);
+  if (!file) {
+    const removed = await removeDocument(manifest, sourceKey, logger);
+    await deleteIngestionStatus(sourceKey, logger);
+    return removed;
+  }
+
+  const reject = async (reasons, warnings = [], document = null) => {
+    logger.warn('Rejected knowledge base file', { sourceKey, reasons });
+    const removed = await removeDocument(manifest, sourceKey, logger);
+    await recordIngestionStatus({
+      sourceKey,
+      sourceETag: file.etag,
+      status: 'rejected',
+      reasons,
+      warnings,
+      documentId: typeof document?.documentId === 'string' ? document.documentId : null,
+      title: typeof document?.title === 'string' ? document.title : null,
+    }, logger);
+    return removed;
+  };
+
+  if (!getDocumentFormat(sourceKey)) {
+    return reject(['Unsupported file type (use .json, .md, .txt, .html, .csv or .pdf)']);
+  }
+
+  let document;
+  try {
+    document = parseDocument(sourceKey, file.body, { prefix: SOURCE_PREFIX, lastModified: file.lastModified });
+  } catch (error) {
+    return reject([`File could not be read: ${error.message}`]);
+  }
+
+  const { reasons, warnings } = await checkDocument(document, sourceKey, manifest, logger);
+  if (reasons.length > 0) {
+    return reject(reasons, warnings, document);
+  }
+
+  // The file may previously have produced a document with another id
+  const existing = manifest.documents.find(entry => entry.sourceKey === sourceKey);
+  if (existing && existing.documentId !== document.documentId) {
+    await removeDocument(manifest, sourceKey, logger);
+  }
+
+  const previous = existing ? await loadProcessedDocument(document.documentId, logger) : null;
+  const chunks = chunkDocument(document, { maxChars: CHUNK_MAX_CHARS, overlapChars: CHUNK_OVERLAP_CHARS });
+  const embedding = await embedChunks(chunks, previous, logger);
+  if (embedding.failed > 0) {
+    warnings.push(`${embedding.failed} of ${chunks.length} chunks could not be embedded and are only found by keyword search`);
+  }
+
+  const ingestedAt = new Date().toISOString();
+  const { key, version } = await saveProcessedDocument({
+    documentId: document.documentId,
+    title: document.title,
+    content: document.content,
+    metadata: document.metadata || {},
+    sourceKey,
+    sourceETag: file.etag,
+    ingestedAt,
+    embedding: { modelId: embedder.modelId, dimensions: embedder.dimensions },
+    chunks: embedding.chunks,
+  }, logger);
+
+  manifest.documents = [
+    ...manifest.documents.filter(entry => entry.sourceKey !== sourceKey),
+    {
+      documentId: document.documentId,
+      title: document.title,
+      sourceKey,
+      sourceETag: file.etag,
+      key,
+      version,
+      chunks: chunks.length,
+      ingestedAt,
+    },
+  ].sort((a, b) => a.sourceKey.localeCompare(b.sourceKey));
+
+  await recordIngestionStatus({
+    sourceKey,
+    sourceETag: file.etag,
+    status: 'ok',
+    warnings,
+    documentId: document.documentId,
+    title: document.title,
+    chunks: chunks.length,
+  }, logger);
+
+  logger.info('Ingested knowledge base file', {
+    sourceKey,
+    documentId: document.documentId,
+    chunks: chunks.length,
+    embedded: embedding.embedded,
+    reused: embedding.reused,
+    failed: embedding.failed,
+  });
+  return true;
+}
+
+/**
+ * Write this invocation's manifest changes over the current manifest
+ * changes maps a source key to its new entry, or to null if the file's document was removed
+ */
+function applyManifestChanges(manifest, changes) {
+  return {
+    ...manifest,
+    documents: [
+      ...manifest.documents.filter(entry => !changes.has(entry.sourceKey)),
+      ...[...changes.values()].filter(Boolean),
+    ].sort((a, b) => a.sourceKey.localeCompare(b.sourceKey)),
+  };
+}
+
+/**
+ * Keys of the files named by an S3 event, in event order and without duplicates
+ * Creations and removals are handled alike: the file's current state decides.
+ */
+function getEventKeys(event) {
+  const keys = event.Records
+    .filter(record => record.eventSource === 'aws:s3')
+    .map(record => decodeURIComponent(record.s3.object.key.replace(/\+/g, ' ')))
+    .filter(key => key.startsWith(SOURCE_PREFIX) && !key.endsWith('/'));
+  return [...new Set(keys)];
+}
+
+export const handler = async (event, context) => {
+  const requestId = context?.awsRequestId || `req-${Date.now()}`;
+  const logger = createLogger({ requestId, function: 'ingestion' });
+  const startTime = Date.now();
+
+  const fullIngestion = !Array.isArray(event?.Records);
+  const manifest = await loadManifest(logger);
+  let keys;
+
+  if (fullIngestion) {
+    const listedKeys = (await listSourceObjects(logger)).map(object => object.Key);
+    // Files deleted while the function was not running
+    const missingKeys = manifest.documents
+      .map(entry => entry.sourceKey)
+      .filter(sourceKey => !listedKeys.includes(sourceKey));
+    keys = [...listedKeys, ...missingKeys];
+  } else {
+    keys = getEventKeys(event);
+  }
+
+  logger.info('Ingestion invoked', { fullIngestion, files: keys.length, modelId: embedder.modelId });
+
+  // Entries are replaced rather than edited, so a changed entry is a different object
+  const findEntry = key => manifest.documents.find(entry => entry.sourceKey === key) || null;
+  const loadedEntries = new Map(keys.map(key => [key, findEntry(key)]));
+  let failed = 0;
+  for (const key of keys) {
+    try {
+      await ingestFile(manifest, key, logger);
+    } catch (error) {
+      failed++;
+      logger.error(`Error ingesting ${key}`, error);
+    }
+  }
+
+  // A file that failed part-way may already have had its processed output removed
+  const changes = new Map(keys
+    .map(key => [key, findEntry(key)])
+    .filter(([key, entry]) => entry !== loadedEntries.get(key)));
+  const saved = changes.size > 0
+    ? await updateManifest(current => applyManifestChanges(current, changes), logger)
+    : manifest;
+
+  const summary = {
+    files: keys.length,
+    documents: saved.documents.length,
+    failed,
+  };
+  logger.info('Ingestion completed', { ...summary, duration: Date.now() - startTime });
+
+  // Let Lambda retry the S3 event when a file could not be processed
+  if (failed > 0 && !fullIngestion) {
+    throw new Error(`Failed to ingest ${failed} of ${keys.length} files`);
+  }
+
+  return summary;
+};
@@ -0,0 +1,107 @@
+/**
+ * Prompt injection detection
+ * Flags common injection patterns in user questions and knowledge base documents
+ * and records detections in the application DynamoDB table for admins
+ *
+ * Key layout:
+ *   Question detections: pk = INJECTION#<YYYY-MM-DD>, sk = QUESTION#<sub>
+ *   Document detections: pk = INJECTION#<YYYY-MM-DD>, sk = DOCUMENT#<documentId>
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+const DETECTION_RETENTION_DAYS = 90;
+
+// 'reject' refuses flagged questions and drops flagged documents, 'flag' only logs and counts them
+export const INJECTION_ACTION = process.env.PROMPT_INJECTION_ACTION === 'flag' ? 'flag' : 'reject';
+
+// Patterns are deliberately narrow - a false positive rejects a legitimate question
+const INJECTION_PATTERNS = [
+  {
+    name: 'ignore-instructions',
+    pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|preceding|all|any|system|your)\b[^.\n]{0,20}\b(instructions?|prompts?|rules?|directions?|guidelines?)\b/i,
+  },
+  {
+    name: 'reveal-prompt',
+    pattern: /\b(reveal|show|print|repeat|output|display|leak|tell me)\b[^.\n]{0,30}\b(system prompt|initial prompt|hidden (instructions?|prompt)|your (instructions|prompt|rules))\b/i,
+  },
+  {
+    name: 'role-override',
+    pattern: /\b(developer mode|jailbreak|jailbroken|do anything now|DAN mode|without (any )?(restrictions|filters|guidelines))\b/i,
+  },
+  {
+    name: 'new-instructions',
+    pattern: /\b(new|updated|real|actual)\s+(system\s+)?instructions?\s*:/i,
+  },
+  {
+    name: 'chat-markup',
+    pattern: /(<\|im_start\|>|<\|start_header_id\|>|<\|eot_id\|>|\[\/?INST\]|<<\/?SYS>>|^\s*(system|assistant)\s*:)/im,
+  },
+  {
+    name: 'delimiter-escape',
+    pattern: /<\/?\s*(knowledge_base|document|question|system)\b/i,
+  },
+];
+
+/**
+ * Check text for prompt injection patterns
+ * Returns { detected, patterns } where patterns lists the names that matched
+ */
+export function detectInjection(text) {
+  if (!text || typeof text !== 'string') {
+    return { detected: false, patterns: [] };
+  }
+  const patterns = INJECTION_PATTERNS
+    .filter(({ pattern }) => pattern.test(text))
+    .map(({ name }) => name);
+  return { detected: patterns.length > 0, patterns };
+}
+
+/**
+ * Record a detection so admins can see how often and where injection is attempted
+ * Question detections are counted per user and day; document detections are
+ * recorded once per document and day
+ */
+export async function recordDetection({ source, sub, role, documentId, title, patterns }, logger) {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  const isQuestion = source === 'question';
+
+  logger.logServiceCall('DynamoDB', 'UpdateItem', { table: TABLE_NAME, operation: 'recordDetection', source });
+
+  await dynamoClient.send(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: {
+      pk: `INJECTION#${day}`,
+      sk: isQuestion ? `QUESTION#${sub}` : `DOCUMENT#${documentId}`,
+    },
+    UpdateExpression: [
+      'SET #type = :type, #source = :source, #day = :day, patterns = :patterns, #action = :action,',
+      'lastSeenAt = :now, expiresAt = :ttl,',
+      isQuestion ? 'userId = :id, #role = :role ADD detections :one' : 'documentId = :id, title = :title',
+    ].join(' '),
+    ExpressionAttributeNames: {
+      '#type': 'type',
+      '#source': 'source',
+      '#day': 'day',
+      '#action': 'action',
+      ...(isQuestion ? { '#role': 'role' } : {}),
+    },
+    ExpressionAttributeValues: {
+      ':type': 'injection',
+      ':source': source,
+      ':day': day,
+      ':patterns': patterns,
+      ':action': INJECTION_ACTION,
+      ':now': now.toISOString(),
+      ':ttl': Math.floor(now.getTime() / 1000) + DETECTION_RETENTION_DAYS * 24 * 60 * 60,
+      ...(isQuestion
+        ? { ':id': sub, ':role': role, ':one': 1 }
+        : { ':id': documentId, ':title': title || null }),
+    },
+  }));
+}
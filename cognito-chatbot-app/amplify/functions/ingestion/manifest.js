@@ -0,0 +1,31 @@
+/**
+ * Knowledge base ingestion output
+ * The ingestion function validates the files uploaded to the knowledge-base/ folder
+ * and writes the accepted documents, chunked and embedded, under knowledge-base-processed/.
+ * The chatbot reads only this output. Shared by the chatbot (read) and ingestion (write) functions.
+ *
+ * Layout:
+ *   knowledge-base-processed/manifest.json
+ *     { updatedAt, documents: [{ documentId, title, sourceKey, sourceETag, key, version, chunks, ingestedAt }] }
+ *   knowledge-base-processed/documents/<documentId>.json
+ *     { documentId, title, content, metadata, sourceKey, sourceETag, ingestedAt,
+ *       embedding: { modelId, dimensions } | null,
+ *       chunks: [{ chunkId, heading, content, contentHash, embedding }] }
+ *
+ * A manifest entry's version is a hash of the processed document, so readers can
+ * tell whether a document changed without downloading it.
+ */
+
+// Uploaded files
+export const SOURCE_PREFIX = 'knowledge-base/';
+
+// Validated documents and the manifest that lists them
+export const PROCESSED_PREFIX = 'knowledge-base-processed/';
+export const MANIFEST_KEY = `${PROCESSED_PREFIX}manifest.json`;
+
+/**
+ * Object key of a processed document
+ */
+export function processedDocumentKey(documentId) {
+  return `${PROCESSED_PREFIX}documents/${documentId}.json`;
+}
@@ -0,0 +1,13 @@
+import { defineFunction } from '@aws-amplify/backend';
+
+/**
+ * Define Knowledge Base Ingestion Lambda function
+ * Validates, chunks and embeds uploaded knowledge base files for the chatbot
+ */
+export const ingestionFunction = defineFunction({
+  name: 'ingestion',
+  entry: './handler.js',
+  runtime: 20, // Node.js 20
+  timeoutSeconds: 900,
+  memoryMB: 512,
+});
@@ -0,0 +1,54 @@
+/**
+ * Ingestion status
+ * Records the outcome of ingesting each uploaded file in the application DynamoDB
+ * table, so admins can see which documents were rejected and why
+ *
+ * Key layout:
+ *   pk = INGESTION, sk = FILE#<object key>
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DeleteCommand, DynamoDBDocumentClient, PutCommand } from '@aws-sdk/lib-dynamodb';
+
+const dynamoClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const TABLE_NAME = process.env.APP_DATA_TABLE;
+
+/**
+ * Record the outcome of ingesting a file
+ * status is 'ok' or 'rejected'; reasons explain a rejection and warnings
+ * note problems that did not stop the document from being used
+ */
+export async function recordIngestionStatus({ sourceKey, sourceETag, status, reasons = [], warnings = [], documentId, title, chunks }, logger) {
+  logger.logServiceCall('DynamoDB', 'PutItem', { table: TABLE_NAME, operation: 'recordIngestionStatus', status });
+
+  await dynamoClient.send(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: {
+      pk: 'INGESTION',
+      sk: `FILE#${sourceKey}`,
+      type: 'ingestionStatus',
+      sourceKey,
+      sourceETag: sourceETag || null,
+      status,
+      reasons,
+      warnings,
+      documentId: documentId || null,
+      title: title || null,
+      chunks: chunks ?? 0,
+      ingestedAt: new Date().toISOString(),
+    },
+  }));
+}
+
+/**
+ * Forget a file that was removed from the bucket
+ */
+export async function deleteIngestionStatus(sourceKey, logger) {
+  logger.logServiceCall('DynamoDB', 'DeleteItem', { table: TABLE_NAME, operation: 'deleteIngestionStatus' });
+
+  await dynamoClient.send(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: 'INGESTION', sk: `FILE#${sourceKey}` },
+  }));
+}
@@ -0,0 +1,177 @@
+/**
+ * Knowledge base storage for ingestion
+ * Reads uploaded files and reads and writes the processed documents and the
+ * manifest (layout in manifest.js)
+ */
+
+import { createHash } from 'crypto';
+import {
+  S3Client,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+import { MANIFEST_KEY, SOURCE_PREFIX, processedDocumentKey } from './manifest.js';
+
+const s3Client = new S3Client({});
+
+const BUCKET_NAME = process.env.KNOWLEDGE_BASE_BUCKET;
+
+// Conditional manifest writes before giving up, and the base delay between them
+const MANIFEST_WRITE_ATTEMPTS = 5;
+const MANIFEST_RETRY_DELAY_MS = 200;
+
+/**
+ * Read a stream into a Buffer
+ */
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Download an object, or return null if it does not exist
+ */
+async function getObject(key, logger) {
+  logger.logServiceCall('S3', 'GetObject', { key });
+
+  try {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    return {
+      body: await streamToBuffer(response.Body),
+      etag: response.ETag,
+      lastModified: response.LastModified,
+    };
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Upload a JSON object
+ * conditions are passed to PutObject, e.g. { IfMatch: etag } for a conditional write
+ */
+async function putJson(key, value, logger, conditions = {}) {
+  logger.logServiceCall('S3', 'PutObject', { key, conditional: Object.keys(conditions).length > 0 });
+
+  const body = JSON.stringify(value);
+  await s3Client.send(new PutObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+    Body: body,
+    ContentType: 'application/json',
+    ...conditions,
+  }));
+  return body;
+}
+
+/**
+ * Whether a conditional write failed because the object changed since it was read
+ * S3 answers 412 when the condition no longer holds and 409 when another
+ * conditional write to the same key is in progress.
+ */
+function isWriteConflict(error) {
+  const status = error.$metadata?.httpStatusCode;
+  return status === 412 || status === 409;
+}
+
+/**
+ * List every uploaded file in the knowledge-base folder, following continuation tokens
+ */
+export async function listSourceObjects(logger) {
+  const objects = [];
+  let continuationToken;
+
+  do {
+    logger.logServiceCall('S3', 'ListObjectsV2', { bucket: BUCKET_NAME, prefix: SOURCE_PREFIX });
+
+    const response = await s3Client.send(new ListObjectsV2Command({
+      Bucket: BUCKET_NAME,
+      Prefix: SOURCE_PREFIX,
+      ContinuationToken: continuationToken,
+    }));
+
+    // Skip folders
+    objects.push(...(response.Contents || []).filter(object => !object.Key.endsWith('/')));
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return objects;
+}
+
+/**
+ * Download an uploaded file: { body, etag, lastModified }, or null if it no longer exists
+ */
+export async function fetchSourceFile(key, logger) {
+  return getObject(key, logger);
+}
+
+/**
+ * Load the manifest, or an empty one if nothing has been ingested yet
+ */
+export async function loadManifest(logger) {
+  const object = await getObject(MANIFEST_KEY, logger);
+  return object ? JSON.parse(object.body.toString('utf-8')) : { documents: [] };
+}
+
+/**
+ * Apply update to the current manifest and write the result
+ * Ingestion invocations can run in parallel, so the write is conditional on the
+ * manifest being unchanged since it was read (or still absent). When another
+ * invocation wrote it in the meantime, the manifest is read again and update is
+ * reapplied. update receives the manifest and returns the new one.
+ * Returns the written manifest.
+ */
+export async function updateManifest(update, logger) {
+  for (let attempt = 1; ; attempt++) {
+    const object = await getObject(MANIFEST_KEY, logger);
+    const current = object ? JSON.parse(object.body.toString('utf-8')) : { documents: [] };
+    const manifest = { ...update(current), updatedAt: new Date().toISOString() };
+
+    try {
+      await putJson(MANIFEST_KEY, manifest, logger, object ? { IfMatch: object.etag } : { IfNoneMatch: '*' });
+      return manifest;
+    } catch (error) {
+      if (!isWriteConflict(error) || attempt >= MANIFEST_WRITE_ATTEMPTS) {
+        throw error;
+      }
+      logger.warn('Manifest changed during the update, retrying', { attempt });
+      await new Promise(resolve => setTimeout(resolve, Math.random() * MANIFEST_RETRY_DELAY_MS * attempt));
+    }
+  }
+}
+
+/**
+ * Load a processed document, or null if there is none
+ */
+export async function loadProcessedDocument(documentId, logger) {
+  const object = await getObject(processedDocumentKey(documentId), logger);
+  return object ? JSON.parse(object.body.toString('utf-8')) : null;
+}
+
+/**
+ * Write a processed document
+ * Returns { key, version }, where version is a hash of the written document
+ */
+export async function saveProcessedDocument(document, logger) {
+  const key = processedDocumentKey(document.documentId);
+  const body = await putJson(key, document, logger);
+  return { key, version: createHash('sha256').update(body).digest('hex').slice(0, 16) };
+}
+
+/**
+ * Delete a processed document
+ */
+export async function deleteProcessedDocument(documentId, logger) {
+  const key = processedDocumentKey(documentId);
+  logger.logServiceCall('S3', 'DeleteObject', { key });
+
+  await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+}
@@ -0,0 +1,79 @@
+/**
+ * Knowledge base document validation
+ * Checks normalized documents against the knowledge base document schema
+ * (see knowledge-base/README.md) before they are ingested
+ */
+
+// documentId is used in object keys and chunk ids (<documentId>#<n>)
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DOCUMENT_CHARS = parseInt(process.env.MAX_DOCUMENT_CHARS || '500000');
+
+/**
+ * Whether a value is a list of non-empty strings
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+/**
+ * Check the optional metadata fields
+ */
+function validateMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return ['metadata must be an object'];
+  }
+
+  const reasons = [];
+  const { category, lastUpdated, tags, allowedRoles, allowedDepartments } = metadata;
+
+  if (category !== undefined && typeof category !== 'string') {
+    reasons.push('metadata.category must be a string');
+  }
+  if (lastUpdated !== undefined && (typeof lastUpdated !== 'string' || Number.isNaN(Date.parse(lastUpdated)))) {
+    reasons.push('metadata.lastUpdated must be an ISO 8601 date');
+  }
+  if (tags !== undefined && !isStringList(tags)) {
+    reasons.push('metadata.tags must be a list of strings');
+  }
+  // Malformed access rules would deny everyone (see access.js), so reject them up front
+  [['allowedRoles', allowedRoles], ['allowedDepartments', allowedDepartments]].forEach(([name, rule]) => {
+    if (rule !== undefined && !(typeof rule === 'string' && rule.trim()) && !isStringList(rule)) {
+      reasons.push(`metadata.${name} must be a string or a list of strings`);
+    }
+  });
+
+  return reasons;
+}
+
+/**
+ * Validate a normalized document
+ * Returns the reasons it is rejected, or an empty list if it is valid
+ */
+export function validateDocument(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return ['Document must be a JSON object'];
+  }
+
+  const reasons = [];
+  const { documentId, title, content, metadata } = document;
+
+  if (typeof documentId !== 'string' || !DOCUMENT_ID_PATTERN.test(documentId)) {
+    reasons.push('documentId must be 1-128 letters, digits, dots, hyphens or underscores, starting with a letter or digit');
+  }
+  if (typeof title !== 'string' || !title.trim()) {
+    reasons.push('title is required');
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    reasons.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    reasons.push('content is required');
+  } else if (content.length > MAX_DOCUMENT_CHARS) {
+    reasons.push(`content must be at most ${MAX_DOCUMENT_CHARS} characters`);
+  }
+  if (metadata !== undefined) {
+    reasons.push(...validateMetadata(metadata));
+  }
+
+  return reasons;
+}
@@ -55,10 +55,12 @@ function sanitize(data) {
 
   const sanitized = { ...data };
   const sensitiveKeys = ['password', 'token', 'authorization', 'secret', 'apikey', 'api_key'];
+  // Token counts such as inputTokens or outputTokenCount are usage figures, not credentials
+  const tokenCountKey = /tokens$|tokencount$/;
 
   Object.keys(sanitized).forEach(key => {
     const lowerKey = key.toLowerCase();
-    if (sensitiveKeys.some(sensitive => lowerKey.includes(sensitive))) {
+    if (sensitiveKeys.some(sensitive => lowerKey.includes(sensitive)) && !tokenCountKey.test(lowerKey)) {
       sanitized[key] = '[REDACTED]';
     } else if (typeof sanitized[key] === 'object' && sanitized[key] !== null) {
       sanitized[key] = sanitize(sanitized[key]);
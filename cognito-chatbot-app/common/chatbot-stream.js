@@ -0,0 +1,151 @@
+/**
+ * Streaming chatbot client
+ * Calls the IAM-authorized chatbot function URL and reads the answer as server-sent events
+ */
+
+import { fetchAuthSession } from 'aws-amplify/auth';
+import { SignatureV4 } from '@smithy/signature-v4';
+import { Sha256 } from '@aws-crypto/sha256-js';
+import outputs from '../amplify_outputs.json';
+
+const streamConfig = outputs.custom?.ChatbotStream;
+
+/**
+ * Check whether the streaming endpoint is deployed and the browser can read streams
+ */
+export function isStreamingAvailable() {
+  return Boolean(streamConfig?.url)
+    && typeof window !== 'undefined'
+    && typeof ReadableStream !== 'undefined'
+    && typeof TextDecoder !== 'undefined';
+}
+
+/**
+ * Check whether a failed streaming request may be repeated as a buffered request
+ * Only when the function URL could not be reached (a network error, so no status).
+ * Once the function answered, even with a 5xx, the question has been counted
+ * against the quota and may already have been answered.
+ */
+export function canRetryWithoutStreaming(error) {
+  return !error.streamStarted && error.status === undefined;
+}
+
+/**
+ * Parse one server-sent event block into { event, data }
+ */
+function parseEvent(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  return { event, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null };
+}
+
+/**
+ * Read the server-sent events of an answer stream
+ * Calls onToken with each text fragment and resolves with the done event's data
+ */
+async function readAnswer(stream, onToken) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary >= 0) {
+      const { event, data } = parseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+
+      if (event === 'token') {
+        onToken(data.text);
+      } else if (event === 'done') {
+        result = data;
+      } else if (event === 'error') {
+        throw new Error(data?.message || 'Streaming request failed');
+      }
+
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (!result) {
+    throw new Error('Stream ended before the answer was complete');
+  }
+
+  return result;
+}
+
+/**
+ * Ask a question and stream the answer
+ * Calls onToken with each text fragment and resolves with
+ * { conversationId, sources, timestamp } once the stream ends
+ */
+export async function streamChatbotAnswer({ question, conversationId, onToken }) {
+  const { credentials } = await fetchAuthSession();
+  if (!credentials) {
+    throw new Error('No AWS credentials available for the current session');
+  }
+
+  const body = JSON.stringify({ question, conversationId });
+  const url = new URL(streamConfig.url);
+
+  // Sign the request with SigV4 for the Lambda function URL; the signer adds x-amz-content-sha256
+  const signer = new SignatureV4({
+    credentials,
+    region: streamConfig.region,
+    service: 'lambda',
+    sha256: Sha256,
+  });
+  const signed = await signer.sign({
+    method: 'POST',
+    protocol: url.protocol,
+    hostname: url.hostname,
+    path: url.pathname,
+    headers: {
+      host: url.hostname,
+      'content-type': 'application/json',
+    },
+    body,
+  });
+
+  // Browsers set the host header themselves
+  const { host: _host, ...headers } = signed.headers;
+
+  const response = await fetch(streamConfig.url, {
+    method: 'POST',
+    headers,
+    body,
+  });
+
+  if (!response.ok || !response.body) {
+    const errorBody = await response.json().catch(() => null);
+    const error = new Error(errorBody?.error?.message || `Streaming request failed with status ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = response.headers.get('Retry-After');
+    throw error;
+  }
+
+  try {
+    return await readAnswer(response.body, onToken);
+  } catch (error) {
+    // The function accepted the question; it must not be asked again
+    error.streamStarted = true;
+    throw error;
+  }
+}
@@ -6,16 +6,195 @@
  * Handles message history, loading states, and error handling
  */
 
-import { useState } from 'react';
-import { post } from 'aws-amplify/api';
+import { useEffect, useState } from 'react';
+import { get, post } from 'aws-amplify/api';
+import { canRetryWithoutStreaming, isStreamingAvailable, streamChatbotAnswer } from '../common/chatbot-stream';
 
-export default function Chatbot() {
+/**
+ * Ask a question through the REST API and wait for the full answer
+ * Used when streaming is unavailable
+ */
+async function askBuffered(question, conversationId) {
+  const restOperation = post({
+    apiName: 'ChatbotRestAPI',
+    path: 'chatbot',
+    options: {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: {
+        question,
+        conversationId,
+      },
+    },
+  });
+
+  const { body } = await restOperation.response;
+  return body.json();
+}
+
+/**
+ * Load a saved conversation and turn its transcript into chat messages
+ */
+async function loadConversation(conversationId) {
+  const restOperation = get({
+    apiName: 'ChatbotRestAPI',
+    path: `chatbot/conversations/${encodeURIComponent(conversationId)}`,
+    options: {
+      headers: {
+        'Accept': 'application/json',
+      },
+    },
+  });
+
+  const { body } = await restOperation.response;
+  const transcript = await body.json();
+
+  return transcript.messages.map((message, index) => ({
+    id: `${conversationId}-${index}`,
+    type: message.role === 'user' ? 'user' : 'ai',
+    content: message.content,
+    sources: message.sources,
+    messageId: message.messageId,
+    feedback: message.feedback,
+    timestamp: message.createdAt,
+  }));
+}
+
+// Export formats offered for a saved conversation
+const EXPORT_OPTIONS = [
+  { format: 'markdown', label: 'Markdown', extension: 'md' },
+  { format: 'json', label: 'JSON', extension: 'json' },
+  { format: 'html', label: 'Print', extension: 'html' },
+];
+
+/**
+ * Download a saved conversation in an export format
+ * Returns { text, contentType, fileName }; fileName is null when the header is not readable
+ */
+async function exportConversation(conversationId, format) {
+  const restOperation = get({
+    apiName: 'ChatbotRestAPI',
+    path: `chatbot/conversations/${encodeURIComponent(conversationId)}/export`,
+    options: {
+      queryParams: { format },
+    },
+  });
+
+  const { body, headers } = await restOperation.response;
+  return {
+    text: await body.text(),
+    contentType: headers['content-type'],
+    fileName: headers['content-disposition']?.match(/filename="([^"]+)"/)?.[1] || null,
+  };
+}
+
+// Why an answer was not helpful, as accepted by the feedback endpoint
+const FEEDBACK_REASONS = [
+  { value: 'incorrect', label: 'Incorrect' },
+  { value: 'incomplete', label: 'Incomplete' },
+  { value: 'outdated', label: 'Out of date' },
+  { value: 'not_in_knowledge_base', label: 'Missing from the knowledge base' },
+  { value: 'unclear', label: 'Hard to understand' },
+  { value: 'other', label: 'Other' },
+];
+
+/**
+ * Rate an answer, with an optional reason and comment
+ */
+async function sendFeedback(feedback) {
+  const restOperation = post({
+    apiName: 'ChatbotRestAPI',
+    path: 'chatbot/feedback',
+    options: {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: feedback,
+    },
+  });
+
+  const { body } = await restOperation.response;
+  return body.json();
+}
+
+// Citation markers in answers, e.g. "[2]"
+const CITATION_PATTERN = /(\[\d+\])/;
+
+// How the chatbot's tools are described under an answer
+const TOOL_LABELS = {
+  get_my_profile: 'your profile',
+  get_my_usage: 'your question quota',
+  search_knowledge_base_by_tag: 'knowledge base tags',
+};
+
+/**
+ * Describe the tools that successfully ran for an answer, e.g. "your profile, your question quota"
+ */
+function describeToolCalls(toolCalls) {
+  const labels = toolCalls
+    .filter(call => call.status === 'ok')
+    .map(call => TOOL_LABELS[call.name] || call.name);
+  return [...new Set(labels)].join(', ');
+}
+
+/**
+ * selectedConversationId is the saved conversation to show, or null for a new chat.
+ * onConversationChange is called with the conversation id after each answer, and
+ * with null when the user starts a new chat.
+ */
+export default function Chatbot({ conversationId: selectedConversationId = null, onConversationChange }) {
   const [messages, setMessages] = useState([]);
   const [question, setQuestion] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [isLoadingConversation, setIsLoadingConversation] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
   const [error, setError] = useState(null);
   const [conversationId, setConversationId] = useState(null);
 
+  // Show the conversation selected outside the chat, unless it is the one already shown
+  useEffect(() => {
+    if (selectedConversationId === conversationId) {
+      return undefined;
+    }
+
+    setConversationId(selectedConversationId);
+    setMessages([]);
+    setError(null);
+    if (!selectedConversationId) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    setIsLoadingConversation(true);
+    loadConversation(selectedConversationId)
+      .then(loaded => {
+        if (!cancelled) {
+          setMessages(loaded);
+        }
+      })
+      .catch(err => {
+        console.error('Error loading conversation:', err);
+        if (!cancelled) {
+          setError('Failed to load the conversation. Please try again.');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoadingConversation(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // Only a change of the selected conversation should reload the chat
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedConversationId]);
+
   /**
    * Handle question submission
    */
@@ -42,41 +221,77 @@ export default function Chatbot() {
     setQuestion('');
     setIsLoading(true);
 
+    const aiMessageId = Date.now() + 1;
+    let streamedText = '';
+
+    /**
+     * Update the AI message being built for this question
+     */
+    const updateAiMessage = (changes) => {
+      setMessages(prev => prev.map(message => (
+        message.id === aiMessageId ? { ...message, ...changes } : message
+      )));
+    };
+
     try {
-      // Call API using Amplify REST API client
-      const restOperation = post({
-        apiName: 'ChatbotRestAPI',
-        path: 'chatbot',
-        options: {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-          },
-          body: {
+      let data = null;
+
+      if (isStreamingAvailable()) {
+        try {
+          data = await streamChatbotAnswer({
             question: userMessage.content,
             conversationId,
-          },
-        },
-      });
-
-      const { body } = await restOperation.response;
-      const data = await body.json();
+            onToken: (text) => {
+              if (streamedText.length === 0) {
+                // First token - replace the loading indicator with the answer
+                setIsLoading(false);
+                setIsStreaming(true);
+                setMessages(prev => [...prev, {
+                  id: aiMessageId,
+                  type: 'ai',
+                  content: '',
+                  streaming: true,
+                  timestamp: new Date().toISOString(),
+                }]);
+              }
+              streamedText += text;
+              updateAiMessage({ content: streamedText });
+            },
+          });
+        } catch (streamError) {
+          // Retry without streaming only when the stream could not be reached and nothing was shown
+          if (streamedText.length > 0 || !canRetryWithoutStreaming(streamError)) {
+            throw streamError;
+          }
+          console.warn('Streaming failed, falling back to buffered request:', streamError);
+        }
+      }
 
-      // Update conversation ID
-      if (data.conversationId) {
-        setConversationId(data.conversationId);
+      if (!data) {
+        data = await askBuffered(userMessage.content, conversationId);
       }
 
-      // Add AI response to chat
-      const aiMessage = {
-        id: Date.now() + 1,
-        type: 'ai',
-        content: data.answer,
+      const answer = {
+        content: data.answer ?? streamedText,
         sources: data.sources,
+        grounded: data.grounded,
+        toolCalls: data.toolCalls,
+        messageId: data.messageId,
         timestamp: data.timestamp,
       };
+      if (streamedText.length > 0) {
+        // Stream finished - use the final answer (invalid citations removed) and attach its sources
+        updateAiMessage({ ...answer, streaming: false });
+      } else {
+        // Add AI response to chat (buffered, or a stream that sent no tokens)
+        setMessages(prev => [...prev, { id: aiMessageId, type: 'ai', ...answer }]);
+      }
 
-      setMessages(prev => [...prev, aiMessage]);
+      // Update conversation ID
+      if (data.conversationId) {
+        setConversationId(data.conversationId);
+        onConversationChange?.(data.conversationId);
+      }
 
     } catch (err) {
       console.error('Chatbot error:', err);
@@ -84,9 +299,13 @@ export default function Chatbot() {
       // Display error message
       setError(err.message || 'Failed to get response. Please try again.');
 
-      // Add error message to chat
+      // Stop the partial answer, if any, and add error message to chat
+      if (streamedText.length > 0) {
+        updateAiMessage({ streaming: false });
+      }
+
       const errorMessage = {
-        id: Date.now() + 1,
+        id: Date.now() + 2,
         type: 'error',
         content: 'Sorry, I encountered an error processing your question. Please try again.',
         timestamp: new Date().toISOString(),
@@ -96,9 +315,180 @@ export default function Chatbot() {
 
     } finally {
       setIsLoading(false);
+      setIsStreaming(false);
     }
   };
 
+  /**
+   * Update one message in the chat
+   */
+  const updateMessage = (messageId, changes) => {
+    setMessages(prev => prev.map(message => (
+      message.id === messageId ? { ...message, ...changes } : message
+    )));
+  };
+
+  /**
+   * Rate an answer - thumbs up is sent at once, thumbs down opens a form for the reason
+   */
+  const handleRating = (message, rating) => {
+    if (rating === 'down') {
+      updateMessage(message.id, { feedbackForm: { reason: '', comment: '' } });
+    } else {
+      submitFeedback(message, { rating });
+    }
+  };
+
+  /**
+   * Send the rating of an answer
+   */
+  const submitFeedback = async (message, { rating, reason, comment }) => {
+    updateMessage(message.id, { feedbackSending: true });
+    try {
+      const saved = await sendFeedback({
+        conversationId,
+        messageId: message.messageId,
+        rating,
+        reason: reason || null,
+        comment: comment?.trim() || null,
+      });
+      updateMessage(message.id, { feedback: saved.rating, feedbackForm: null, feedbackSending: false });
+    } catch (err) {
+      console.error('Feedback error:', err);
+      updateMessage(message.id, { feedbackSending: false });
+      setError('Failed to send your feedback. Please try again.');
+    }
+  };
+
+  /**
+   * Render the rating buttons of an answer and, after thumbs down, the reason form
+   */
+  const renderFeedback = (message) => {
+    const form = message.feedbackForm;
+
+    return (
+      <div className="feedback">
+        <span className="feedbackLabel">
+          {message.feedback ? 'Thanks for your feedback' : 'Was this helpful?'}
+        </span>
+        {[['up', '👍', 'Helpful'], ['down', '👎', 'Not helpful']].map(([rating, icon, label]) => (
+          <button
+            key={rating}
+            type="button"
+            className={`feedbackButton ${message.feedback === rating ? 'active' : ''}`}
+            onClick={() => handleRating(message, rating)}
+            disabled={message.feedbackSending}
+            aria-pressed={message.feedback === rating}
+            aria-label={label}
+            title={label}
+          >
+            {icon}
+          </button>
+        ))}
+        {form && (
+          <div className="feedbackForm">
+            <select
+              value={form.reason}
+              onChange={(e) => updateMessage(message.id, { feedbackForm: { ...form, reason: e.target.value } })}
+              className="feedbackSelect"
+              aria-label="What was wrong?"
+            >
+              <option value="">What was wrong?</option>
+              {FEEDBACK_REASONS.map(reason => (
+                <option key={reason.value} value={reason.value}>{reason.label}</option>
+              ))}
+            </select>
+            <textarea
+              value={form.comment}
+              onChange={(e) => updateMessage(message.id, { feedbackForm: { ...form, comment: e.target.value } })}
+              className="feedbackComment"
+              placeholder="Tell us more (optional)"
+              maxLength={1000}
+              rows={2}
+            />
+            <div className="feedbackFormActions">
+              <button
+                type="button"
+                className="feedbackSubmit"
+                onClick={() => submitFeedback(message, { rating: 'down', reason: form.reason, comment: form.comment })}
+                disabled={message.feedbackSending}
+              >
+                {message.feedbackSending ? 'Sending...' : 'Send feedback'}
+              </button>
+              <button
+                type="button"
+                className="feedbackCancel"
+                onClick={() => updateMessage(message.id, { feedbackForm: null })}
+                disabled={message.feedbackSending}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Show or hide the passage behind a citation marker
+   */
+  const toggleCitation = (messageId, citation) => {
+    setMessages(prev => prev.map(message => (
+      message.id === messageId
+        ? { ...message, activeCitation: message.activeCitation === citation ? null : citation }
+        : message
+    )));
+  };
+
+  /**
+   * Render message text, turning markers of cited sources into buttons
+   * Markers without a source (e.g. while the answer is still streaming) stay plain text
+   */
+  const renderContent = (message) => {
+    if (!message.sources || message.sources.length === 0) {
+      return message.content;
+    }
+
+    return message.content.split(CITATION_PATTERN).map((part, index) => {
+      const citation = part.match(/^\[(\d+)\]$/) ? parseInt(part.slice(1, -1), 10) : null;
+      if (!citation || !message.sources.some(source => source.citation === citation)) {
+        return part;
+      }
+      return (
+        <button
+          key={index}
+          type="button"
+          className={`citationMarker ${message.activeCitation === citation ? 'active' : ''}`}
+          onClick={() => toggleCitation(message.id, citation)}
+          aria-expanded={message.activeCitation === citation}
+          title="Show the cited passage"
+        >
+          {citation}
+        </button>
+      );
+    });
+  };
+
+  /**
+   * Render the passage of the selected citation
+   */
+  const renderCitedPassage = (message) => {
+    const source = message.sources?.find(entry => entry.citation === message.activeCitation);
+    if (!source) {
+      return null;
+    }
+
+    return (
+      <div className="citedPassage">
+        <div className="citedPassageTitle">
+          [{source.citation}] {source.documentName}{source.heading ? ` - ${source.heading}` : ''}
+        </div>
+        <div className="citedPassageText">{source.passage || source.snippet}</div>
+      </div>
+    );
+  };
+
   /**
    * Handle input change
    */
@@ -111,18 +501,58 @@ export default function Chatbot() {
   };
 
   /**
-   * Clear chat history
+   * Export the current conversation
+   * Markdown and JSON are downloaded; HTML opens in a new window for printing
+   */
+  const handleExport = async ({ format, extension }) => {
+    // Open the print window right away - browsers block pop-ups opened after an await
+    const printWindow = format === 'html' ? window.open('', '_blank') : null;
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      const exported = await exportConversation(conversationId, format);
+
+      if (printWindow) {
+        printWindow.document.write(exported.text);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+      } else {
+        const url = URL.createObjectURL(new Blob([exported.text], { type: exported.contentType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = exported.fileName || `${conversationId}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+      }
+    } catch (err) {
+      console.error('Export error:', err);
+      printWindow?.close();
+      setError('Failed to export the conversation. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  /**
+   * Start a new chat - the current conversation stays saved
    */
-  const handleClearChat = () => {
+  const handleNewChat = () => {
     setMessages([]);
     setConversationId(null);
     setError(null);
+    onConversationChange?.(null);
   };
 
   return (
     <div className="chatbot">
       <div className="messagesContainer">
-        {messages.length === 0 ? (
+        {isLoadingConversation ? (
+          <div className="emptyState">
+            <p>Loading conversation...</p>
+          </div>
+        ) : messages.length === 0 ? (
           <div className="emptyState">
             <p>👋 Hi! I'm your AI assistant.</p>
             <p>Ask me anything and I'll help you find answers from our knowledge base.</p>
@@ -143,18 +573,37 @@ export default function Chatbot() {
                   </span>
                 </div>
                 <div className="messageContent">
-                  {message.content}
+                  {renderContent(message)}
+                  {message.streaming && <span className="streamingCursor" aria-hidden="true"></span>}
                 </div>
+                {renderCitedPassage(message)}
+                {message.type === 'ai' && message.grounded !== undefined && !message.streaming && (
+                  <div className={`groundingLabel ${message.grounded ? 'grounded' : 'ungrounded'}`}>
+                    {message.grounded ? 'Based on the knowledge base' : 'Not verified against the knowledge base'}
+                  </div>
+                )}
+                {message.toolCalls && describeToolCalls(message.toolCalls) && (
+                  <div className="toolCallsLabel">
+                    Looked up {describeToolCalls(message.toolCalls)}
+                  </div>
+                )}
                 {message.sources && message.sources.length > 0 && (
                   <div className="sources">
                     <span className="sourcesLabel">Sources:</span>
-                    {message.sources.map((source, index) => (
-                      <span key={index} className="source">
-                        {source.documentName}
-                      </span>
+                    {message.sources.map(source => (
+                      <button
+                        key={source.citation}
+                        type="button"
+                        className={`source ${message.activeCitation === source.citation ? 'active' : ''}`}
+                        onClick={() => toggleCitation(message.id, source.citation)}
+                      >
+                        [{source.citation}] {source.documentName}
+                      </button>
                     ))}
                   </div>
                 )}
+                {message.type === 'ai' && message.messageId && conversationId && !message.streaming
+                  && renderFeedback(message)}
               </div>
             ))}
 
@@ -192,27 +641,43 @@ export default function Chatbot() {
             onChange={handleInputChange}
             placeholder="Ask a question..."
             className="input"
-            disabled={isLoading}
+            disabled={isLoading || isStreaming || isLoadingConversation}
             maxLength={500}
           />
           <button
             type="submit"
             className="submitButton"
-            disabled={isLoading || !question.trim()}
+            disabled={isLoading || isStreaming || isLoadingConversation || !question.trim()}
           >
-            {isLoading ? 'Sending...' : 'Send'}
+            {isLoading || isStreaming ? 'Sending...' : 'Send'}
           </button>
         </div>
         {messages.length > 0 && (
           <button
             type="button"
-            onClick={handleClearChat}
+            onClick={handleNewChat}
             className="clearButton"
-            disabled={isLoading}
+            disabled={isLoading || isStreaming}
           >
-            Clear Chat
+            New Chat
           </button>
         )}
+        {conversationId && (
+          <div className="exportActions">
+            <span className="exportLabel">Export:</span>
+            {EXPORT_OPTIONS.map(option => (
+              <button
+                key={option.format}
+                type="button"
+                onClick={() => handleExport(option)}
+                className="exportButton"
+                disabled={isExporting || isLoading || isStreaming}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
       </form>
     </div>
   );
@@ -0,0 +1,208 @@
+'use client';
+
+/**
+ * Conversation List Component
+ * Sidebar listing the user's saved chatbot conversations, most recent first.
+ * Lets the user switch between conversations, rename and delete them, or start a new chat.
+ */
+
+import { useEffect, useState } from 'react';
+import { del, get, put } from 'aws-amplify/api';
+
+// Longest title the API accepts
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Call the conversations API and return the parsed JSON response
+ */
+async function callConversationsApi(method, path, body) {
+  const restOperation = method({
+    apiName: 'ChatbotRestAPI',
+    path,
+    options: {
+      headers: {
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      ...(body ? { body } : {}),
+    },
+  });
+
+  const { body: responseBody } = await restOperation.response;
+  return responseBody.json();
+}
+
+export default function ConversationList({ selectedId, onSelect, refreshKey }) {
+  const [conversations, setConversations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    callConversationsApi(get, 'chatbot/conversations')
+      .then(data => {
+        if (!cancelled) {
+          setConversations(data.conversations || []);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        console.error('Error loading conversations:', err);
+        if (!cancelled) {
+          setError('Failed to load conversations');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  /**
+   * Start renaming a conversation
+   */
+  const startRename = (conversation) => {
+    setEditingId(conversation.conversationId);
+    setEditTitle(conversation.title);
+  };
+
+  /**
+   * Save the edited title
+   */
+  const saveRename = async (e) => {
+    e.preventDefault();
+    const title = editTitle.trim();
+    if (!title) {
+      return;
+    }
+
+    setBusyId(editingId);
+    try {
+      const updated = await callConversationsApi(put, `chatbot/conversations/${encodeURIComponent(editingId)}`, { title });
+      setConversations(prev => prev.map(conversation => (
+        conversation.conversationId === updated.conversationId ? { ...conversation, title: updated.title } : conversation
+      )));
+      setEditingId(null);
+      setError(null);
+    } catch (err) {
+      console.error('Error renaming conversation:', err);
+      setError('Failed to rename conversation');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Delete a conversation after confirmation
+   */
+  const deleteConversation = async (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(conversation.conversationId);
+    try {
+      await callConversationsApi(del, `chatbot/conversations/${encodeURIComponent(conversation.conversationId)}`);
+      setConversations(prev => prev.filter(entry => entry.conversationId !== conversation.conversationId));
+      setError(null);
+      if (conversation.conversationId === selectedId) {
+        onSelect(null);
+      }
+    } catch (err) {
+      console.error('Error deleting conversation:', err);
+      setError('Failed to delete conversation');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="conversationList">
+      <button
+        type="button"
+        className="conversationListNew"
+        onClick={() => onSelect(null)}
+      >
+        + New chat
+      </button>
+
+      {error && <p className="conversationListError">{error}</p>}
+
+      {isLoading ? (
+        <p className="conversationListEmpty">Loading conversations...</p>
+      ) : conversations.length === 0 ? (
+        <p className="conversationListEmpty">No saved conversations yet.</p>
+      ) : (
+        <ul className="conversationListItems">
+          {conversations.map(conversation => (
+            <li
+              key={conversation.conversationId}
+              className={`conversationListItem ${conversation.conversationId === selectedId ? 'active' : ''}`}
+            >
+              {editingId === conversation.conversationId ? (
+                <form onSubmit={saveRename} className="conversationListRename">
+                  <input
+                    type="text"
+                    value={editTitle}
+                    onChange={(e) => setEditTitle(e.target.value)}
+                    maxLength={MAX_TITLE_LENGTH}
+                    className="conversationListInput"
+                    aria-label="Conversation title"
+                    autoFocus
+                  />
+                  <button type="submit" className="conversationListAction" disabled={busyId !== null || !editTitle.trim()}>
+                    Save
+                  </button>
+                  <button type="button" className="conversationListAction" onClick={() => setEditingId(null)}>
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <button
+                    type="button"
+                    className="conversationListTitle"
+                    onClick={() => onSelect(conversation.conversationId)}
+                    title={conversation.title}
+                  >
+                    <span className="conversationListTitleText">{conversation.title}</span>
+                    <span className="conversationListDate">
+                      {new Date(conversation.updatedAt).toLocaleDateString()}
+                    </span>
+                  </button>
+                  <div className="conversationListActions">
+                    <button
+                      type="button"
+                      className="conversationListAction"
+                      onClick={() => startRename(conversation)}
+                      disabled={busyId !== null}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      type="button"
+                      className="conversationListAction danger"
+                      onClick={() => deleteConversation(conversation)}
+                      disabled={busyId !== null}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,398 @@
+'use client';
+
+/**
+ * Prompt Settings Component
+ * Lets admins edit the system prompt templates used by the chatbot,
+ * roll back to earlier versions and choose the template per role and department
+ */
+
+import { useEffect, useState } from 'react';
+import { get, post, put } from 'aws-amplify/api';
+
+const ROLES = ['user', 'admin'];
+
+const EMPTY_FIELDS = {
+  description: '',
+  systemPrompt: '',
+  answerStyle: '',
+  fallbackBehavior: '',
+};
+
+/**
+ * Call the admin API and return the parsed JSON response
+ */
+async function callAdminApi(method, path, body) {
+  const restOperation = method({
+    apiName: 'ChatbotRestAPI',
+    path,
+    options: {
+      headers: {
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      ...(body ? { body } : {}),
+    },
+  });
+
+  const { body: responseBody } = await restOperation.response;
+  return responseBody.json();
+}
+
+/**
+ * Turn the stored department map into editable rows
+ */
+function toDepartmentRows(departments) {
+  return Object.entries(departments || {}).map(([department, template]) => ({ department, template }));
+}
+
+/**
+ * Editable fields of a template version
+ */
+function toFields(version) {
+  return {
+    description: version.description || '',
+    systemPrompt: version.systemPrompt,
+    answerStyle: version.answerStyle,
+    fallbackBehavior: version.fallbackBehavior,
+  };
+}
+
+export default function PromptSettings() {
+  const [templates, setTemplates] = useState([]);
+  const [assignments, setAssignments] = useState(null);
+  const [departmentRows, setDepartmentRows] = useState([]);
+  const [selectedName, setSelectedName] = useState('default');
+  const [newName, setNewName] = useState('');
+  const [details, setDetails] = useState(null);
+  const [fields, setFields] = useState(EMPTY_FIELDS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    /**
+     * Load the template list, the assignments and the default template
+     */
+    async function loadSettings() {
+      try {
+        const [settings, template] = await Promise.all([
+          callAdminApi(get, 'admin/prompt-settings'),
+          callAdminApi(get, 'admin/templates/default'),
+        ]);
+        setTemplates(settings.templates);
+        setAssignments(settings.assignments);
+        setDepartmentRows(toDepartmentRows(settings.assignments.departments));
+        setDetails(template);
+        setFields(toFields(template.active));
+      } catch (error) {
+        console.error('Failed to load prompt settings:', error);
+        setError('Failed to load prompt settings');
+      } finally {
+        setIsLoading(false);
+      }
+    }
+
+    loadSettings();
+  }, []);
+
+  /**
+   * Load one template and its versions into the editor
+   */
+  async function loadTemplate(name) {
+    setSelectedName(name);
+    setError(null);
+    setNotice(null);
+    try {
+      const template = await callAdminApi(get, `admin/templates/${encodeURIComponent(name)}`);
+      setDetails(template);
+      setFields(toFields(template.active));
+    } catch (error) {
+      console.error('Failed to load prompt template:', error);
+      setDetails(null);
+      setError('Failed to load the template');
+    }
+  }
+
+  /**
+   * Start a new template, prefilled with the fields currently in the editor
+   */
+  function startNewTemplate() {
+    const name = newName.trim().toLowerCase();
+    if (!name) {
+      return;
+    }
+    setSelectedName(name);
+    setDetails(null);
+    setNewName('');
+    setNotice(`Editing new template "${name}" - save to create it`);
+  }
+
+  /**
+   * Save the editor fields as a new version of the selected template
+   */
+  async function saveTemplate() {
+    setIsSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const template = await callAdminApi(put, `admin/templates/${encodeURIComponent(selectedName)}`, fields);
+      setDetails(template);
+      setNotice(`Saved version ${template.activeVersion}`);
+      const settings = await callAdminApi(get, 'admin/prompt-settings');
+      setTemplates(settings.templates);
+    } catch (error) {
+      console.error('Failed to save prompt template:', error);
+      setError(error.response?.statusCode === 409
+        ? 'Someone else changed this template. Reload it and try again.'
+        : 'Failed to save the template. Check that every field is filled in.');
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  /**
+   * Make an earlier (or later) version of the selected template active
+   */
+  async function activateVersion(version) {
+    setIsSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const template = await callAdminApi(post, `admin/templates/${encodeURIComponent(selectedName)}/activate`, { version });
+      setDetails(template);
+      setFields(toFields(template.active));
+      setNotice(`Version ${version} is now active`);
+    } catch (error) {
+      console.error('Failed to activate prompt template version:', error);
+      setError('Failed to activate the version');
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  /**
+   * Save which template each role and department uses
+   */
+  async function saveAssignments() {
+    setIsSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const departments = Object.fromEntries(departmentRows
+        .filter(row => row.department.trim() && row.template)
+        .map(row => [row.department.trim(), row.template]));
+      const result = await callAdminApi(put, 'admin/prompt-settings', {
+        assignments: { ...assignments, departments },
+      });
+      setAssignments(result.assignments);
+      setDepartmentRows(toDepartmentRows(result.assignments.departments));
+      setNotice('Saved template assignments');
+    } catch (error) {
+      console.error('Failed to save template assignments:', error);
+      setError('Failed to save the template assignments');
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  /**
+   * Render a select with every template name
+   */
+  function renderTemplateSelect(value, onChange, { allowNone = false, unsaved } = {}) {
+    return (
+      <select
+        className="promptSettingsSelect"
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={isSaving}
+      >
+        {allowNone && <option value="">Use default</option>}
+        {templates.map(template => (
+          <option key={template.name} value={template.name}>{template.name}</option>
+        ))}
+        {unsaved && !templates.some(template => template.name === unsaved) && (
+          <option value={unsaved}>{unsaved} (unsaved)</option>
+        )}
+      </select>
+    );
+  }
+
+  if (isLoading) {
+    return <p className="admin-description">Loading prompt settings...</p>;
+  }
+
+  return (
+    <div className="promptSettings">
+      {error && <p className="admin-error">{error}</p>}
+      {notice && <p className="promptSettingsNotice">{notice}</p>}
+
+      <h3 className="admin-stat-title">Templates</h3>
+      <div className="admin-actions">
+        {renderTemplateSelect(selectedName, loadTemplate, { unsaved: selectedName })}
+        <input
+          type="text"
+          className="admin-input"
+          placeholder="New template name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          disabled={isSaving}
+        />
+        <button
+          className="admin-action-button"
+          onClick={startNewTemplate}
+          disabled={isSaving || !newName.trim()}
+        >
+          New Template
+        </button>
+      </div>
+
+      <div className="promptSettingsEditor">
+        <label>
+          Description
+          <input
+            type="text"
+            className="admin-input"
+            value={fields.description}
+            onChange={(e) => setFields({ ...fields, description: e.target.value })}
+            maxLength={200}
+            disabled={isSaving}
+          />
+        </label>
+        <label>
+          System prompt
+          <textarea
+            value={fields.systemPrompt}
+            onChange={(e) => setFields({ ...fields, systemPrompt: e.target.value })}
+            maxLength={4000}
+            rows={6}
+            disabled={isSaving}
+          />
+        </label>
+        <label>
+          Answer style
+          <textarea
+            value={fields.answerStyle}
+            onChange={(e) => setFields({ ...fields, answerStyle: e.target.value })}
+            maxLength={1000}
+            rows={3}
+            disabled={isSaving}
+          />
+        </label>
+        <label>
+          Fallback behavior
+          <textarea
+            value={fields.fallbackBehavior}
+            onChange={(e) => setFields({ ...fields, fallbackBehavior: e.target.value })}
+            maxLength={1000}
+            rows={3}
+            disabled={isSaving}
+          />
+        </label>
+        <div className="admin-actions">
+          <button className="admin-action-button" onClick={saveTemplate} disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save as New Version'}
+          </button>
+        </div>
+      </div>
+
+      {details?.versions?.length > 0 && !details.builtIn && (
+        <div className="admin-table-wrapper">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Created</th>
+                <th>By</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {details.versions.map(version => (
+                <tr key={version.version}>
+                  <td>{version.version}{version.version === details.activeVersion ? ' (active)' : ''}</td>
+                  <td>{new Date(version.createdAt).toLocaleString()}</td>
+                  <td>{version.createdBy}</td>
+                  <td>
+                    {version.version !== details.activeVersion && (
+                      <button
+                        className="promptSettingsLink"
+                        onClick={() => activateVersion(version.version)}
+                        disabled={isSaving}
+                      >
+                        Activate
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {assignments && (
+        <>
+          <h3 className="admin-stat-title">Assignments</h3>
+          <p className="admin-description">
+            A department assignment takes precedence over a role assignment. Changes apply within a minute.
+          </p>
+          <div className="promptSettingsAssignments">
+            <label>
+              Default
+              {renderTemplateSelect(assignments.default, value => setAssignments({ ...assignments, default: value }))}
+            </label>
+            {ROLES.map(role => (
+              <label key={role}>
+                Role: {role}
+                {renderTemplateSelect(
+                  assignments.roles[role],
+                  value => setAssignments({ ...assignments, roles: { ...assignments.roles, [role]: value } }),
+                  { allowNone: true },
+                )}
+              </label>
+            ))}
+            {departmentRows.map((row, index) => (
+              <div key={index} className="admin-actions">
+                <input
+                  type="text"
+                  className="admin-input"
+                  placeholder="Department"
+                  value={row.department}
+                  onChange={(e) => setDepartmentRows(departmentRows.map((entry, i) =>
+                    (i === index ? { ...entry, department: e.target.value } : entry)))}
+                  disabled={isSaving}
+                />
+                {renderTemplateSelect(
+                  row.template,
+                  value => setDepartmentRows(departmentRows.map((entry, i) =>
+                    (i === index ? { ...entry, template: value } : entry))),
+                  { allowNone: true },
+                )}
+                <button
+                  className="promptSettingsLink"
+                  onClick={() => setDepartmentRows(departmentRows.filter((_, i) => i !== index))}
+                  disabled={isSaving}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="admin-actions">
+            <button
+              className="admin-action-button"
+              onClick={() => setDepartmentRows([...departmentRows, { department: '', template: '' }])}
+              disabled={isSaving}
+            >
+              Add Department
+            </button>
+            <button className="admin-action-button" onClick={saveAssignments} disabled={isSaving}>
+              Save Assignments
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
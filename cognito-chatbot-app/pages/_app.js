@@ -27,7 +27,9 @@ import '../styles/globals.css';
 
 // Component styles
 import '../styles/components/chatbot.css';
+import '../styles/components/conversationlist.css';
 import '../styles/components/errorboundary.css';
+import '../styles/components/promptsettings.css';
 
 // Page styles
 import '../styles/pages/index.css';
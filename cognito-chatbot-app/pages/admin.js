@@ -9,13 +9,31 @@ import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { signOutUser } from '../common/auth-client';
-import { get } from 'aws-amplify/api';
+import { get, del } from 'aws-amplify/api';
+import PromptSettings from '../components/PromptSettings';
 
 export default function AdminPage({ user }) {
   const router = useRouter();
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const [usageUserId, setUsageUserId] = useState('');
+  const [usage, setUsage] = useState(null);
+  const [usageError, setUsageError] = useState(null);
+  const [usageLoading, setUsageLoading] = useState(false);
+  const [analytics, setAnalytics] = useState(null);
+  const [security, setSecurity] = useState(null);
+  const [analyticsError, setAnalyticsError] = useState(null);
+  const [analyticsLoading, setAnalyticsLoading] = useState(false);
+  const [showPromptSettings, setShowPromptSettings] = useState(false);
+  const [cacheMessage, setCacheMessage] = useState(null);
+  const [cachePurging, setCachePurging] = useState(false);
+  const [ingestion, setIngestion] = useState(null);
+  const [ingestionError, setIngestionError] = useState(null);
+  const [ingestionLoading, setIngestionLoading] = useState(false);
+  const [feedback, setFeedback] = useState(null);
+  const [feedbackError, setFeedbackError] = useState(null);
+  const [feedbackLoading, setFeedbackLoading] = useState(false);
 
   useEffect(() => {
     loadAdminStats();
@@ -60,6 +78,187 @@ export default function AdminPage({ user }) {
     }
   }
 
+  /**
+   * View or reset a user's question quota usage
+   * GET returns the current usage, DELETE resets it and returns the new usage
+   */
+  async function handleUsage(operation) {
+    const userId = usageUserId.trim();
+    if (!userId) {
+      return;
+    }
+
+    setUsageLoading(true);
+    setUsageError(null);
+    try {
+      const path = `admin/users/${encodeURIComponent(userId)}/usage`;
+      const options = { headers: { 'Accept': 'application/json' } };
+
+      if (operation === 'reset') {
+        await del({ apiName: 'ChatbotRestAPI', path, options }).response;
+      }
+
+      const { body } = await get({ apiName: 'ChatbotRestAPI', path, options }).response;
+      setUsage(await body.json());
+    } catch (error) {
+      console.error('Failed to load user usage:', error);
+      setUsage(null);
+      setUsageError('Failed to load usage for this user');
+    } finally {
+      setUsageLoading(false);
+    }
+  }
+
+  /**
+   * Invalidate every cached answer, e.g. after a knowledge base fix that should apply immediately
+   */
+  async function purgeAnswerCache() {
+    setCachePurging(true);
+    setCacheMessage(null);
+    try {
+      const { body } = await del({
+        apiName: 'ChatbotRestAPI',
+        path: 'admin/answer-cache',
+        options: { headers: { 'Accept': 'application/json' } },
+      }).response;
+      const result = await body.json();
+      setCacheMessage(`Answer cache purged at ${new Date(result.purgedAt).toLocaleString()}`);
+    } catch (error) {
+      console.error('Failed to purge answer cache:', error);
+      setCacheMessage('Failed to purge the answer cache');
+    } finally {
+      setCachePurging(false);
+    }
+  }
+
+  /**
+   * Load token usage, cost and prompt injection detections for the last 7 days
+   */
+  async function loadAnalytics() {
+    setAnalyticsLoading(true);
+    setAnalyticsError(null);
+    try {
+      const [usageData, securityData] = await Promise.all(['admin/usage', 'admin/security'].map(async path => {
+        const restOperation = get({
+          apiName: 'ChatbotRestAPI',
+          path,
+          options: {
+            headers: {
+              'Accept': 'application/json',
+            }
+          }
+        });
+
+        const { body } = await restOperation.response;
+        return body.json();
+      }));
+
+      setAnalytics(usageData);
+      setSecurity(securityData);
+    } catch (error) {
+      console.error('Failed to load usage analytics:', error);
+      setAnalyticsError('Failed to load usage analytics');
+    } finally {
+      setAnalyticsLoading(false);
+    }
+  }
+
+  /**
+   * Load the ingestion status of every knowledge base file
+   */
+  async function loadIngestion() {
+    setIngestionLoading(true);
+    setIngestionError(null);
+    try {
+      const restOperation = get({
+        apiName: 'ChatbotRestAPI',
+        path: 'admin/ingestion',
+        options: {
+          headers: {
+            'Accept': 'application/json',
+          }
+        }
+      });
+
+      const { body } = await restOperation.response;
+      setIngestion(await body.json());
+    } catch (error) {
+      console.error('Failed to load ingestion status:', error);
+      setIngestionError('Failed to load knowledge base ingestion status');
+    } finally {
+      setIngestionLoading(false);
+    }
+  }
+
+  /**
+   * Load the negatively rated answers of the last 7 days
+   */
+  async function loadFeedback() {
+    setFeedbackLoading(true);
+    setFeedbackError(null);
+    try {
+      const restOperation = get({
+        apiName: 'ChatbotRestAPI',
+        path: 'admin/feedback',
+        options: {
+          headers: {
+            'Accept': 'application/json',
+          }
+        }
+      });
+
+      const { body } = await restOperation.response;
+      setFeedback(await body.json());
+    } catch (error) {
+      console.error('Failed to load answer feedback:', error);
+      setFeedbackError('Failed to load answer feedback');
+    } finally {
+      setFeedbackLoading(false);
+    }
+  }
+
+  /**
+   * Render one usage breakdown as a table
+   */
+  function renderUsageTable(title, rows, labelOf) {
+    return (
+      <div className="admin-table-wrapper">
+        <h3 className="admin-stat-title">{title}</h3>
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Requests</th>
+              <th>Input tokens</th>
+              <th>Output tokens</th>
+              <th>Cost (USD)</th>
+              <th>Avg latency (ms)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={labelOf(row)}>
+                <td>{labelOf(row)}</td>
+                <td>{row.requests}</td>
+                <td>{row.inputTokens}</td>
+                <td>{row.outputTokens}</td>
+                <td>{row.costUsd.toFixed(4)}</td>
+                <td>{row.averageLatencyMs}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  /**
+   * Format one quota window as "used / limit"
+   */
+  function formatUsage(window) {
+    return `${window.used} / ${window.limit ?? 'unlimited'}`;
+  }
+
   /**
    * Handle logout
    * Signs out user and redirects to login page
@@ -137,14 +336,283 @@ export default function AdminPage({ user }) {
             <button className="admin-action-button">
               Manage Users
             </button>
-            <button className="admin-action-button">
-              View Analytics
+            <button
+              className="admin-action-button"
+              onClick={loadAnalytics}
+              disabled={analyticsLoading}
+            >
+              {analyticsLoading ? 'Loading...' : 'View Analytics'}
             </button>
-            <button className="admin-action-button">
+            <button
+              className="admin-action-button"
+              onClick={loadIngestion}
+              disabled={ingestionLoading}
+            >
+              {ingestionLoading ? 'Loading...' : 'Knowledge Base'}
+            </button>
+            <button
+              className="admin-action-button"
+              onClick={loadFeedback}
+              disabled={feedbackLoading}
+            >
+              {feedbackLoading ? 'Loading...' : 'Answer Feedback'}
+            </button>
+            <button
+              className="admin-action-button"
+              onClick={() => setShowPromptSettings(!showPromptSettings)}
+            >
               System Settings
             </button>
           </div>
         </div>
+
+        {showPromptSettings && (
+          <div className="admin-section">
+            <h2>Prompt Templates</h2>
+            <PromptSettings />
+          </div>
+        )}
+
+        {showPromptSettings && (
+          <div className="admin-section">
+            <h2>Answer Cache</h2>
+            <p className="admin-description">
+              Answers to repeated first questions are cached until the knowledge base or the prompt template changes.
+              Purge the cache to stop serving cached answers immediately.
+            </p>
+            <div className="admin-actions">
+              <button
+                className="admin-action-button"
+                onClick={purgeAnswerCache}
+                disabled={cachePurging}
+              >
+                {cachePurging ? 'Purging...' : 'Purge Answer Cache'}
+              </button>
+            </div>
+            {cacheMessage && <p className="admin-description">{cacheMessage}</p>}
+          </div>
+        )}
+
+        {(analytics || analyticsError) && (
+          <div className="admin-section">
+            <h2>Token Usage</h2>
+            {analyticsError && <p className="admin-error">{analyticsError}</p>}
+            {analytics && (
+              <>
+                <p className="admin-description">
+                  {analytics.from} to {analytics.to}: {analytics.totals.requests} requests,
+                  {' '}{analytics.totals.inputTokens + analytics.totals.outputTokens} tokens,
+                  {' '}estimated cost ${analytics.totals.costUsd.toFixed(2)}
+                </p>
+                {renderUsageTable('By Day', analytics.byDay, row => row.day)}
+                {renderUsageTable('By User', analytics.byUser, row => row.userId)}
+                {renderUsageTable('By Role', analytics.byRole, row => row.role)}
+                {renderUsageTable('By Department', analytics.byDepartment, row => row.department || 'None')}
+                {renderUsageTable('By Model', analytics.byModel, row => row.modelId)}
+              </>
+            )}
+            {security && (
+              <>
+                <h2>Prompt Injection</h2>
+                <p className="admin-description">
+                  {security.totals.questionDetections} flagged questions and
+                  {' '}{security.totals.flaggedDocuments} flagged knowledge base documents
+                  {' '}from {security.from} to {security.to}
+                </p>
+                {security.users.length > 0 && (
+                  <div className="admin-table-wrapper">
+                    <table className="admin-table">
+                      <thead>
+                        <tr>
+                          <th>User</th>
+                          <th>Detections</th>
+                          <th>Patterns</th>
+                          <th>Last seen</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {security.users.map(entry => (
+                          <tr key={entry.userId}>
+                            <td>{entry.userId}</td>
+                            <td>{entry.detections}</td>
+                            <td>{entry.patterns.join(', ')}</td>
+                            <td>{new Date(entry.lastSeenAt).toLocaleString()}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                {security.documents.length > 0 && (
+                  <div className="admin-table-wrapper">
+                    <table className="admin-table">
+                      <thead>
+                        <tr>
+                          <th>Document</th>
+                          <th>Patterns</th>
+                          <th>Last seen</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {security.documents.map(entry => (
+                          <tr key={entry.documentId}>
+                            <td>{entry.title || entry.documentId}</td>
+                            <td>{entry.patterns.join(', ')}</td>
+                            <td>{new Date(entry.lastSeenAt).toLocaleString()}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {(ingestion || ingestionError) && (
+          <div className="admin-section">
+            <h2>Knowledge Base Ingestion</h2>
+            {ingestionError && <p className="admin-error">{ingestionError}</p>}
+            {ingestion && (
+              <>
+                <p className="admin-description">
+                  {ingestion.totals.files} files: {ingestion.totals.ok} ingested
+                  {' '}({ingestion.totals.withWarnings} with warnings), {ingestion.totals.rejected} rejected
+                </p>
+                {ingestion.files.length > 0 && (
+                  <div className="admin-table-wrapper">
+                    <table className="admin-table">
+                      <thead>
+                        <tr>
+                          <th>File</th>
+                          <th>Document</th>
+                          <th>Status</th>
+                          <th>Reasons and warnings</th>
+                          <th>Chunks</th>
+                          <th>Ingested</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {ingestion.files.map(entry => (
+                          <tr key={entry.sourceKey}>
+                            <td>{entry.sourceKey}</td>
+                            <td>{entry.title || entry.documentId || '-'}</td>
+                            <td>{entry.status}</td>
+                            <td>{[...entry.reasons, ...entry.warnings].join('; ') || '-'}</td>
+                            <td>{entry.chunks}</td>
+                            <td>{new Date(entry.ingestedAt).toLocaleString()}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {(feedback || feedbackError) && (
+          <div className="admin-section">
+            <h2>Answer Feedback</h2>
+            {feedbackError && <p className="admin-error">{feedbackError}</p>}
+            {feedback && (
+              <>
+                <p className="admin-description">
+                  {feedback.totals.up} helpful and {feedback.totals.down} not helpful ratings
+                  {' '}from {feedback.from} to {feedback.to}
+                  {feedback.byReason.length > 0 && (
+                    <> - {feedback.byReason.map(entry => `${entry.reason}: ${entry.count}`).join(', ')}</>
+                  )}
+                </p>
+                {feedback.answers.length > 0 && (
+                  <div className="admin-table-wrapper">
+                    <table className="admin-table">
+                      <thead>
+                        <tr>
+                          <th>Question</th>
+                          <th>Answer</th>
+                          <th>Sources</th>
+                          <th>Reason</th>
+                          <th>Comment</th>
+                          <th>Rated</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {feedback.answers.map(entry => (
+                          <tr key={entry.messageId}>
+                            <td>{entry.question || '-'}</td>
+                            <td>{entry.answer}</td>
+                            <td>
+                              {entry.sources.length > 0
+                                ? entry.sources.map(source => `[${source.citation}] ${source.documentName}`).join(', ')
+                                : 'None'}
+                            </td>
+                            <td>{entry.reason || '-'}</td>
+                            <td>{entry.comment || '-'}</td>
+                            <td>{new Date(entry.ratedAt).toLocaleString()}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="admin-section">
+          <h2>Question Quotas</h2>
+          <p className="admin-description">
+            Look up a user by Cognito user ID (sub) to see their question usage, or reset it.
+          </p>
+
+          <div className="admin-actions">
+            <input
+              type="text"
+              className="admin-input"
+              placeholder="User ID"
+              value={usageUserId}
+              onChange={(e) => setUsageUserId(e.target.value)}
+              disabled={usageLoading}
+            />
+            <button
+              className="admin-action-button"
+              onClick={() => handleUsage('view')}
+              disabled={usageLoading || !usageUserId.trim()}
+            >
+              View Usage
+            </button>
+            <button
+              className="admin-action-button"
+              onClick={() => handleUsage('reset')}
+              disabled={usageLoading || !usageUserId.trim()}
+            >
+              Reset Usage
+            </button>
+          </div>
+
+          {usageError && <p className="admin-error">{usageError}</p>}
+
+          {usage && (
+            <div className="admin-stats-grid admin-usage-grid">
+              <div className="admin-stat-card">
+                <h3 className="admin-stat-title">Role</h3>
+                <p className="admin-stat-value">{usage.role}</p>
+              </div>
+              <div className="admin-stat-card">
+                <h3 className="admin-stat-title">This Minute</h3>
+                <p className="admin-stat-value">{formatUsage(usage.minute)}</p>
+              </div>
+              <div className="admin-stat-card">
+                <h3 className="admin-stat-title">Today</h3>
+                <p className="admin-stat-value">{formatUsage(usage.day)}</p>
+              </div>
+            </div>
+          )}
+        </div>
       </main>
     </div>
   );
@@ -10,10 +10,22 @@ import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { signOutUser } from '@/common/auth-client';
 import Chatbot from '../components/Chatbot';
+import ConversationList from '../components/ConversationList';
 
 export default function UserPage({ user }) {
   const router = useRouter();
   const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const [selectedConversationId, setSelectedConversationId] = useState(null);
+  const [conversationListVersion, setConversationListVersion] = useState(0);
+
+  /**
+   * Handle a conversation started or updated in the chat
+   * Selects it and reloads the list so it moves to the top
+   */
+  function handleConversationChange(conversationId) {
+    setSelectedConversationId(conversationId);
+    setConversationListVersion(version => version + 1);
+  }
 
   /**
    * Handle logout
@@ -87,7 +99,17 @@ export default function UserPage({ user }) {
           <p className="user-chatbot-description">
             Ask questions and get AI-powered answers based on our knowledge base.
           </p>
-          <Chatbot />
+          <div className="user-chatbot-layout">
+            <ConversationList
+              selectedId={selectedConversationId}
+              onSelect={setSelectedConversationId}
+              refreshKey={conversationListVersion}
+            />
+            <Chatbot
+              conversationId={selectedConversationId}
+              onConversationChange={handleConversationChange}
+            />
+          </div>
         </div>
       </main>
     </div>
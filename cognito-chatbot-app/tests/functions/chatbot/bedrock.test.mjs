@@ -0,0 +1,232 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createModelInvoker,
+  invokeWithRetry,
+  isRetryableError,
+} from '../../../amplify/functions/chatbot/bedrock.js';
+
+const MODEL_ID = 'anthropic.claude-3-haiku-20240307-v1:0';
+const FALLBACK_MODEL_ID = 'amazon.nova-lite-v1:0';
+
+const request = {
+  system: 'You are a helpful assistant.',
+  messages: [{ role: 'user', content: 'How do I reset my password?' }],
+};
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * Encode a response body the way BedrockRuntimeClient returns it
+ */
+function encode(body) {
+  return new TextEncoder().encode(JSON.stringify(body));
+}
+
+function anthropicResponse(text) {
+  return {
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 12, output_tokens: 5 },
+  };
+}
+
+function novaResponse(text) {
+  return {
+    output: { message: { role: 'assistant', content: [{ text }] } },
+    stopReason: 'end_turn',
+    usage: { inputTokens: 10, outputTokens: 4 },
+  };
+}
+
+function bedrockError(name, httpStatusCode) {
+  return Object.assign(new Error(name), { name, $metadata: { httpStatusCode } });
+}
+
+/**
+ * Stub client that plays back the given outcomes in order: an Error is thrown,
+ * anything else is returned as the send() result
+ */
+function stubClient(outcomes) {
+  const commands = [];
+  return {
+    commands,
+    async send(command) {
+      commands.push(command);
+      const outcome = outcomes[commands.length - 1];
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return outcome;
+    },
+  };
+}
+
+/**
+ * Stream body yielding the given Anthropic streaming events as chunks
+ */
+function streamBody(events, { failAfter } = {}) {
+  return (async function* () {
+    for (const event of events) {
+      yield { chunk: { bytes: encode(event) } };
+    }
+    if (failAfter) {
+      throw failAfter;
+    }
+  })();
+}
+
+function retryOptions(overrides = {}) {
+  return {
+    deadline: Date.now() + 30000,
+    baseDelayMs: 1,
+    maxDelayMs: 2,
+    logger: silentLogger,
+    ...overrides,
+  };
+}
+
+test('isRetryableError accepts throttling and 5xx errors only', () => {
+  assert.equal(isRetryableError(bedrockError('ThrottlingException', 400)), true);
+  assert.equal(isRetryableError(bedrockError('ModelTimeoutException', 408)), true);
+  assert.equal(isRetryableError(bedrockError('SomeError', 429)), true);
+  assert.equal(isRetryableError(bedrockError('SomeError', 503)), true);
+  assert.equal(isRetryableError(bedrockError('ValidationException', 400)), false);
+  assert.equal(isRetryableError(bedrockError('AccessDeniedException', 403)), false);
+  assert.equal(isRetryableError(undefined), false);
+});
+
+test('invoke parses the provider response and reports the model id', async () => {
+  const client = stubClient([{ body: encode(anthropicResponse('Use the reset link.')) }]);
+  const invoker = createModelInvoker({ client, modelId: MODEL_ID, maxTokens: 200, temperature: 0.2 });
+
+  const result = await invoker.invoke(request);
+
+  assert.equal(result.text, 'Use the reset link.');
+  assert.equal(result.modelId, MODEL_ID);
+  assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5 });
+
+  const body = JSON.parse(client.commands[0].input.body);
+  assert.equal(client.commands[0].input.modelId, MODEL_ID);
+  assert.equal(body.max_tokens, 200);
+  assert.equal(body.temperature, 0.2);
+  assert.equal(body.system, request.system);
+});
+
+test('invoke rejects a response without text or tool calls', async () => {
+  const client = stubClient([{ body: encode({ content: [], usage: {} }) }]);
+  const invoker = createModelInvoker({ client, modelId: MODEL_ID });
+
+  await assert.rejects(invoker.invoke(request), /No content in Bedrock response/);
+});
+
+test('invokeWithRetry retries throttling errors on the same model', async () => {
+  const client = stubClient([
+    bedrockError('ThrottlingException', 429),
+    bedrockError('ServiceUnavailableException', 503),
+    { body: encode(anthropicResponse('Answer')) },
+  ]);
+  const invoker = createModelInvoker({ client, modelId: MODEL_ID });
+
+  const result = await invokeWithRetry([invoker], request, retryOptions());
+
+  assert.equal(result.text, 'Answer');
+  assert.equal(result.modelId, MODEL_ID);
+  assert.equal(result.attempts, 3);
+  assert.equal(client.commands.length, 3);
+});
+
+test('invokeWithRetry moves to the fallback model when attempts run out', async () => {
+  const primaryClient = stubClient([
+    bedrockError('ThrottlingException', 429),
+    bedrockError('ThrottlingException', 429),
+  ]);
+  const fallbackClient = stubClient([{ body: encode(novaResponse('Fallback answer')) }]);
+  const invokers = [
+    createModelInvoker({ client: primaryClient, modelId: MODEL_ID }),
+    createModelInvoker({ client: fallbackClient, modelId: FALLBACK_MODEL_ID }),
+  ];
+
+  const result = await invokeWithRetry(invokers, request, retryOptions({ maxAttempts: 2 }));
+
+  assert.equal(result.text, 'Fallback answer');
+  assert.equal(result.modelId, FALLBACK_MODEL_ID);
+  assert.equal(result.attempts, 3);
+  assert.equal(primaryClient.commands.length, 2);
+});
+
+test('invokeWithRetry does not retry a non-retryable error on the same model', async () => {
+  const primaryClient = stubClient([bedrockError('ValidationException', 400)]);
+  const fallbackClient = stubClient([{ body: encode(novaResponse('Fallback answer')) }]);
+  const invokers = [
+    createModelInvoker({ client: primaryClient, modelId: MODEL_ID }),
+    createModelInvoker({ client: fallbackClient, modelId: FALLBACK_MODEL_ID }),
+  ];
+
+  const result = await invokeWithRetry(invokers, request, retryOptions());
+
+  assert.equal(result.modelId, FALLBACK_MODEL_ID);
+  assert.equal(result.attempts, 2);
+  assert.equal(primaryClient.commands.length, 1);
+});
+
+test('invokeWithRetry throws the last error when every model fails', async () => {
+  const client = stubClient([bedrockError('AccessDeniedException', 403)]);
+  const invoker = createModelInvoker({ client, modelId: MODEL_ID });
+
+  await assert.rejects(
+    invokeWithRetry([invoker], request, retryOptions()),
+    { name: 'AccessDeniedException' },
+  );
+});
+
+test('invokeWithRetry starts no attempt once the time budget is spent', async () => {
+  const client = stubClient([{ body: encode(anthropicResponse('Too late')) }]);
+  const invoker = createModelInvoker({ client, modelId: MODEL_ID });
+
+  await assert.rejects(
+    invokeWithRetry([invoker], request, retryOptions({ deadline: Date.now() + 500 })),
+    /Bedrock time budget exhausted/,
+  );
+  assert.equal(client.commands.length, 0);
+});
+
+test('invokeWithRetry streams tokens and returns the collected text', async () => {
+  const client = stubClient([{
+    body: streamBody([
+      { type: 'message_start', message: { usage: { input_tokens: 8 } } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hello' } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: ' there' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } },
+    ]),
+  }]);
+  const invoker = createModelInvoker({ client, modelId: MODEL_ID });
+  const tokens = [];
+
+  const result = await invokeWithRetry([invoker], request, retryOptions({ onToken: text => tokens.push(text) }));
+
+  assert.deepEqual(tokens, ['Hello', ' there']);
+  assert.equal(result.text, 'Hello there');
+  assert.equal(result.attempts, 1);
+});
+
+test('invokeWithRetry never retries a stream after tokens were sent', async () => {
+  const client = stubClient([
+    {
+      body: streamBody(
+        [{ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Partial' } }],
+        { failAfter: bedrockError('ModelStreamErrorException', 500) },
+      ),
+    },
+    { body: streamBody([{ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Again' } }]) },
+  ]);
+  const invoker = createModelInvoker({ client, modelId: MODEL_ID });
+  const tokens = [];
+
+  await assert.rejects(
+    invokeWithRetry([invoker], request, retryOptions({ onToken: text => tokens.push(text) })),
+    { name: 'ModelStreamErrorException' },
+  );
+  assert.deepEqual(tokens, ['Partial']);
+  assert.equal(client.commands.length, 1);
+});
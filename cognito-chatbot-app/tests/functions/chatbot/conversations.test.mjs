@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+
+process.env.AWS_REGION ??= 'us-east-1';
+process.env.APP_DATA_TABLE = 'AppDataTable';
+
+// Imported after the environment is set; the table name is read at load time
+const { loadHistory, saveExchange } = await import('../../../amplify/functions/chatbot/conversations.js');
+
+const logger = { logServiceCall() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Replace the document client's send with a handler keyed by command name
+ */
+function stubDynamo(t, handlers) {
+  return t.mock.method(DynamoDBDocumentClient.prototype, 'send', async command =>
+    handlers[command.constructor.name]?.(command.input) ?? {});
+}
+
+test('loadHistory reads two messages per exchange, oldest first', async (t) => {
+  const send = stubDynamo(t, {
+    QueryCommand: () => ({
+      Items: [
+        { role: 'assistant', content: 'A2', createdAt: '2026-01-01T00:00:03Z' },
+        { role: 'user', content: 'Q2', createdAt: '2026-01-01T00:00:02Z' },
+        { role: 'assistant', content: 'A1', createdAt: '2026-01-01T00:00:01Z' },
+      ],
+    }),
+  });
+
+  const history = await loadHistory('conv-1', 2, logger);
+
+  assert.equal(send.mock.calls[0].arguments[0].input.Limit, 4);
+  assert.equal(send.mock.calls[0].arguments[0].input.ScanIndexForward, false);
+  // The leading answer is dropped so history starts with a question
+  assert.deepEqual(history.map(turn => turn.content), ['Q2', 'A2']);
+});
+
+test('loadHistory skips the query when history is disabled', async (t) => {
+  const send = stubDynamo(t, {});
+
+  assert.deepEqual(await loadHistory('conv-1', 0, logger), []);
+  assert.equal(send.mock.callCount(), 0);
+});
+
+const WEEK_SECONDS = 7 * 24 * 60 * 60;
+
+test('saveExchange extends the expiry of earlier turns when the conversation would outlive them', async (t) => {
+  const send = stubDynamo(t, {
+    QueryCommand: () => ({ Items: [{ pk: 'CONV#conv-1', sk: 'TURN#2026-01-01T00:00:00.000Z#1' }] }),
+  });
+
+  await saveExchange({
+    sub: 'user-1',
+    conversationId: 'conv-1',
+    question: 'Q',
+    answer: 'A',
+    messageId: 'msg-1',
+    isNew: false,
+    turnsExpireAt: Math.floor(Date.now() / 1000),
+  }, logger);
+
+  const [transaction, query, update, record] = send.mock.calls.map(call => call.arguments[0]);
+  const ttl = transaction.input.TransactItems[0].Update.ExpressionAttributeValues[':ttl'];
+  const turnTtl = transaction.input.TransactItems[1].Put.Item.expiresAt;
+
+  // Turns get a week more than the conversation, so the next refresh is a week away
+  assert.equal(turnTtl, ttl + WEEK_SECONDS);
+  assert.equal(query.input.ExpressionAttributeValues[':ttl'], turnTtl);
+  assert.deepEqual(update.input.Key, { pk: 'CONV#conv-1', sk: 'TURN#2026-01-01T00:00:00.000Z#1' });
+  assert.equal(update.input.ExpressionAttributeValues[':ttl'], turnTtl);
+  assert.deepEqual(record.input.Key, { pk: 'USER#user-1', sk: 'CONV#conv-1' });
+  assert.equal(record.input.ExpressionAttributeValues[':ttl'], turnTtl);
+  assert.equal(send.mock.callCount(), 4);
+});
+
+test('saveExchange leaves earlier turns alone while they outlive the conversation', async (t) => {
+  const send = stubDynamo(t, {});
+  const turnsExpireAt = Math.floor(Date.now() / 1000) + 33 * 24 * 60 * 60;
+
+  await saveExchange({
+    sub: 'user-1',
+    conversationId: 'conv-1',
+    question: 'Q',
+    answer: 'A',
+    messageId: 'msg-1',
+    isNew: false,
+    turnsExpireAt,
+  }, logger);
+
+  assert.equal(send.mock.callCount(), 1);
+  // New turns expire no earlier than the earlier ones
+  assert.equal(send.mock.calls[0].arguments[0].input.TransactItems[1].Put.Item.expiresAt, turnsExpireAt);
+});
+
+test('saveExchange does not refresh turns of a new conversation', async (t) => {
+  const send = stubDynamo(t, {});
+
+  await saveExchange({
+    sub: 'user-1',
+    conversationId: 'conv-2',
+    question: 'Q',
+    answer: 'A',
+    messageId: 'msg-2',
+    isNew: true,
+  }, logger);
+
+  assert.equal(send.mock.callCount(), 1);
+  const [record, question] = send.mock.calls[0].arguments[0].input.TransactItems;
+  assert.equal(record.Put.Item.turnsExpireAt, record.Put.Item.expiresAt + WEEK_SECONDS);
+  assert.equal(question.Put.Item.expiresAt, record.Put.Item.turnsExpireAt);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AWS_REGION ??= 'us-east-1';
+process.env.LOG_LEVEL = 'ERROR';
+
+// Imported after the environment is set; the handler reads it at load time
+const { handler, streamHandler } = await import('../../../amplify/functions/chatbot/handler.js');
+
+test('handler module loads outside the Lambda runtime', () => {
+  assert.equal(typeof handler, 'function');
+  assert.equal(typeof streamHandler, 'function');
+});
+
+test('handler rejects requests without a Cognito identity', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  const response = await handler({
+    path: '/chatbot',
+    httpMethod: 'POST',
+    requestContext: { requestId: 'req-test', identity: {} },
+    body: JSON.stringify({ question: 'Hello?' }),
+  }, {});
+
+  assert.equal(response.statusCode, 401);
+  assert.equal(JSON.parse(response.body).error.code, 'UNAUTHORIZED');
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'INFO';
+
+// Imported after the environment is set; the log level is read at load time
+const { createLogger } = await import('../../../amplify/functions/chatbot/logger.js');
+
+/**
+ * Log one info entry and return it parsed
+ */
+function logInfo(t, context) {
+  const log = t.mock.method(console, 'log', () => {});
+  createLogger({ requestId: 'req-test' }).info('Test entry', context);
+  return JSON.parse(log.mock.calls[0].arguments[0]);
+}
+
+test('token counts survive sanitize', (t) => {
+  const entry = logInfo(t, {
+    questionTokens: 12,
+    estimatedInputTokens: 800,
+    maxTokens: 1000,
+    usage: { inputTokens: 120, outputTokens: 45 },
+    metrics: { outputTokenCount: 45 },
+  });
+
+  assert.equal(entry.questionTokens, 12);
+  assert.equal(entry.estimatedInputTokens, 800);
+  assert.equal(entry.maxTokens, 1000);
+  assert.deepEqual(entry.usage, { inputTokens: 120, outputTokens: 45 });
+  assert.deepEqual(entry.metrics, { outputTokenCount: 45 });
+});
+
+test('credentials are redacted', (t) => {
+  const entry = logInfo(t, {
+    accessToken: 'eyJraWQiOi',
+    token: 'abc',
+    sessionToken: 'FwoGZXIvYXdz',
+    password: 'hunter2',
+    headers: { Authorization: 'Bearer abc', 'x-api-key': 'k' },
+    clientSecret: 's3cr3t',
+  });
+
+  assert.equal(entry.accessToken, '[REDACTED]');
+  assert.equal(entry.token, '[REDACTED]');
+  assert.equal(entry.sessionToken, '[REDACTED]');
+  assert.equal(entry.password, '[REDACTED]');
+  assert.equal(entry.headers.Authorization, '[REDACTED]');
+  assert.equal(entry.clientSecret, '[REDACTED]');
+  assert.equal(entry.requestId, 'req-test');
+});
+
+test('PII in string values is redacted', (t) => {
+  const entry = logInfo(t, { question: 'Email jane.doe@example.com about it' });
+
+  assert.equal(entry.question.includes('jane.doe@example.com'), false);
+});
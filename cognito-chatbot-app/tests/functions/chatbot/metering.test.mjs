@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+
+process.env.AWS_REGION ??= 'us-east-1';
+process.env.APP_DATA_TABLE = 'AppDataTable';
+process.env.LOG_LEVEL = 'INFO';
+
+// Imported after the environment is set; the table name and log level are read at load time
+const { estimateCost, recordUsage } = await import('../../../amplify/functions/chatbot/metering.js');
+const { createLogger } = await import('../../../amplify/functions/chatbot/logger.js');
+
+test('estimateCost prices input and output tokens per 1,000', () => {
+  assert.equal(estimateCost('anthropic.claude-3-haiku-20240307-v1:0', 1000, 1000), 0.0015);
+  assert.equal(estimateCost('eu.amazon.nova-lite-v1:0', 2000, 500), 0.00024);
+  assert.equal(estimateCost('cohere.command-text-v14', 1000, 1000), null);
+});
+
+test('recordUsage adds the call to the daily counters and logs the token counts', async (t) => {
+  const send = t.mock.method(DynamoDBDocumentClient.prototype, 'send', async () => ({}));
+  const log = t.mock.method(console, 'log', () => {});
+
+  await recordUsage({
+    sub: 'user-1',
+    role: 'user',
+    department: 'Support',
+    modelId: 'anthropic.claude-3-haiku-20240307-v1:0',
+    inputTokens: 1200,
+    outputTokens: 300,
+    latencyMs: 850,
+  }, createLogger({ requestId: 'req-test' }));
+
+  const { input } = send.mock.calls[0].arguments[0];
+  assert.equal(input.TableName, 'AppDataTable');
+  assert.match(input.Key.pk, /^METER#\d{4}-\d{2}-\d{2}$/);
+  assert.equal(input.Key.sk, 'USER#user-1#MODEL#anthropic.claude-3-haiku-20240307-v1:0');
+  assert.equal(input.ExpressionAttributeValues[':inputTokens'], 1200);
+  assert.equal(input.ExpressionAttributeValues[':outputTokens'], 300);
+
+  const entry = log.mock.calls
+    .map(call => JSON.parse(call.arguments[0]))
+    .find(logged => logged.message === 'Recorded token usage');
+  assert.equal(entry.inputTokens, 1200);
+  assert.equal(entry.outputTokens, 300);
+  assert.equal(entry.latencyMs, 850);
+  assert.equal(entry.costUsd, 0.000675);
+});
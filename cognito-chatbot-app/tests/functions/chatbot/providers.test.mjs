@@ -0,0 +1,199 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { baseModelId, getProvider, parseInvocationMetrics } from '../../../amplify/functions/chatbot/providers.js';
+
+const system = 'Answer from the excerpts.';
+const messages = [
+  { role: 'user', content: 'What is the VPN address?' },
+  { role: 'assistant', content: 'vpn.example.com' },
+  { role: 'user', content: 'And the port?' },
+];
+const tools = [{
+  name: 'search_documents',
+  description: 'Search the knowledge base',
+  inputSchema: { type: 'object', properties: { query: { type: 'string' } } },
+}];
+const toolMessages = [
+  { role: 'user', content: 'Find the VPN guide' },
+  { role: 'assistant', content: '', toolCalls: [{ id: 'tool-1', name: 'search_documents', input: { query: 'vpn' } }] },
+  { role: 'user', toolResults: [{ id: 'tool-1', content: 'No documents found', isError: true }] },
+];
+
+test('getProvider selects the family from the model id', () => {
+  assert.equal(getProvider('anthropic.claude-3-haiku-20240307-v1:0').family, 'anthropic');
+  assert.equal(getProvider('eu.anthropic.claude-3-5-sonnet-20240620-v1:0').family, 'anthropic');
+  assert.equal(getProvider('amazon.nova-pro-v1:0').family, 'amazon-nova');
+  assert.equal(getProvider('amazon.titan-text-express-v1').family, 'amazon-titan');
+  assert.equal(getProvider('us.meta.llama3-1-8b-instruct-v1:0').family, 'meta-llama3');
+  assert.equal(getProvider('meta.llama2-13b-chat-v1').family, 'meta-llama2');
+  assert.equal(getProvider('mistral.mistral-7b-instruct-v0:2').family, 'mistral');
+});
+
+test('getProvider rejects unsupported model families', () => {
+  assert.throws(() => getProvider('cohere.command-text-v14'), /Unsupported Bedrock model family/);
+  assert.throws(() => getProvider(undefined), /Unsupported Bedrock model family/);
+});
+
+test('baseModelId strips cross-region inference profile prefixes', () => {
+  assert.equal(baseModelId('apac.amazon.nova-lite-v1:0'), 'amazon.nova-lite-v1:0');
+  assert.equal(baseModelId('amazon.nova-lite-v1:0'), 'amazon.nova-lite-v1:0');
+});
+
+test('anthropic builds a Messages API request with tools and tool results', () => {
+  const provider = getProvider('anthropic.claude-3-haiku-20240307-v1:0');
+  const body = provider.buildRequest({ system, messages: toolMessages, tools, maxTokens: 300, temperature: 0.5 });
+
+  assert.equal(body.anthropic_version, 'bedrock-2023-05-31');
+  assert.equal(body.max_tokens, 300);
+  assert.equal(body.temperature, 0.5);
+  assert.equal(body.system, system);
+  assert.deepEqual(body.tools, [{
+    name: 'search_documents',
+    description: 'Search the knowledge base',
+    input_schema: tools[0].inputSchema,
+  }]);
+  assert.deepEqual(body.messages[1], {
+    role: 'assistant',
+    content: [{ type: 'tool_use', id: 'tool-1', name: 'search_documents', input: { query: 'vpn' } }],
+  });
+  assert.deepEqual(body.messages[2], {
+    role: 'user',
+    content: [{ type: 'tool_result', tool_use_id: 'tool-1', content: 'No documents found', is_error: true }],
+  });
+});
+
+test('anthropic omits system and tools when not given', () => {
+  const body = getProvider('anthropic.claude-3-haiku-20240307-v1:0')
+    .buildRequest({ messages, maxTokens: 100, temperature: 0 });
+
+  assert.equal('system' in body, false);
+  assert.equal('tools' in body, false);
+  assert.deepEqual(body.messages, messages);
+});
+
+test('anthropic parses text, tool calls and usage', () => {
+  const result = getProvider('anthropic.claude-3-haiku-20240307-v1:0').parseResponse({
+    content: [
+      { type: 'text', text: 'Let me search.' },
+      { type: 'tool_use', id: 'tool-2', name: 'search_documents', input: { query: 'port' } },
+    ],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 40, output_tokens: 9 },
+  });
+
+  assert.deepEqual(result, {
+    text: 'Let me search.',
+    toolCalls: [{ id: 'tool-2', name: 'search_documents', input: { query: 'port' } }],
+    stopReason: 'tool_use',
+    usage: { inputTokens: 40, outputTokens: 9 },
+  });
+});
+
+test('nova builds a messages-v1 request with tools and tool results', () => {
+  const body = getProvider('amazon.nova-lite-v1:0')
+    .buildRequest({ system, messages: toolMessages, tools, maxTokens: 300, temperature: 0.5 });
+
+  assert.equal(body.schemaVersion, 'messages-v1');
+  assert.deepEqual(body.system, [{ text: system }]);
+  assert.deepEqual(body.inferenceConfig, { maxTokens: 300, temperature: 0.5 });
+  assert.deepEqual(body.toolConfig.tools[0].toolSpec.inputSchema, { json: tools[0].inputSchema });
+  assert.deepEqual(body.messages[0], { role: 'user', content: [{ text: 'Find the VPN guide' }] });
+  assert.deepEqual(body.messages[1].content, [
+    { toolUse: { toolUseId: 'tool-1', name: 'search_documents', input: { query: 'vpn' } } },
+  ]);
+  assert.deepEqual(body.messages[2].content, [
+    { toolResult: { toolUseId: 'tool-1', content: [{ text: 'No documents found' }], status: 'error' } },
+  ]);
+});
+
+test('nova parses text, tool calls and usage', () => {
+  const result = getProvider('amazon.nova-lite-v1:0').parseResponse({
+    output: {
+      message: {
+        content: [
+          { text: 'Searching.' },
+          { toolUse: { toolUseId: 'tool-3', name: 'search_documents', input: { query: 'vpn' } } },
+        ],
+      },
+    },
+    stopReason: 'tool_use',
+    usage: { inputTokens: 30, outputTokens: 7 },
+  });
+
+  assert.equal(result.text, 'Searching.');
+  assert.deepEqual(result.toolCalls, [{ id: 'tool-3', name: 'search_documents', input: { query: 'vpn' } }]);
+  assert.deepEqual(result.usage, { inputTokens: 30, outputTokens: 7 });
+});
+
+test('nova reports streamed text and tool use deltas', () => {
+  const provider = getProvider('amazon.nova-lite-v1:0');
+
+  assert.equal(provider.parseStreamChunk({ contentBlockDelta: { delta: { text: 'Hi' } } }), 'Hi');
+  assert.deepEqual(
+    provider.parseStreamToolUse({
+      contentBlockStart: { contentBlockIndex: 1, start: { toolUse: { toolUseId: 'tool-4', name: 'search_documents' } } },
+    }),
+    { index: 1, id: 'tool-4', name: 'search_documents' },
+  );
+  assert.deepEqual(
+    provider.parseStreamToolUse({ contentBlockDelta: { contentBlockIndex: 1, delta: { toolUse: { input: '{"query"' } } } }),
+    { index: 1, input: '{"query"' },
+  );
+});
+
+test('titan renders the conversation as a single prompt', () => {
+  const provider = getProvider('amazon.titan-text-express-v1');
+  const body = provider.buildRequest({ system, messages, maxTokens: 200, temperature: 0.1 });
+
+  assert.equal(body.inputText,
+    `${system}\n\nUser: What is the VPN address?\n\nBot: vpn.example.com\n\nUser: And the port?\n\nBot:`);
+  assert.deepEqual(body.textGenerationConfig, { maxTokenCount: 200, temperature: 0.1 });
+  assert.equal(provider.supportsTools, undefined);
+
+  assert.deepEqual(provider.parseResponse({
+    inputTextTokenCount: 20,
+    results: [{ outputText: ' Port 443. ', tokenCount: 4, completionReason: 'FINISH' }],
+  }), { text: 'Port 443.', stopReason: 'FINISH', usage: { inputTokens: 20, outputTokens: 4 } });
+});
+
+test('llama 3 uses the header token chat template', () => {
+  const provider = getProvider('meta.llama3-8b-instruct-v1:0');
+  const body = provider.buildRequest({ system, messages: messages.slice(0, 1), maxTokens: 200, temperature: 0.1 });
+
+  assert.equal(body.prompt,
+    '<|begin_of_text|><|start_header_id|>system<|end_header_id|>\n\n'
+    + `${system}<|eot_id|><|start_header_id|>user<|end_header_id|>\n\n`
+    + 'What is the VPN address?<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\n');
+  assert.equal(body.max_gen_len, 200);
+
+  assert.deepEqual(provider.parseResponse({
+    generation: ' Port 443.',
+    stop_reason: 'stop',
+    prompt_token_count: 15,
+    generation_token_count: 3,
+  }), { text: 'Port 443.', stopReason: 'stop', usage: { inputTokens: 15, outputTokens: 3 } });
+});
+
+test('llama 2 and mistral use the [INST] format with the system prompt in the first turn', () => {
+  const expected = `<s>[INST] ${system}\n\nWhat is the VPN address? [/INST] vpn.example.com</s><s>[INST] And the port? [/INST]`;
+
+  const llama2 = getProvider('meta.llama2-13b-chat-v1').buildRequest({ system, messages, maxTokens: 50, temperature: 0 });
+  assert.equal(llama2.prompt, expected);
+  assert.equal(llama2.max_gen_len, 50);
+
+  const mistralProvider = getProvider('mistral.mistral-7b-instruct-v0:2');
+  const mistral = mistralProvider.buildRequest({ system, messages, maxTokens: 50, temperature: 0 });
+  assert.equal(mistral.prompt, expected);
+  assert.equal(mistral.max_tokens, 50);
+
+  assert.equal(mistralProvider.parseResponse({ outputs: [{ text: ' 443 ', stop_reason: 'stop' }] }).text, '443');
+  assert.equal(mistralProvider.parseStreamChunk({ outputs: [{ text: '44' }] }), '44');
+});
+
+test('parseInvocationMetrics reads the token counts of the final stream chunk', () => {
+  assert.deepEqual(
+    parseInvocationMetrics({ 'amazon-bedrock-invocationMetrics': { inputTokenCount: 11, outputTokenCount: 22 } }),
+    { inputTokens: 11, outputTokens: 22 },
+  );
+  assert.equal(parseInvocationMetrics({ type: 'content_block_delta' }), null);
+});
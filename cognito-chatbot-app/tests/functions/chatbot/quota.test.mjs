@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.AWS_REGION ??= 'us-east-1';
+process.env.APP_DATA_TABLE = 'AppDataTable';
+
+/**
+ * Load the quota module with QUOTA_LIMITS set, which it reads at load time
+ * The query string gives every call a fresh module instance
+ */
+async function loadQuota(t, quotaLimits) {
+  process.env.QUOTA_LIMITS = quotaLimits;
+  t.after(() => delete process.env.QUOTA_LIMITS);
+  return import(`../../../amplify/functions/chatbot/quota.js?limits=${encodeURIComponent(quotaLimits)}`);
+}
+
+test('QUOTA_LIMITS overrides are merged per role', async (t) => {
+  const { getQuotaLimits } = await loadQuota(t, '{"user":{"perDay":50},"manager":{"perMinute":20}}');
+
+  assert.deepEqual(getQuotaLimits('user'), { perMinute: 10, perDay: 50 });
+  assert.deepEqual(getQuotaLimits('admin'), { perMinute: 30, perDay: 1000 });
+  // A role without defaults starts from the user limits
+  assert.deepEqual(getQuotaLimits('manager'), { perMinute: 20, perDay: 200 });
+});
+
+test('QUOTA_LIMITS accepts 0 as unlimited and keeps the default for invalid limits', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { getQuotaLimits } = await loadQuota(t, '{"user":{"perMinute":0,"perDay":-5},"admin":{"perDay":"lots"}}');
+
+  assert.deepEqual(getQuotaLimits('user'), { perMinute: 0, perDay: 200 });
+  assert.deepEqual(getQuotaLimits('admin'), { perMinute: 30, perDay: 1000 });
+  assert.equal(warn.mock.callCount(), 2);
+});
+
+test('invalid QUOTA_LIMITS falls back to the defaults', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { getQuotaLimits } = await loadQuota(t, '[10, 200]');
+
+  assert.deepEqual(getQuotaLimits('user'), { perMinute: 10, perDay: 200 });
+  assert.equal(warn.mock.callCount(), 1);
+});
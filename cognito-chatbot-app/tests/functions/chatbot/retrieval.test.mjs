@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.EMBEDDING_PROVIDER = 'local';
+
+// Imported after the environment is set; the embedder is chosen at load time
+const { chunkEmbeddingText, cosineSimilarity, createEmbedder } = await import('../../../amplify/functions/chatbot/embeddings.js');
+const { rankByVector, rankDocuments, rankHybrid } = await import('../../../amplify/functions/chatbot/retrieval.js');
+
+const chunks = [
+  {
+    id: 'vpn-1',
+    title: 'VPN Setup',
+    heading: 'Connecting',
+    content: 'Install the VPN client and connect to vpn.example.com on port 443.',
+    tags: ['network'],
+  },
+  {
+    id: 'password-1',
+    title: 'Password Policy',
+    heading: 'Resetting your password',
+    content: 'Reset a forgotten password from the sign-in page. Passwords expire every 90 days.',
+    tags: ['security'],
+  },
+  {
+    id: 'leave-1',
+    title: 'Holiday Leave',
+    heading: 'Requesting leave',
+    content: 'Submit holiday leave requests in the HR portal two weeks in advance.',
+    tags: ['hr'],
+  },
+];
+
+const embedder = createEmbedder();
+
+/**
+ * Embed every chunk and return a vectorOf lookup like the chatbot handler uses
+ */
+async function indexChunks(documents) {
+  const vectors = new Map();
+  for (const chunk of documents) {
+    vectors.set(chunk.id, await embedder.embed(chunkEmbeddingText(chunk)));
+  }
+  return document => vectors.get(document.id) || null;
+}
+
+test('local embedder is deterministic and returns unit vectors', async () => {
+  const first = await embedder.embed('How do I reset my password?');
+  const second = await embedder.embed('How do I reset my password?');
+
+  assert.equal(embedder.modelId, 'local-hash');
+  assert.equal(first.length, embedder.dimensions);
+  assert.deepEqual(first, second);
+  assert.ok(Math.abs(Math.hypot(...first) - 1) < 1e-9);
+  assert.ok(Math.abs(cosineSimilarity(first, second) - 1) < 1e-9);
+});
+
+test('local embedder gives shared wording a higher similarity', async () => {
+  const question = await embedder.embed('reset forgotten password');
+  const related = await embedder.embed('Reset a forgotten password from the sign-in page');
+  const unrelated = await embedder.embed('Submit holiday leave requests in the HR portal');
+
+  assert.ok(cosineSimilarity(question, related) > cosineSimilarity(question, unrelated));
+});
+
+test('vector retrieval ranks the matching chunk first', async () => {
+  const vectorOf = await indexChunks(chunks);
+  const queryVector = await embedder.embed('How do I reset a forgotten password?');
+
+  const results = rankByVector(queryVector, chunks, vectorOf, { topK: 3, minSimilarity: 0.1 });
+
+  assert.equal(results[0].document.id, 'password-1');
+  assert.ok(results.every(result => result.score >= 0.1));
+  assert.ok(results.every((result, index) => index === 0 || results[index - 1].score >= result.score));
+});
+
+test('vector retrieval skips chunks without an embedding and below the threshold', async () => {
+  const vectorOf = await indexChunks(chunks.slice(1));
+  const queryVector = await embedder.embed('VPN client port');
+
+  assert.deepEqual(rankByVector(queryVector, chunks, vectorOf, { minSimilarity: 0.3 }), []);
+});
+
+test('hybrid retrieval combines keyword and vector scores', async () => {
+  const vectorOf = await indexChunks(chunks);
+  const question = 'Which port does the VPN use?';
+  const queryVector = await embedder.embed(question);
+
+  const hybrid = rankHybrid(question, queryVector, chunks, vectorOf, { topK: 2, minSimilarity: 0.3, vectorWeight: 0.5 });
+  const keyword = rankDocuments(question, chunks, { topK: 2 });
+
+  assert.equal(hybrid[0].document.id, 'vpn-1');
+  assert.equal(keyword[0].document.id, 'vpn-1');
+  assert.ok(hybrid[0].score > 0 && hybrid[0].score <= 1);
+});
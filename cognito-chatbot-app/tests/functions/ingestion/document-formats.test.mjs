@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { parseDocument } from '../../../amplify/functions/ingestion/document-formats.js';
+
+/**
+ * Assemble a minimal PDF fixture from object bodies; streams are { dictionary, data }
+ * The parser does not read the cross-reference table, so none is written
+ */
+function pdfFixture(objects) {
+  const bodies = objects.map((object, index) => {
+    const body = typeof object === 'string'
+      ? object
+      : `<< ${object.dictionary} /Length ${object.data.length} >>\nstream\n${object.data.toString('latin1')}\nendstream`;
+    return `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  return Buffer.from(`%PDF-1.4\n${bodies.join('')}trailer\n<< /Root 1 0 R >>\n%%EOF\n`, 'latin1');
+}
+
+const catalog = '<< /Type /Catalog /Pages 2 0 R >>';
+const pages = '<< /Type /Pages /Kids [3 0 R] /Count 1 >>';
+const page = '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>';
+const standardFont = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+const content = text => ({ dictionary: '', data: Buffer.from(text, 'latin1') });
+
+function parsePdf(objects) {
+  return parseDocument('knowledge-base/guide.pdf', pdfFixture(objects), { prefix: 'knowledge-base/' });
+}
+
+test('reads the text of a PDF with a standard font', () => {
+  const document = parsePdf([
+    catalog,
+    pages,
+    page,
+    content('BT /F1 18 Tf 72 720 Td (Leave policy) Tj 0 -30 Td [(Employees get 25 days) -300 (of leave.)] TJ ET'),
+    standardFont,
+    '<< /Title (Leave Policy 2026) >>',
+  ]);
+
+  assert.equal(document.documentId, 'guide');
+  assert.equal(document.title, 'Leave Policy 2026');
+  assert.equal(document.content, 'Leave policy\nEmployees get 25 days of leave.');
+  assert.equal(document.metadata.format, 'pdf');
+});
+
+test('reads Flate-compressed content streams and falls back to the first line for the title', () => {
+  const document = parsePdf([
+    catalog,
+    pages,
+    page,
+    {
+      dictionary: '/Filter /FlateDecode',
+      data: deflateSync(Buffer.from('BT /F1 12 Tf 72 720 Td (Expense claims) Tj T* (Submit receipts within 30 days.) Tj ET')),
+    },
+    standardFont,
+  ]);
+
+  assert.equal(document.title, 'Expense claims');
+  assert.equal(document.content, 'Expense claims\nSubmit receipts within 30 days.');
+});
+
+test('decodes escapes in literal strings and UTF-16 titles', () => {
+  const document = parsePdf([
+    catalog,
+    pages,
+    page,
+    content('BT /F1 12 Tf 72 720 Td (Caf\\351 opening hours \\(weekdays\\)) Tj ET'),
+    standardFont,
+    '<< /Title <FEFF00430061006600E9> >>',
+  ]);
+
+  assert.equal(document.title, 'Café');
+  assert.equal(document.content, 'Café opening hours (weekdays)');
+});
+
+test('rejects PDFs with composite fonts instead of reading glyph ids as text', () => {
+  const compositeFont = '<< /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Arial /Encoding /Identity-H >>';
+
+  assert.throws(() => parsePdf([
+    catalog,
+    pages,
+    page,
+    content('BT /F1 12 Tf 72 720 Td <002B0048004F004F0052> Tj ET'),
+    compositeFont,
+  ]), /composite \(Type0\) fonts/);
+});
+
+test('finds composite fonts stored in compressed object streams', () => {
+  assert.throws(() => parsePdf([
+    catalog,
+    pages,
+    page,
+    content('BT /F1 12 Tf 72 720 Td <002B0048004F004F0052> Tj ET'),
+    {
+      dictionary: '/Type /ObjStm /N 1 /First 4 /Filter /FlateDecode',
+      data: deflateSync(Buffer.from('5 0 << /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+Arial /Encoding /Identity-H >>')),
+    },
+  ]), /composite \(Type0\) fonts/);
+});
+
+test('rejects scanned PDFs, which have no text', () => {
+  assert.throws(() => parsePdf([
+    catalog,
+    pages,
+    '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /XObject << /Im1 5 0 R >> >> >>',
+    content('q 612 0 0 792 0 0 cm /Im1 Do Q'),
+    { dictionary: '/Type /XObject /Subtype /Image /Width 1 /Height 1 /Filter /DCTDecode', data: Buffer.from([0xff, 0xd8, 0xff, 0xd9]) },
+  ]), /no extractable text/);
+});
+
+test('rejects files that are not PDFs', () => {
+  assert.throws(() => parseDocument('knowledge-base/guide.pdf', Buffer.from('Leave policy')), /Not a PDF file/);
+});
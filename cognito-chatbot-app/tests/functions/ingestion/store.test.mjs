@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { S3Client } from '@aws-sdk/client-s3';
+
+process.env.AWS_REGION ??= 'us-east-1';
+process.env.KNOWLEDGE_BASE_BUCKET = 'kb-bucket';
+
+// Imported after the environment is set; the bucket name is read at load time
+const { updateManifest } = await import('../../../amplify/functions/ingestion/store.js');
+
+const logger = { logServiceCall() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Replace the S3 client's send with a handler keyed by command name
+ */
+function stubS3(t, handlers) {
+  return t.mock.method(S3Client.prototype, 'send', async command =>
+    handlers[command.constructor.name]?.(command.input) ?? {});
+}
+
+function manifestObject(documents, etag) {
+  return { Body: Readable.from([Buffer.from(JSON.stringify({ documents }))]), ETag: etag };
+}
+
+function preconditionFailed() {
+  return Object.assign(new Error('At least one of the pre-conditions you specified did not hold'), {
+    name: 'PreconditionFailed',
+    $metadata: { httpStatusCode: 412 },
+  });
+}
+
+const addEntry = entry => manifest => ({ ...manifest, documents: [...manifest.documents, entry] });
+
+test('updateManifest writes only if the manifest is unchanged since it was read', async (t) => {
+  const send = stubS3(t, {
+    GetObjectCommand: () => manifestObject([{ sourceKey: 'knowledge-base/a.md' }], '"etag-1"'),
+  });
+
+  const manifest = await updateManifest(addEntry({ sourceKey: 'knowledge-base/b.md' }), logger);
+
+  const put = send.mock.calls[1].arguments[0].input;
+  assert.equal(put.IfMatch, '"etag-1"');
+  assert.deepEqual(JSON.parse(put.Body).documents.map(entry => entry.sourceKey), ['knowledge-base/a.md', 'knowledge-base/b.md']);
+  assert.equal(manifest.documents.length, 2);
+});
+
+test('updateManifest creates the manifest only if it still does not exist', async (t) => {
+  const send = stubS3(t, {
+    GetObjectCommand: () => {
+      throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+    },
+  });
+
+  await updateManifest(addEntry({ sourceKey: 'knowledge-base/a.md' }), logger);
+
+  const put = send.mock.calls[1].arguments[0].input;
+  assert.equal(put.IfNoneMatch, '*');
+  assert.equal(put.IfMatch, undefined);
+});
+
+test('updateManifest reapplies the update when another invocation wrote the manifest', async (t) => {
+  const reads = [
+    manifestObject([{ sourceKey: 'knowledge-base/a.md' }], '"etag-1"'),
+    manifestObject([{ sourceKey: 'knowledge-base/a.md' }, { sourceKey: 'knowledge-base/c.md' }], '"etag-2"'),
+  ];
+  let puts = 0;
+  const send = stubS3(t, {
+    GetObjectCommand: () => reads.shift(),
+    PutObjectCommand: () => {
+      if (++puts === 1) {
+        throw preconditionFailed();
+      }
+      return {};
+    },
+  });
+
+  const manifest = await updateManifest(addEntry({ sourceKey: 'knowledge-base/b.md' }), logger);
+
+  const lastPut = send.mock.calls.at(-1).arguments[0].input;
+  assert.equal(lastPut.IfMatch, '"etag-2"');
+  // The other invocation's entry is kept
+  assert.deepEqual(manifest.documents.map(entry => entry.sourceKey), ['knowledge-base/a.md', 'knowledge-base/c.md', 'knowledge-base/b.md']);
+});
+
+test('updateManifest does not retry other errors', async (t) => {
+  const send = stubS3(t, {
+    GetObjectCommand: () => manifestObject([], '"etag-1"'),
+    PutObjectCommand: () => {
+      throw Object.assign(new Error('Access Denied'), { name: 'AccessDenied', $metadata: { httpStatusCode: 403 } });
+    },
+  });
+
+  await assert.rejects(updateManifest(addEntry({ sourceKey: 'knowledge-base/a.md' }), logger), { name: 'AccessDenied' });
+  assert.equal(send.mock.callCount(), 2);
+});